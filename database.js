@@ -5,61 +5,341 @@ const path = require('path');
 const dbPath = path.join(__dirname, 'business.db');
 const db = new sqlite3.Database(dbPath);
 
+// Resolves once every table below has been created or migrated
+let markReady;
+const ready = new Promise(resolve => { markReady = resolve; });
+
 // Initialize database tables
 function initializeDatabase() {
   console.log('Initializing business database...');
   
-  // Products table - enhanced from your Excel data
-  db.run(`CREATE TABLE IF NOT EXISTS products (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    stock_id TEXT UNIQUE NOT NULL,
-    serial_number TEXT,
-    product_type TEXT,
-    processor TEXT,
-    storage TEXT,
-    memory TEXT,
-    display_size TEXT,
-    year TEXT,
-    color TEXT,
-    condition TEXT,
-    keyboard_layout TEXT,
-    supplier_cost DECIMAL(10,2),
-    additional_costs DECIMAL(10,2) DEFAULT 0,
-    shopify_product_id TEXT,
-    shopify_variant_id TEXT,
-    is_sold INTEGER DEFAULT 0,
-    date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
-    comments TEXT
-  )`);
-
-  // Local sales table
-  db.run(`CREATE TABLE IF NOT EXISTS local_sales (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    stock_id TEXT NOT NULL,
-    sale_price DECIMAL(10,2) NOT NULL,
-    payment_method TEXT NOT NULL, -- 'cash' or 'interac'
-    customer_name TEXT,
-    customer_email TEXT,
-    customer_phone TEXT,
-    sale_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-    notes TEXT,
-    FOREIGN KEY (stock_id) REFERENCES products (stock_id)
-  )`);
-
-  // Additional costs table
-  db.run(`CREATE TABLE IF NOT EXISTS additional_costs (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    stock_id TEXT NOT NULL,
-    cost_type TEXT NOT NULL, -- 'repair', 'charger', 'taxes', 'shipping', 'other'
-    amount DECIMAL(10,2) NOT NULL,
-    description TEXT,
-    date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (stock_id) REFERENCES products (stock_id)
-  )`);
+  db.serialize(() => {
+    // Products table - enhanced from your Excel data
+    db.run(`CREATE TABLE IF NOT EXISTS products (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stock_id TEXT UNIQUE NOT NULL,
+      serial_number TEXT,
+      product_type TEXT,
+      processor TEXT,
+      storage TEXT,
+      memory TEXT,
+      display_size TEXT,
+      year TEXT,
+      color TEXT,
+      condition TEXT,
+      keyboard_layout TEXT,
+      supplier_cost DECIMAL(10,2),
+      additional_costs DECIMAL(10,2) DEFAULT 0,
+      shopify_product_id TEXT,
+      shopify_variant_id TEXT,
+      is_sold INTEGER DEFAULT 0,
+      date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
+      comments TEXT
+    )`);
+
+    // Link each unit to the import batch that introduced it
+    addColumnIfMissing('products', 'batch_id', 'INTEGER REFERENCES import_batches (id)');
+
+    // Shopify location name holding the unit; NULL means the store's default location
+    addColumnIfMissing('products', 'location', 'TEXT');
+
+    // Battery health in percent, from the supplier sheet when it has the column
+    addColumnIfMissing('products', 'battery_health', 'INTEGER');
+
+    // Local sales table
+    db.run(`CREATE TABLE IF NOT EXISTS local_sales (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stock_id TEXT NOT NULL,
+      sale_price DECIMAL(10,2) NOT NULL,
+      payment_method TEXT NOT NULL, -- 'cash' or 'interac'
+      customer_name TEXT,
+      customer_email TEXT,
+      customer_phone TEXT,
+      sale_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      notes TEXT,
+      FOREIGN KEY (stock_id) REFERENCES products (stock_id)
+    )`);
+
+    // Additional costs table
+    db.run(`CREATE TABLE IF NOT EXISTS additional_costs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stock_id TEXT NOT NULL,
+      cost_type TEXT NOT NULL, -- 'repair', 'charger', 'taxes', 'shipping', 'other'
+      amount DECIMAL(10,2) NOT NULL,
+      description TEXT,
+      date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (stock_id) REFERENCES products (stock_id)
+    )`);
+
+    // Column mapping profiles - one per supplier spreadsheet layout
+    db.run(`CREATE TABLE IF NOT EXISTS column_mappings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      supplier TEXT,
+      mappings TEXT NOT NULL, -- JSON: { canonicalField: 'Sheet Header' }
+      date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
+      date_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Import batches - one row per uploaded supplier file
+    db.run(`CREATE TABLE IF NOT EXISTS import_batches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      filename TEXT NOT NULL,
+      supplier TEXT,
+      mapping_profile_id INTEGER,
+      imported_by TEXT,
+      row_count INTEGER DEFAULT 0,
+      inserted_count INTEGER DEFAULT 0,
+      updated_count INTEGER DEFAULT 0,
+      skipped_count INTEGER DEFAULT 0,
+      status TEXT DEFAULT 'active', -- 'active' or 'rolled_back'
+      date_imported DATETIME DEFAULT CURRENT_TIMESTAMP,
+      date_rolled_back DATETIME
+    )`);
+
+    // Snapshot of every unit as it appeared in a batch, used for import diffs
+    db.run(`CREATE TABLE IF NOT EXISTS import_batch_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      batch_id INTEGER NOT NULL,
+      stock_id TEXT NOT NULL,
+      serial_number TEXT,
+      product_type TEXT,
+      processor TEXT,
+      storage TEXT,
+      memory TEXT,
+      display_size TEXT,
+      year TEXT,
+      color TEXT,
+      condition TEXT,
+      keyboard_layout TEXT,
+      supplier_cost DECIMAL(10,2),
+      FOREIGN KEY (batch_id) REFERENCES import_batches (id)
+    )`);
+    // For rollback: what the import did to the unit, and the columns an update overwrote (JSON)
+    addColumnIfMissing('import_batch_items', 'action', 'TEXT'); // 'inserted' or 'updated'
+    addColumnIfMissing('import_batch_items', 'previous_values', 'TEXT');
+
+    // Apple model catalogue - keyed by A-number and, for exact configurations, order/part number
+    db.run(`CREATE TABLE IF NOT EXISTS apple_models (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      a_number TEXT,
+      part_number TEXT UNIQUE,
+      family TEXT NOT NULL,
+      display_size TEXT,
+      year TEXT,
+      chip_options TEXT, -- JSON array, e.g. ["M1 Pro", "M1 Max"]
+      colors TEXT, -- JSON array
+      launch_msrp DECIMAL(10,2),
+      notes TEXT,
+      date_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_apple_models_a_number ON apple_models (a_number)');
+
+    // Shopify product each inventory group was last synced to, so later syncs match by ID
+    db.run(`CREATE TABLE IF NOT EXISTS shopify_product_links (
+      group_key TEXT PRIMARY KEY,
+      shopify_product_id TEXT NOT NULL,
+      handle TEXT,
+      date_synced DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_products_shopify_variant ON products (shopify_variant_id)');
+
+    // Background Shopify sync jobs and their per-group log lines
+    db.run(`CREATE TABLE IF NOT EXISTS sync_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed' or 'cancelled'
+      store_url TEXT,
+      total_groups INTEGER DEFAULT 0,
+      processed_groups INTEGER DEFAULT 0,
+      current_group TEXT,
+      created_count INTEGER DEFAULT 0,
+      updated_count INTEGER DEFAULT 0,
+      error_count INTEGER DEFAULT 0,
+      cancel_requested INTEGER DEFAULT 0,
+      error_message TEXT,
+      results TEXT, -- JSON, same shape /api/sync-shopify used to return
+      date_created DATETIME DEFAULT CURRENT_TIMESTAMP,
+      date_started DATETIME,
+      date_finished DATETIME
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS sync_job_logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job_id INTEGER NOT NULL,
+      group_key TEXT,
+      message TEXT NOT NULL,
+      date_logged DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (job_id) REFERENCES sync_jobs (id)
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_sync_job_logs_job ON sync_job_logs (job_id)');
+
+    // Inventory changes waiting to be pushed to Shopify (e.g. after a local sale)
+    db.run(`CREATE TABLE IF NOT EXISTS shopify_inventory_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stock_id TEXT NOT NULL,
+      shopify_product_id TEXT,
+      shopify_variant_id TEXT NOT NULL,
+      adjustment INTEGER NOT NULL,
+      reason TEXT, -- e.g. 'local_sale'
+      status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'completed', 'failed' or 'superseded' (by a sync)
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      result TEXT, -- JSON: levels changed per location, units left, sold-out action taken
+      date_created DATETIME DEFAULT CURRENT_TIMESTAMP,
+      date_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (stock_id) REFERENCES products (stock_id)
+    )`);
+
+    // Units sold through Shopify, one row per unit (from order webhooks)
+    db.run(`CREATE TABLE IF NOT EXISTS online_sales (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stock_id TEXT NOT NULL,
+      shopify_order_id TEXT NOT NULL,
+      shopify_order_name TEXT,
+      shopify_line_item_id TEXT NOT NULL,
+      shopify_variant_id TEXT,
+      sale_price DECIMAL(10,2) NOT NULL, -- after discounts, before tax
+      tax DECIMAL(10,2) DEFAULT 0,
+      fees DECIMAL(10,2) DEFAULT 0, -- estimated payment processing fees
+      currency TEXT,
+      customer_name TEXT,
+      customer_email TEXT,
+      status TEXT NOT NULL DEFAULT 'sold', -- 'sold', 'cancelled' or 'refunded'
+      refund_amount DECIMAL(10,2),
+      sale_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      date_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (stock_id) REFERENCES products (stock_id)
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_online_sales_order ON online_sales (shopify_order_id)');
+    db.run('CREATE INDEX IF NOT EXISTS idx_online_sales_line_item ON online_sales (shopify_line_item_id)');
+
+    // Webhook deliveries already processed, so Shopify's retries are not applied twice
+    db.run(`CREATE TABLE IF NOT EXISTS shopify_webhook_events (
+      webhook_id TEXT PRIMARY KEY,
+      topic TEXT,
+      date_received DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Shopify storefronts. The access token is encrypted with STORE_CREDENTIALS_KEY
+    // (see encryptSecret in server.js.js); product_types is a JSON array of the product
+    // types synced to this store, and the default store takes every unclaimed type.
+    db.run(`CREATE TABLE IF NOT EXISTS stores (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      store_url TEXT NOT NULL UNIQUE,
+      access_token TEXT NOT NULL,
+      token_hint TEXT,
+      default_location TEXT,
+      currency TEXT NOT NULL DEFAULT 'CAD',
+      exchange_rate DECIMAL(10,4) NOT NULL DEFAULT 1,
+      product_types TEXT,
+      is_default INTEGER DEFAULT 0,
+      date_created DATETIME DEFAULT CURRENT_TIMESTAMP,
+      date_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Which store each unit, group, sync and inventory push belongs to
+    addColumnIfMissing('products', 'shopify_store_id', 'INTEGER REFERENCES stores (id)');
+    addColumnIfMissing('shopify_product_links', 'store_id', 'INTEGER REFERENCES stores (id)');
+    addColumnIfMissing('sync_jobs', 'store_id', 'INTEGER REFERENCES stores (id)');
+    addColumnIfMissing('sync_jobs', 'started_by', 'TEXT');
+    addColumnIfMissing('shopify_inventory_queue', 'store_id', 'INTEGER REFERENCES stores (id)');
+
+    // The secret Shopify signs the store's webhooks with, encrypted like the access token
+    addColumnIfMissing('stores', 'webhook_secret', 'TEXT');
+
+    // Images this tool uploaded to each Shopify product, keyed by a hash of the source
+    // so a re-sync never uploads the same picture twice
+    db.run(`CREATE TABLE IF NOT EXISTS shopify_product_images (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      shopify_product_id TEXT NOT NULL,
+      media_id TEXT NOT NULL,
+      source_hash TEXT NOT NULL,
+      source_url TEXT,
+      filename TEXT,
+      date_uploaded DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (shopify_product_id, source_hash)
+    )`);
+
+    // Condition photos of individual units. The processed files live under
+    // processed-images/units/<stock_id>/; media_id and shopify_url are set once the
+    // photo is on the unit's Shopify product and cleared when it comes off again
+    db.run(`CREATE TABLE IF NOT EXISTS unit_photos (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stock_id TEXT NOT NULL,
+      filename TEXT NOT NULL,
+      original_name TEXT,
+      source_hash TEXT NOT NULL,
+      shopify_product_id TEXT,
+      media_id TEXT,
+      shopify_url TEXT,
+      date_uploaded DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (stock_id, source_hash)
+    )`);
+
+    // Rules every price is calculated from (see PRICING RULES in server.js.js)
+    db.run(`CREATE TABLE IF NOT EXISTS pricing_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_type TEXT NOT NULL, -- 'base_msrp', 'storage', 'memory', 'chip', 'size', 'grade' or 'rounding'
+      product_type TEXT, -- NULL applies to every product type
+      match_value TEXT, -- minimum GB/inches, chip tier, grade letter or rounding mode
+      amount DECIMAL(10,2) NOT NULL, -- dollars, or percent off MSRP for grades
+      notes TEXT,
+      date_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Every price a unit was listed at or changed to, one row per unit of the variant
+    db.run(`CREATE TABLE IF NOT EXISTS price_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      stock_id TEXT NOT NULL,
+      store_id INTEGER REFERENCES stores (id),
+      shopify_variant_id TEXT,
+      old_price DECIMAL(10,2),
+      new_price DECIMAL(10,2) NOT NULL,
+      source TEXT NOT NULL, -- 'import', 'rule', 'markdown' or 'manual'
+      reason TEXT,
+      date_changed DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run('CREATE INDEX IF NOT EXISTS idx_price_history_stock ON price_history (stock_id)');
+    addColumnIfMissing('price_history', 'group_key', 'TEXT');
+    addColumnIfMissing('price_history', 'changed_by', 'TEXT');
+    addColumnIfMissing('price_history', 'sync_job_id', 'INTEGER REFERENCES sync_jobs (id)');
+    // The price override the price came from, if any (see price_overrides)
+    addColumnIfMissing('price_history', 'price_override_id', 'INTEGER');
+    db.run('CREATE INDEX IF NOT EXISTS idx_price_history_group ON price_history (group_key)');
+
+    // Prices held by hand instead of the pricing rules, for a whole product group, one
+    // variant of it (its option values, e.g. "Silver - Grade A - English") or one unit
+    db.run(`CREATE TABLE IF NOT EXISTS price_overrides (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope TEXT NOT NULL, -- 'group', 'variant' or 'unit'
+      group_key TEXT,
+      variant_title TEXT,
+      stock_id TEXT,
+      price DECIMAL(10,2) NOT NULL, -- in the base currency, like the pricing rules
+      expires_on DATE, -- last day the price is held; NULL holds it until deleted
+      notes TEXT,
+      created_by TEXT,
+      date_created DATETIME DEFAULT CURRENT_TIMESTAMP,
+      date_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Runs last because the statements above are serialized
+    db.run('SELECT 1', () => markReady());
+  });
 
   console.log('Database tables initialized successfully');
 }
 
+// Add a column to an existing table; older databases were created before it existed
+function addColumnIfMissing(table, column, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      console.error(`Failed to add ${table}.${column}:`, err.message);
+    }
+  });
+}
+
 // Helper function to run database queries with promises
 function runQuery(sql, params = []) {
   return new Promise((resolve, reject) => {
@@ -95,6 +375,7 @@ initializeDatabase();
 
 module.exports = {
   db,
+  ready,
   runQuery,
   getQuery,
   getAllQuery
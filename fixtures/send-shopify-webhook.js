@@ -0,0 +1,58 @@
+// Sends a signed Shopify webhook fixture to the local server, so order handling can be
+// tested without a store.
+//
+//   SHOPIFY_WEBHOOK_SECRET=... node fixtures/send-shopify-webhook.js orders/create [variantId]
+//
+// Pass the Shopify variant ID of a synced unit (products.shopify_variant_id) to make the
+// fixture order one of your own units.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+
+const FIXTURES = {
+  'orders/create': 'orders-create.json',
+  'orders/cancelled': 'orders-cancelled.json',
+  'refunds/create': 'refunds-create.json'
+};
+
+async function main() {
+  const [topic, variantId] = process.argv.slice(2);
+  const secret = process.env.SHOPIFY_WEBHOOK_SECRET;
+  const port = process.env.PORT || 3000;
+
+  if (!FIXTURES[topic]) {
+    console.error(`Usage: node fixtures/send-shopify-webhook.js <${Object.keys(FIXTURES).join('|')}> [variantId]`);
+    process.exit(1);
+  }
+  if (!secret) {
+    console.error('Set SHOPIFY_WEBHOOK_SECRET to the same value the server uses');
+    process.exit(1);
+  }
+
+  const payload = JSON.parse(fs.readFileSync(path.join(__dirname, 'shopify-webhooks', FIXTURES[topic]), 'utf8'));
+  if (variantId && payload.line_items) {
+    payload.line_items.forEach(item => { item.variant_id = Number(variantId); });
+  }
+
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64');
+
+  const response = await fetch(`http://localhost:${port}/api/webhooks/shopify`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Topic': topic,
+      'X-Shopify-Hmac-Sha256': signature,
+      'X-Shopify-Webhook-Id': crypto.randomUUID()
+    },
+    body
+  });
+
+  console.log(`${response.status} ${JSON.stringify(await response.json())}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,172 @@
+// Offline stand-in for the Shopify GraphQL Admin API. Replays the recorded responses in
+// fixtures/shopify-graphql/ and checks every incoming query against the recorded one, so
+// a query edited in shopify-queries.js fails loudly until its fixture is re-recorded.
+//
+//   node fixtures/shopify-mock-server.js            # replay on port 3002 (MOCK_PORT)
+//   node fixtures/shopify-mock-server.js --check    # compare shopify-queries.js with the fixtures and exit
+//   SHOPIFY_STORE_URL=... SHOPIFY_ACCESS_TOKEN=... node fixtures/shopify-mock-server.js --record
+//
+// Enter http://localhost:3002 as the store URL to sync against it. --record proxies every
+// request to the real store and saves the response, so only record against a development
+// store: mutations really run. Files sent to the staged upload targets in the fixtures
+// (PUT /staged-uploads/...) are accepted and thrown away.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const queries = require('../shopify-queries');
+
+const FIXTURE_DIR = path.join(__dirname, 'shopify-graphql');
+const PORT = process.env.MOCK_PORT || 3002;
+
+function normalizeQuery(query) {
+  return query.replace(/\s+/g, ' ').trim();
+}
+
+function getOperationName(query) {
+  const match = (query || '').match(/^\s*(query|mutation)\s+(\w+)/);
+  return match ? match[2] : null;
+}
+
+function fixturePath(operation) {
+  return path.join(FIXTURE_DIR, `${operation}.json`);
+}
+
+function loadFixture(operation) {
+  const file = fixturePath(operation);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// Required ($name: Type!) variables the request left out
+function missingVariables(query, variables) {
+  const required = [...query.matchAll(/\$(\w+)\s*:\s*[\w[\]!]+!/g)].map(match => match[1]);
+  return required.filter(name => variables[name] === undefined || variables[name] === null);
+}
+
+function graphqlError(message) {
+  return { errors: [{ message, extensions: { code: 'MOCK_FIXTURE_MISMATCH' } }] };
+}
+
+function replay(apiVersion, { query, variables = {} }) {
+  const operation = getOperationName(query);
+  if (!operation) return graphqlError('Anonymous operations are not recorded; name the query');
+
+  const fixture = loadFixture(operation);
+  if (!fixture) return graphqlError(`No recorded fixture for ${operation}; record it with --record`);
+
+  if (fixture.apiVersion !== apiVersion) {
+    return graphqlError(`${operation} was recorded against ${fixture.apiVersion} but the request uses ${apiVersion}; re-record it`);
+  }
+  if (normalizeQuery(fixture.query) !== normalizeQuery(query)) {
+    return graphqlError(`${operation} does not match its recorded fixture; re-record it with --record`);
+  }
+
+  const missing = missingVariables(query, variables);
+  if (missing.length > 0) {
+    return graphqlError(`${operation} is missing required variables: ${missing.join(', ')}`);
+  }
+
+  return fixture.response;
+}
+
+async function record(apiVersion, body) {
+  const { SHOPIFY_STORE_URL, SHOPIFY_ACCESS_TOKEN } = process.env;
+  const response = await fetch(`https://${SHOPIFY_STORE_URL}/admin/api/${apiVersion}/graphql.json`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN },
+    body: JSON.stringify(body)
+  });
+  const result = await response.json();
+
+  const operation = getOperationName(body.query);
+  if (operation && response.ok && !result.errors) {
+    fs.writeFileSync(fixturePath(operation), JSON.stringify({
+      operation,
+      apiVersion,
+      query: body.query,
+      variables: body.variables || {},
+      response: result
+    }, null, 2) + '\n');
+    console.log(`💾 Recorded ${operation}`);
+  }
+
+  return result;
+}
+
+function checkQueries() {
+  let failures = 0;
+  const versions = new Set();
+
+  for (const [name, query] of Object.entries(queries)) {
+    const fixture = loadFixture(name);
+    if (!fixture) {
+      console.log(`❌ ${name}: no recorded fixture`);
+      failures++;
+    } else if (normalizeQuery(fixture.query) !== normalizeQuery(query)) {
+      console.log(`❌ ${name}: query differs from the recorded fixture`);
+      failures++;
+    } else {
+      versions.add(fixture.apiVersion);
+      console.log(`✅ ${name}`);
+    }
+  }
+
+  if (versions.size > 1) {
+    console.log(`❌ Fixtures were recorded against several API versions: ${[...versions].join(', ')}`);
+    failures++;
+  }
+
+  console.log(failures === 0
+    ? `\n🎉 All ${Object.keys(queries).length} queries match their fixtures (API ${[...versions][0]})`
+    : `\n⚠️ ${failures} problem(s) found`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+function startServer(recording) {
+  if (recording && (!process.env.SHOPIFY_STORE_URL || !process.env.SHOPIFY_ACCESS_TOKEN)) {
+    console.error('Set SHOPIFY_STORE_URL and SHOPIFY_ACCESS_TOKEN to record');
+    process.exit(1);
+  }
+
+  http.createServer((req, res) => {
+    if (req.method === 'PUT' && req.url.startsWith('/staged-uploads/')) {
+      req.resume();
+      req.on('end', () => {
+        res.writeHead(200);
+        res.end();
+      });
+      return;
+    }
+
+    const match = req.url.match(/^\/admin\/api\/([^/]+)\/graphql\.json/);
+    if (req.method !== 'POST' || !match) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ errors: 'Not Found' }));
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      try {
+        const body = JSON.parse(raw);
+        const result = recording ? await record(match[1], body) : replay(match[1], body);
+        if (result.errors) console.log(`⚠️ ${getOperationName(body.query) || 'anonymous'}: ${result.errors.map(e => e.message).join('; ')}`);
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+      } catch (error) {
+        console.error('Mock Shopify error:', error);
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ errors: error.message }));
+      }
+    });
+  }).listen(PORT, () => {
+    console.log(`🧪 Mock Shopify ${recording ? 'recording' : 'replaying'} on http://localhost:${PORT}`);
+  });
+}
+
+if (process.argv.includes('--check')) {
+  checkQueries();
+} else {
+  startServer(process.argv.includes('--record'));
+}
@@ -0,0 +1,104 @@
+const sharp = require('sharp');
+const fetch = require('node-fetch');
+const fs = require('fs');
+const path = require('path');
+
+// Shopify shows product images in a square frame and recommends 2048 x 2048; the
+// smaller copy is for previews and feeds. Every size is written as WebP and JPEG.
+const IMAGE_SIZES = [2048, 1024];
+const OUTPUT_FORMATS = {
+  webp: { extension: 'webp', mimeType: 'image/webp', encode: image => image.webp({ quality: 82 }) },
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg', encode: image => image.jpeg({ quality: 85, mozjpeg: true }) }
+};
+const BACKGROUND = { r: 255, g: 255, b: 255, alpha: 1 };
+const WATERMARK_WIDTH = 0.18; // share of the image width taken by the logo
+const WATERMARK_MARGIN = 0.03;
+const DOWNLOAD_TIMEOUT_MS = 15000;
+const MAX_SOURCE_BYTES = 20 * 1024 * 1024;
+
+const watermarks = new Map(); // "logo path:size" -> resized logo buffer
+
+async function downloadImage(url) {
+  const response = await fetch(url, { timeout: DOWNLOAD_TIMEOUT_MS, size: MAX_SOURCE_BYTES });
+  if (!response.ok) {
+    throw new Error(`Image download failed: ${response.status} ${url}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType && !contentType.startsWith('image/')) {
+    throw new Error(`Not an image (${contentType}): ${url}`);
+  }
+  return response.buffer();
+}
+
+// The logo is scaled to the output size once and reused; a margin of transparent
+// pixels keeps it off the corner
+async function getWatermark(logoPath, size) {
+  const key = `${logoPath}:${size}`;
+  if (!watermarks.has(key)) {
+    const margin = Math.round(size * WATERMARK_MARGIN);
+    const logo = await sharp(logoPath)
+      .resize({ width: Math.round(size * WATERMARK_WIDTH), withoutEnlargement: false })
+      .extend({ right: margin, bottom: margin, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
+    watermarks.set(key, logo);
+  }
+  return watermarks.get(key);
+}
+
+// Turns one photo into square, white-padded copies at every size and format, written
+// to `directory` as "<basename>.<ext>" (largest size) and "<basename>-<size>.<ext>".
+// Camera metadata (EXIF, GPS, ICC) is dropped: sharp only keeps it when asked to,
+// and the orientation it carried is applied first so phone photos aren't sideways.
+async function processImage(input, { directory, basename, watermarkPath = null }) {
+  const source = sharp(input, { failOn: 'truncated' }).rotate();
+  const metadata = await source.metadata();
+  if (!metadata.width || !metadata.height) {
+    throw new Error(`Unreadable image for ${basename}`);
+  }
+
+  if (watermarkPath && !fs.existsSync(watermarkPath)) {
+    console.log(`⚠️ Watermark logo not found at ${watermarkPath} - images are processed without it`);
+    watermarkPath = null;
+  }
+
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  const files = [];
+  for (const [index, size] of IMAGE_SIZES.entries()) {
+    let image = source.clone()
+      .flatten({ background: BACKGROUND })
+      .resize(size, size, { fit: 'contain', background: BACKGROUND });
+
+    if (watermarkPath) {
+      // Composite needs the resized pixels, so render them before laying the logo on top
+      const resized = await image.toBuffer();
+      image = sharp(resized).composite([{ input: await getWatermark(watermarkPath, size), gravity: 'southeast' }]);
+    }
+
+    for (const [format, output] of Object.entries(OUTPUT_FORMATS)) {
+      const filename = `${basename}${index === 0 ? '' : `-${size}`}.${output.extension}`;
+      const filePath = path.join(directory, filename);
+      const info = await output.encode(image.clone()).toFile(filePath);
+
+      files.push({ size, format, mimeType: output.mimeType, filename, path: filePath, bytes: info.size });
+    }
+  }
+
+  return files;
+}
+
+// The copy that goes to Shopify: the largest size in the requested format
+function uploadFile(files, format = 'jpeg') {
+  return files.find(file => file.size === IMAGE_SIZES[0] && file.format === format) ||
+    files.find(file => file.size === IMAGE_SIZES[0]);
+}
+
+module.exports = {
+  IMAGE_SIZES,
+  OUTPUT_FORMATS,
+  downloadImage,
+  processImage,
+  uploadFile
+};
@@ -4,7 +4,12 @@ const XLSX = require('xlsx');
 const fetch = require('node-fetch');
 const cors = require('cors');
 const path = require('path');
-const { db, runQuery, getQuery, getAllQuery } = require('./database');
+const fs = require('fs');
+const crypto = require('crypto');
+const { db, ready, runQuery, getQuery, getAllQuery } = require('./database');
+const { shopifyGraphQL, shopifyMutation, shopifyPaginate, toGid, fromGid, getCallStats } = require('./shopify-client');
+const shopifyQueries = require('./shopify-queries');
+const { IMAGE_SIZES, OUTPUT_FORMATS, downloadImage, processImage, uploadFile } = require('./image-pipeline');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,10 +19,68 @@ const PORT = process.env.PORT || 3000;
 // =============================================================================
 const SCRAPER_API_BASE = 'http://localhost:3001'; // Scraper runs on port 3001
 
+// =============================================================================
+// IMAGE PROCESSING CONFIGURATION
+// =============================================================================
+// 'local' downloads the scraper's images and runs them through image-pipeline.js
+// (square, white background, no EXIF, SEO filenames) before they go to Shopify;
+// 'remote' hands Shopify the scraper URLs as they are
+const IMAGE_PIPELINE = process.env.IMAGE_PIPELINE || 'local';
+const PROCESSED_IMAGE_DIR = process.env.PROCESSED_IMAGE_DIR || path.join(__dirname, 'processed-images');
+const IMAGE_UPLOAD_FORMAT = process.env.IMAGE_UPLOAD_FORMAT === 'webp' ? 'webp' : 'jpeg'; // format sent to Shopify
+// MacBookDepot logo stamped in the bottom-right corner; leave blank for no watermark
+const IMAGE_WATERMARK_PATH = process.env.IMAGE_WATERMARK_PATH || '';
+const MAX_PRODUCT_IMAGES = 8;
+const MAX_UNIT_PHOTOS = 10; // condition photos per stock ID
+
+// =============================================================================
+// SHOPIFY ADMIN API CONFIGURATION
+// =============================================================================
+// GraphQL Admin API version. Shopify supports each quarterly version for a year, so
+// bump this (and re-record fixtures/shopify-graphql) before it leaves the window.
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2025-01';
+
+// Namespace of the spec metafields written by the sync (see PRODUCT_METAFIELDS)
+const SHOPIFY_METAFIELD_NAMESPACE = process.env.SHOPIFY_METAFIELD_NAMESPACE || 'specs';
+
+// =============================================================================
+// SHOPIFY STORES CONFIGURATION
+// =============================================================================
+// Stores and their Admin API tokens are managed on the Settings page. Tokens are
+// encrypted at rest with this key, so changing it makes every saved token unreadable.
+const STORE_CREDENTIALS_KEY = process.env.STORE_CREDENTIALS_KEY || '';
+
+// Optional: seeds the first store on startup when the stores table is empty
+const SHOPIFY_STORE_URL = process.env.SHOPIFY_STORE_URL || '';
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN || '';
+const SHOPIFY_LOCATION_ID = process.env.SHOPIFY_LOCATION_ID || '';
+
+// =============================================================================
+// SHOPIFY INVENTORY PUSH CONFIGURATION
+// =============================================================================
+const SHOPIFY_SOLD_OUT_ACTION = process.env.SHOPIFY_SOLD_OUT_ACTION || 'none'; // 'none', 'archive' or 'unpublish'
+const SHOPIFY_RECONCILE_ACTION = process.env.SHOPIFY_RECONCILE_ACTION || 'draft'; // 'draft' or 'archive' for listings with no unsold units
+const INVENTORY_RETRY_INTERVAL_MS = 5 * 60 * 1000;
+const INVENTORY_MAX_ATTEMPTS = 10;
+
+// Webhook signing secret (Settings → Notifications → Webhooks) and the payment
+// processing fee charged on online orders, used to estimate per-unit fees
+const SHOPIFY_WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET || '';
+const SHOPIFY_FEE_PERCENT = parseFloat(process.env.SHOPIFY_FEE_PERCENT || '2.9');
+const SHOPIFY_FEE_FIXED = parseFloat(process.env.SHOPIFY_FEE_FIXED || '0.30');
+
+// Hours between aging markdown runs (see AGING MARKDOWNS); 0 turns the schedule off
+const PRICE_MARKDOWN_INTERVAL_HOURS = parseFloat(process.env.PRICE_MARKDOWN_INTERVAL_HOURS || '24');
+
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Keep the raw bytes so Shopify webhook signatures can be verified
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.static('public'));
+app.use('/processed-images', express.static(PROCESSED_IMAGE_DIR));
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -72,7 +135,19 @@ app.post('/api/record-sale', async (req, res) => {
     // Mark product as sold
     await runQuery('UPDATE products SET is_sold = 1 WHERE stock_id = ?', [stockId]);
     
-    res.json({ success: true, message: 'Sale recorded successfully' });
+    // Take the unit off Shopify in the background; failures stay queued for retry
+    const queuedAdjustment = await queueShopifyInventoryAdjustment(stockId, -1, 'local_sale');
+    if (queuedAdjustment) {
+      processInventoryQueueItem(queuedAdjustment.id).catch(error => {
+        console.error(`❌ Shopify inventory push failed for ${stockId}:`, error.message);
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Sale recorded successfully',
+      shopifyUpdate: queuedAdjustment ? 'queued' : 'not_listed'
+    });
   } catch (error) {
     console.error('Sale recording error:', error);
     res.status(500).json({ error: 'Failed to record sale' });
@@ -129,6 +204,154 @@ app.get('/api/costs/:stockId', async (req, res) => {
   }
 });
 
+// =============================================================================
+// UNIT CONDITION PHOTOS
+// =============================================================================
+// Photos of one specific unit (dents, scratches), uploaded from the cost lookup. They
+// go through the image pipeline like product images and are added to the unit's
+// Shopify product and variant on the next sync; see syncUnitPhotos().
+
+app.get('/api/unit-photos/:stockId', async (req, res) => {
+  try {
+    const photos = await getAllQuery(
+      'SELECT * FROM unit_photos WHERE stock_id = ? ORDER BY id',
+      [req.params.stockId]
+    );
+    res.json({ success: true, photos: photos.map(formatUnitPhoto) });
+  } catch (error) {
+    console.error('Unit photo lookup error:', error);
+    res.status(500).json({ error: 'Failed to get unit photos' });
+  }
+});
+
+app.post('/api/unit-photos/:stockId', upload.array('photos', MAX_UNIT_PHOTOS), async (req, res) => {
+  try {
+    const { stockId } = req.params;
+    const product = await getQuery('SELECT * FROM products WHERE stock_id = ?', [stockId]);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'Upload at least one photo in the "photos" field' });
+    }
+    const notImages = files.filter(file => !file.mimetype.startsWith('image/'));
+    if (notImages.length > 0) {
+      return res.status(400).json({ error: `Not an image: ${notImages.map(file => file.originalname).join(', ')}` });
+    }
+
+    const { count } = await getQuery('SELECT COUNT(*) as count FROM unit_photos WHERE stock_id = ?', [stockId]);
+    if (count + files.length > MAX_UNIT_PHOTOS) {
+      return res.status(400).json({ error: `A unit can have at most ${MAX_UNIT_PHOTOS} photos (${count} already uploaded)` });
+    }
+
+    const handle = createSEOOptimizedHandle({
+      productType: product.product_type,
+      displaySize: product.display_size,
+      processor: product.processor,
+      year: product.year,
+      storage: product.storage,
+      memory: product.memory
+    });
+
+    let added = 0;
+    for (const file of files) {
+      const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+      const filename = `${handle}-unit-${unitPhotoFolder(stockId).toLowerCase()}-${hash.slice(0, 8)}`;
+      const processed = await processImage(file.buffer, {
+        directory: path.join(PROCESSED_IMAGE_DIR, 'units', unitPhotoFolder(stockId)),
+        basename: filename,
+        watermarkPath: IMAGE_WATERMARK_PATH || null
+      });
+
+      const result = await runQuery(`
+        INSERT OR IGNORE INTO unit_photos (stock_id, filename, original_name, source_hash)
+        VALUES (?, ?, ?, ?)
+      `, [stockId, uploadFile(processed, IMAGE_UPLOAD_FORMAT).filename, file.originalname, hash]);
+      added += result.changes;
+    }
+
+    console.log(`📷 ${added} condition photo(s) added for ${stockId}`);
+
+    const photos = await getAllQuery('SELECT * FROM unit_photos WHERE stock_id = ? ORDER BY id', [stockId]);
+    res.json({
+      success: true,
+      added,
+      duplicates: files.length - added,
+      photos: photos.map(formatUnitPhoto)
+    });
+  } catch (error) {
+    console.error('Unit photo upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Removes the photo here and, when it was already synced, from the Shopify product
+app.delete('/api/unit-photos/:id', async (req, res) => {
+  try {
+    const photo = await getQuery('SELECT * FROM unit_photos WHERE id = ?', [req.params.id]);
+    if (!photo) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+
+    let removedFromShopify = false;
+    if (photo.media_id) {
+      try {
+        const product = await getQuery('SELECT shopify_store_id FROM products WHERE stock_id = ?', [photo.stock_id]);
+        const { baseUrl, headers } = storeConnection(await loadStore(product && product.shopify_store_id));
+        await shopifyMutation(baseUrl, headers, shopifyQueries.ProductDeleteMedia, {
+          productId: toGid('Product', photo.shopify_product_id),
+          mediaIds: [photo.media_id]
+        });
+        removedFromShopify = true;
+      } catch (error) {
+        console.log(`⚠️ Could not remove photo ${photo.id} from Shopify product ${photo.shopify_product_id}: ${error.message}`);
+      }
+    }
+
+    await runQuery('DELETE FROM unit_photos WHERE id = ?', [photo.id]);
+
+    const directory = path.join(PROCESSED_IMAGE_DIR, 'units', unitPhotoFolder(photo.stock_id));
+    const basename = path.parse(photo.filename).name;
+    for (const file of await fs.promises.readdir(directory).catch(() => [])) {
+      if (file.startsWith(`${basename}.`) || file.startsWith(`${basename}-`)) {
+        await fs.promises.unlink(path.join(directory, file));
+      }
+    }
+
+    res.json({ success: true, removedFromShopify });
+  } catch (error) {
+    console.error('Unit photo delete error:', error);
+    res.status(500).json({ error: 'Failed to delete photo' });
+  }
+});
+
+// Stock IDs come from supplier sheets, so keep them to safe characters on disk
+function unitPhotoFolder(stockId) {
+  return String(stockId).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+function unitPhotoPath(photo) {
+  return path.join(PROCESSED_IMAGE_DIR, 'units', unitPhotoFolder(photo.stock_id), photo.filename);
+}
+
+function formatUnitPhoto(photo) {
+  const base = `/processed-images/units/${encodeURIComponent(unitPhotoFolder(photo.stock_id))}`;
+  const { name, ext } = path.parse(photo.filename);
+
+  return {
+    id: photo.id,
+    stockId: photo.stock_id,
+    originalName: photo.original_name,
+    url: `${base}/${photo.filename}`,
+    thumbnailUrl: `${base}/${name}-${IMAGE_SIZES[IMAGE_SIZES.length - 1]}${ext}`,
+    onShopify: Boolean(photo.media_id),
+    shopifyUrl: photo.shopify_url,
+    dateUploaded: photo.date_uploaded
+  };
+}
+
 // Serve reports page
 app.get('/reports', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'reports.html'));
@@ -217,13 +440,19 @@ app.get('/api/reports', async (req, res) => {
         break;
 
       case 'profit':
-        // Profit analysis
+        // Profit analysis - local sales plus online orders (net of estimated payment fees)
+        const allSalesSql = `
+          SELECT stock_id, sale_price, payment_method, sale_date, 0 as fees FROM local_sales
+          UNION ALL
+          SELECT stock_id, sale_price, 'shopify' as payment_method, sale_date, fees FROM online_sales WHERE status = 'sold'
+        `;
+
         const profitData = await getAllQuery(`
-          SELECT ls.stock_id, ls.sale_price, ls.payment_method, ls.sale_date,
+          SELECT ls.stock_id, ls.sale_price, ls.payment_method, ls.sale_date, ls.fees,
                  p.product_type, p.supplier_cost, p.additional_costs,
-                 (ls.sale_price - p.supplier_cost - p.additional_costs) as profit,
-                 ROUND(((ls.sale_price - p.supplier_cost - p.additional_costs) / ls.sale_price * 100), 2) as profit_margin
-          FROM local_sales ls 
+                 (ls.sale_price - ls.fees - p.supplier_cost - p.additional_costs) as profit,
+                 ROUND(((ls.sale_price - ls.fees - p.supplier_cost - p.additional_costs) / ls.sale_price * 100), 2) as profit_margin
+          FROM (${allSalesSql}) ls 
           JOIN products p ON ls.stock_id = p.stock_id 
           WHERE 1=1${dateFilter}
           ORDER BY profit DESC
@@ -233,10 +462,10 @@ app.get('/api/reports', async (req, res) => {
           SELECT 
             COUNT(*) as sales_count,
             SUM(ls.sale_price) as total_revenue,
-            SUM(p.supplier_cost + p.additional_costs) as total_costs,
-            SUM(ls.sale_price - p.supplier_cost - p.additional_costs) as total_profit,
-            AVG((ls.sale_price - p.supplier_cost - p.additional_costs) / ls.sale_price * 100) as avg_profit_margin
-          FROM local_sales ls 
+            SUM(p.supplier_cost + p.additional_costs + ls.fees) as total_costs,
+            SUM(ls.sale_price - ls.fees - p.supplier_cost - p.additional_costs) as total_profit,
+            AVG((ls.sale_price - ls.fees - p.supplier_cost - p.additional_costs) / ls.sale_price * 100) as avg_profit_margin
+          FROM (${allSalesSql}) ls 
           JOIN products p ON ls.stock_id = p.stock_id 
           WHERE 1=1${dateFilter}
         `, dateParams);
@@ -289,15 +518,24 @@ app.get('/api/dashboard-stats', async (req, res) => {
 
     const salesStats = await getQuery(`
       SELECT 
-        COALESCE(SUM(sale_price), 0) as totalSales
-      FROM local_sales
+        (SELECT COALESCE(SUM(sale_price), 0) FROM local_sales) +
+        (SELECT COALESCE(SUM(sale_price), 0) FROM online_sales WHERE status = 'sold') as totalSales
+    `);
+
+    const queueStats = await getQuery(`
+      SELECT 
+        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
+        COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed
+      FROM shopify_inventory_queue
     `);
 
     res.json({
       totalProducts: stats.totalProducts || 0,
       availableProducts: stats.availableProducts || 0,
       soldProducts: stats.soldProducts || 0,
-      totalSales: salesStats.totalSales || 0
+      totalSales: salesStats.totalSales || 0,
+      shopifyUpdatesPending: queueStats.pending || 0,
+      shopifyUpdatesFailed: queueStats.failed || 0
     });
 
   } catch (error) {
@@ -306,186 +544,3147 @@ app.get('/api/dashboard-stats', async (req, res) => {
   }
 });
 
+// Serve settings page
+app.get('/settings', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'settings.html'));
+});
+
+// Serve pricing rules page
+app.get('/pricing', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'pricing.html'));
+});
+
 // =============================================================================
-// NEW: IMAGE INTEGRATION ENDPOINTS
+// SHOPIFY STORES
 // =============================================================================
 
-// Test connection to scraper API
-app.get('/api/test-scraper-connection', async (req, res) => {
+app.get('/api/stores', async (req, res) => {
   try {
-    console.log('🔌 Testing connection to scraper API...');
-    
-    const response = await fetch(`${SCRAPER_API_BASE}/api/health`, {
-      timeout: 5000
-    });
-    
-    if (response.ok) {
-      const healthData = await response.json();
-      console.log('✅ Scraper API connection successful');
-      
-      res.json({
-        success: true,
-        message: 'Successfully connected to MacBook Image Scraper API',
-        scraperHealth: healthData,
-        integration: 'ready'
-      });
-    } else {
-      throw new Error(`Scraper API responded with status: ${response.status}`);
-    }
-    
-  } catch (error) {
-    console.error('❌ Scraper API connection failed:', error.message);
-    
+    const stores = await getAllQuery('SELECT * FROM stores ORDER BY is_default DESC, name');
+    const types = await getAllQuery(
+      'SELECT DISTINCT product_type FROM products WHERE product_type IS NOT NULL ORDER BY product_type'
+    );
+
     res.json({
-      success: false,
-      message: 'Could not connect to MacBook Image Scraper API',
-      error: error.message,
-      solution: 'Make sure the scraper server is running on port 3001',
-      startCommand: 'cd scraper && node server.js'
+      success: true,
+      encryptionConfigured: Boolean(STORE_CREDENTIALS_KEY),
+      stores: stores.map(serializeStore),
+      knownProductTypes: types.map(row => row.product_type)
     });
+  } catch (error) {
+    console.error('Stores error:', error);
+    res.status(500).json({ error: 'Failed to load stores' });
   }
 });
 
-// Find images for specific product (used during Shopify sync)
-app.post('/api/find-product-images', async (req, res) => {
+app.post('/api/stores', async (req, res) => {
   try {
-    const { productSpecs } = req.body;
-    
-    console.log('🔍 Searching for images for product:', productSpecs);
-    
-    // Build query parameters for scraper API
-    const queryParams = new URLSearchParams();
-    
-    if (productSpecs.productType) queryParams.append('productType', productSpecs.productType);
-    if (productSpecs.displaySize) queryParams.append('displaySize', productSpecs.displaySize);
-    if (productSpecs.processor) queryParams.append('processor', productSpecs.processor);
-    if (productSpecs.year) queryParams.append('year', productSpecs.year);
-    if (productSpecs.storage) queryParams.append('storage', productSpecs.storage);
-    if (productSpecs.memory) queryParams.append('memory', productSpecs.memory);
-    if (productSpecs.color) queryParams.append('color', productSpecs.color);
-    if (productSpecs.condition) queryParams.append('condition', productSpecs.condition);
-    if (productSpecs.keyboardLayout) queryParams.append('keyboardLayout', productSpecs.keyboardLayout);
-    
-    const searchUrl = `${SCRAPER_API_BASE}/api/find-images?${queryParams.toString()}`;
-    console.log('🔗 Querying scraper:', searchUrl);
-    
-    const response = await fetch(searchUrl);
-    
-    if (!response.ok) {
-      throw new Error(`Scraper search failed: ${response.status}`);
+    const store = await validateStoreInput(req.body, null);
+    if (!store.accessToken) {
+      return res.status(400).json({ error: 'accessToken is required' });
     }
-    
-    const searchResults = await response.json();
-    
-    console.log(`🎯 Image search results: ${searchResults.found ? `${searchResults.matchCount} matches` : 'no matches'}`);
-    
-    res.json({
-      success: true,
-      query: productSpecs,
-      imageSearchResults: searchResults,
-      hasImages: searchResults.found,
-      bestMatch: searchResults.matches?.[0] || null
-    });
-    
+
+    const result = await runQuery(`
+      INSERT INTO stores (name, store_url, access_token, token_hint, webhook_secret, default_location, currency, exchange_rate, product_types)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      store.name, store.storeUrl, encryptSecret(store.accessToken), tokenHint(store.accessToken),
+      store.webhookSecret ? encryptSecret(store.webhookSecret) : null,
+      store.defaultLocation, store.currency, store.exchangeRate, JSON.stringify(store.productTypes)
+    ]);
+
+    // The first store becomes the default one
+    const { count } = await getQuery('SELECT COUNT(*) as count FROM stores WHERE is_default = 1');
+    if (req.body.isDefault || count === 0) await setDefaultStore(result.id);
+
+    console.log(`🏪 Added store ${store.name} (${store.storeUrl})`);
+    res.json({ success: true, store: serializeStore(await getQuery('SELECT * FROM stores WHERE id = ?', [result.id])) });
   } catch (error) {
-    console.error('❌ Product image search failed:', error.message);
-    
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: 'Failed to search for product images'
-    });
+    if (error.status === 400) return res.status(400).json({ error: error.message });
+    if (/UNIQUE constraint failed/.test(error.message)) {
+      return res.status(400).json({ error: 'A store with this URL already exists' });
+    }
+    console.error('Add store error:', error);
+    res.status(500).json({ error: 'Failed to add store' });
   }
 });
 
-// Process Excel file endpoint
-app.post('/api/process-excel', upload.single('excelFile'), async (req, res) => {
+// A blank accessToken or webhookSecret keeps the saved one
+app.put('/api/stores/:id', async (req, res) => {
   try {
-    console.log('📊 Processing Excel file with enhanced inventory tracking...');
-    
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const existing = await getQuery('SELECT * FROM stores WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Store not found' });
     }
 
-    // Parse Excel file
-    const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
-    console.log(`📋 Found sheets: ${workbook.SheetNames.join(', ')}`);
-    
-    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-    
-    // Parse data - try multiple methods
-    let data = [];
-    
-    try {
-      data = XLSX.utils.sheet_to_json(worksheet);
-      console.log(`✅ Method 1 success: ${data.length} rows`);
-    } catch (e) {
-      console.log('Method 1 failed, trying method 2');
-      const arrayData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-      if (arrayData.length > 1) {
-        const headers = arrayData[0];
-        data = arrayData.slice(1).map(row => {
-          const obj = {};
-          headers.forEach((header, i) => {
-            obj[header] = row[i] || '';
-          });
-          return obj;
-        });
-        console.log(`✅ Method 2 success: ${data.length} rows`);
-      }
+    const store = await validateStoreInput(req.body, existing.id);
+
+    await runQuery(`
+      UPDATE stores SET
+        name = ?, store_url = ?, default_location = ?, currency = ?, exchange_rate = ?, product_types = ?,
+        access_token = COALESCE(?, access_token), token_hint = COALESCE(?, token_hint),
+        webhook_secret = COALESCE(?, webhook_secret),
+        date_updated = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      store.name, store.storeUrl, store.defaultLocation, store.currency, store.exchangeRate, JSON.stringify(store.productTypes),
+      store.accessToken ? encryptSecret(store.accessToken) : null,
+      store.accessToken ? tokenHint(store.accessToken) : null,
+      store.webhookSecret ? encryptSecret(store.webhookSecret) : null,
+      existing.id
+    ]);
+    if (req.body.isDefault) await setDefaultStore(existing.id);
+
+    res.json({ success: true, store: serializeStore(await getQuery('SELECT * FROM stores WHERE id = ?', [existing.id])) });
+  } catch (error) {
+    if (error.status === 400) return res.status(400).json({ error: error.message });
+    if (/UNIQUE constraint failed/.test(error.message)) {
+      return res.status(400).json({ error: 'A store with this URL already exists' });
     }
+    console.error('Update store error:', error);
+    res.status(500).json({ error: 'Failed to update store' });
+  }
+});
 
-    if (data.length === 0) {
-      return res.json({
-        error: 'No data found in Excel file',
-        debug: { sheets: workbook.SheetNames }
-      });
+app.delete('/api/stores/:id', async (req, res) => {
+  try {
+    const store = await getQuery('SELECT * FROM stores WHERE id = ?', [req.params.id]);
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
     }
 
-    // Enhanced Apple product filtering
-    const appleProducts = data.filter(item => {
-      if (!item || typeof item !== 'object') return false;
-      
-      const values = Object.values(item).join(' ').toLowerCase();
-      return values.includes('apple') || 
-             values.includes('macbook') || 
-             values.includes('ipad') || 
-             values.includes('iphone') ||
-             values.includes('imac') ||
-             values.includes('laptop') ||
-             values.includes('tablet') ||
-             values.includes('mac') ||
-             values.includes('airpods');
-    });
+    const { count } = await getQuery(
+      `SELECT COUNT(*) as count FROM shopify_inventory_queue WHERE store_id = ? AND status IN ('pending', 'failed')`,
+      [store.id]
+    );
+    if (count > 0) {
+      return res.status(400).json({ error: `${count} inventory update(s) for this store haven't reached Shopify yet` });
+    }
 
-    console.log(`🍎 Found ${appleProducts.length} Apple products`);
+    // Units, products and price history synced to the store keep its ID (links made before
+    // stores were tracked count for the default store), so a store that was synced to stays
+    const belongsToStore = column => `(${column} = ? OR (${column} IS NULL AND ? = 1))`;
+    const linked = await getQuery(`
+      SELECT
+        (SELECT COUNT(*) FROM products WHERE shopify_variant_id IS NOT NULL AND ${belongsToStore('shopify_store_id')}) as units,
+        (SELECT COUNT(*) FROM shopify_product_links WHERE ${belongsToStore('store_id')}) as products,
+        (SELECT COUNT(*) FROM price_history WHERE store_id = ?) as priceChanges
+    `, [store.id, store.is_default, store.id, store.is_default, store.id]);
+    if (linked.units > 0 || linked.products > 0 || linked.priceChanges > 0) {
+      const held = [
+        linked.units > 0 && `${linked.units} unit(s)`,
+        linked.products > 0 && `${linked.products} Shopify product(s)`,
+        linked.priceChanges > 0 && `${linked.priceChanges} price change(s)`
+      ].filter(Boolean);
+      return res.status(400).json({ error: `${store.name} can't be removed - ${held.join(', ')} are recorded against it` });
+    }
 
-    if (appleProducts.length === 0) {
-      return res.json({
-        error: 'No Apple products found',
-        debug: {
-          totalRows: data.length,
-          sampleData: data.slice(0, 3)
-        }
-      });
+    await runQuery('DELETE FROM stores WHERE id = ?', [store.id]);
+
+    // Keep a default store while any are left
+    if (store.is_default) {
+      const next = await getQuery('SELECT id FROM stores ORDER BY id LIMIT 1');
+      if (next) await setDefaultStore(next.id);
     }
 
-    // ENHANCED: Create product groups with image integration
-const { productGroups, categories, totalItems, groupCount, totalUniqueUnits } = createProductGroups(appleProducts);
+    console.log(`🗑️ Removed store ${store.name}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete store error:', error);
+    res.status(500).json({ error: 'Failed to delete store' });
+  }
+});
 
-// NEW: Check for available images for each product group
-console.log('🖼️ Checking for available images for each product group...');
-const productGroupsWithImages = await addImageAvailabilityToGroups(productGroups);
+// Checks the token against the shop, and the default location and currency against its settings
+app.post('/api/stores/:id/test', async (req, res) => {
+  try {
+    const store = await loadStore(req.params.id);
 
-    console.log(`✅ Created ${groupCount} product groups with ${totalUniqueUnits} total units`);
+    let connection;
+    try {
+      connection = await connectToShopify(store.store_url, store.access_token);
+    } catch (error) {
+      return res.json({ success: false, error: error.message });
+    }
+
+    const locations = await fetchShopifyLocations(connection.baseUrl, connection.headers);
+    const warnings = [];
+
+    let defaultLocation = null;
+    try {
+      defaultLocation = resolveShopifyLocation(locations, '', store.default_location).name;
+    } catch (error) {
+      warnings.push(error.message);
+    }
+    if (connection.shop.currencyCode !== store.currency) {
+      warnings.push(`Store currency is ${connection.shop.currencyCode} but prices are set up for ${store.currency}`);
+    }
 
     res.json({
       success: true,
-      totalItems,
-      groupCount,
-      totalUniqueUnits,
-      categories,
+      shop: { name: connection.shop.name, currency: connection.shop.currencyCode },
+      locations: locations.map(l => ({ id: l.id, name: l.name })),
+      defaultLocation,
+      warnings
+    });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('Test store error:', error);
+    res.status(500).json({ error: 'Failed to test store connection' });
+  }
+});
+
+function encryptionKey() {
+  if (!STORE_CREDENTIALS_KEY) {
+    throw Object.assign(new Error('Set STORE_CREDENTIALS_KEY to store Shopify tokens'), { status: 400 });
+  }
+  return crypto.createHash('sha256').update(STORE_CREDENTIALS_KEY).digest();
+}
+
+// AES-256-GCM, stored as "v1:iv:tag:ciphertext" (base64 parts)
+function encryptSecret(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+
+  return ['v1', ...[iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64'))].join(':');
+}
+
+function decryptSecret(value) {
+  const [version, iv, tag, encrypted] = value.split(':');
+  if (version !== 'v1') {
+    throw new Error('Unsupported credential format');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('Could not decrypt the saved access token - was STORE_CREDENTIALS_KEY changed?');
+  }
+}
+
+function tokenHint(token) {
+  return `…${token.slice(-4)}`;
+}
+
+// What the API returns for a store: never the token or webhook secret itself
+function serializeStore(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    storeUrl: row.store_url,
+    tokenHint: row.token_hint,
+    webhookSecretSet: Boolean(row.webhook_secret),
+    defaultLocation: row.default_location || '',
+    currency: row.currency,
+    exchangeRate: row.exchange_rate,
+    productTypes: row.product_types ? JSON.parse(row.product_types) : [],
+    isDefault: Boolean(row.is_default),
+    dateCreated: row.date_created,
+    dateUpdated: row.date_updated
+  };
+}
+
+async function validateStoreInput(body, storeId) {
+  const fail = message => { throw Object.assign(new Error(message), { status: 400 }); };
+
+  const name = (body.name || '').toString().trim();
+  const storeUrl = (body.storeUrl || '').toString().trim()
+    .replace(/^https:\/\//, '')
+    .replace(/\/+$/, '');
+  const currency = (body.currency || 'CAD').toString().trim().toUpperCase();
+  const exchangeRate = body.exchangeRate === undefined || body.exchangeRate === '' ? 1 : parseFloat(body.exchangeRate);
+  const productTypes = [...new Set((body.productTypes || []).map(type => type.toString().trim()).filter(Boolean))];
+
+  if (!name || !storeUrl) fail('name and storeUrl are required');
+  if (!/^[A-Z]{3}$/.test(currency)) fail('currency must be a 3-letter code such as CAD or USD');
+  if (!(exchangeRate > 0)) fail('exchangeRate must be a positive number');
+
+  // A product type can only be listed by one store, otherwise both would sync it
+  const others = await getAllQuery('SELECT name, product_types FROM stores WHERE id != ?', [storeId || 0]);
+  for (const other of others) {
+    const taken = productTypes.filter(type => (JSON.parse(other.product_types || '[]')).includes(type));
+    if (taken.length > 0) fail(`${taken.join(', ')} already ${taken.length === 1 ? 'goes' : 'go'} to ${other.name}`);
+  }
+
+  return {
+    name,
+    storeUrl,
+    accessToken: (body.accessToken || '').toString().trim(),
+    webhookSecret: (body.webhookSecret || '').toString().trim(),
+    defaultLocation: (body.defaultLocation || '').toString().trim() || null,
+    currency,
+    exchangeRate,
+    productTypes
+  };
+}
+
+async function setDefaultStore(storeId) {
+  await runQuery('UPDATE stores SET is_default = CASE WHEN id = ? THEN 1 ELSE 0 END', [storeId]);
+}
+
+// The store row with its token decrypted. No ID means the default store.
+async function loadStore(storeId) {
+  const store = storeId
+    ? await getQuery('SELECT * FROM stores WHERE id = ?', [storeId])
+    : await getQuery('SELECT * FROM stores ORDER BY is_default DESC, id LIMIT 1');
+  if (!store) {
+    throw Object.assign(new Error(storeId ? 'Store not found' : 'No Shopify store set up - add one under Settings'), { status: 404 });
+  }
+
+  store.access_token = decryptSecret(store.access_token);
+  return store;
+}
+
+// Like loadStore, but null rather than an error when no store has been set up yet
+async function findStore(storeId) {
+  try {
+    return await loadStore(storeId);
+  } catch (error) {
+    if (error.status === 404 && !storeId) return null;
+    throw error;
+  }
+}
+
+function storeConnection(store) {
+  return {
+    baseUrl: shopifyAdminUrl(store.store_url),
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Access-Token': store.access_token
+    }
+  };
+}
+
+// Groups whose product type is listed by this store, plus every unclaimed type when
+// it is the default store
+async function filterGroupsForStore(productGroups, store) {
+  const stores = await getAllQuery('SELECT id, product_types FROM stores');
+  const owners = new Map();
+  stores.forEach(row => JSON.parse(row.product_types || '[]').forEach(type => owners.set(type, row.id)));
+
+  const included = {};
+  const excluded = [];
+  for (const [groupKey, productGroup] of Object.entries(productGroups)) {
+    const owner = owners.get(productGroup.productType);
+    if (owner === store.id || (owner === undefined && store.is_default)) {
+      included[groupKey] = productGroup;
+    } else {
+      excluded.push(groupKey);
+    }
+  }
+
+  return { productGroups: included, excluded };
+}
+
+// Prices are worked out in CAD; other storefronts get them converted at the store's rate
+// and rounded again with the product type's rounding rule. Prices held at the cost floor
+// round up so they still cover the unit.
+function applyStorePricing(variants, store, productType) {
+  const { rate, convert, convertUp } = storePriceConverter(store, productType);
+  if (rate === 1) return variants;
+
+  for (const variant of variants) {
+    variant.price = (variant.price_floor ? convertUp : convert)(variant.price).toString();
+    if (variant.compare_at_price) {
+      variant.compare_at_price = convert(variant.compare_at_price).toString();
+    }
+    if (variant.price_floor) {
+      variant.price_floor = {
+        ...variant.price_floor,
+        rulePrice: convert(variant.price_floor.rulePrice),
+        floor: convertUp(variant.price_floor.floor),
+        landedCost: Math.round(variant.price_floor.landedCost * rate)
+      };
+    }
+    if (variant.price_override) {
+      variant.price_override = {
+        ...variant.price_override,
+        price: convert(variant.price_override.price),
+        rulePrice: convert(variant.price_override.rulePrice),
+        belowFloor: variant.price_override.belowFloor === null ? null : convertUp(variant.price_override.belowFloor)
+      };
+    }
+  }
+  return variants;
+}
+
+function storePriceConverter(store, productType) {
+  const rate = parseFloat(store.exchange_rate) || 1;
+  const rounding = pricingRulesFor('rounding', productType || '')[0] || null;
+  return {
+    rate,
+    convert: price => (rate === 1 ? parseFloat(price) : roundPrice(parseFloat(price) * rate, rounding)),
+    convertUp: price => (rate === 1 ? parseFloat(price) : roundPriceUp(parseFloat(price) * rate, rounding))
+  };
+}
+
+// Carry a store configured through SHOPIFY_STORE_URL/SHOPIFY_ACCESS_TOKEN over into the stores table
+async function seedStoreFromEnvironment() {
+  if (!SHOPIFY_STORE_URL || !SHOPIFY_ACCESS_TOKEN) return;
+
+  const { count } = await getQuery('SELECT COUNT(*) as count FROM stores');
+  if (count > 0) return;
+  if (!STORE_CREDENTIALS_KEY) {
+    console.log('⚠️ SHOPIFY_STORE_URL is set but STORE_CREDENTIALS_KEY is not - the store was not saved');
+    return;
+  }
+
+  await runQuery(`
+    INSERT INTO stores (name, store_url, access_token, token_hint, webhook_secret, default_location, is_default)
+    VALUES (?, ?, ?, ?, ?, ?, 1)
+  `, [
+    SHOPIFY_STORE_URL, SHOPIFY_STORE_URL, encryptSecret(SHOPIFY_ACCESS_TOKEN), tokenHint(SHOPIFY_ACCESS_TOKEN),
+    SHOPIFY_WEBHOOK_SECRET ? encryptSecret(SHOPIFY_WEBHOOK_SECRET) : null, SHOPIFY_LOCATION_ID || null
+  ]);
+  console.log(`🏪 Saved ${SHOPIFY_STORE_URL} from the environment as the default store`);
+}
+
+// =============================================================================
+// SHOPIFY INVENTORY PUSH
+// =============================================================================
+
+// Inventory adjustments that haven't reached Shopify yet, plus the latest completed ones
+app.get('/api/shopify-inventory-queue', async (req, res) => {
+  try {
+    const outstanding = await getAllQuery(`
+      SELECT * FROM shopify_inventory_queue
+      WHERE status IN ('pending', 'failed')
+      ORDER BY date_created DESC
+    `);
+    const recent = await getAllQuery(`
+      SELECT * FROM shopify_inventory_queue
+      WHERE status = 'completed'
+      ORDER BY date_updated DESC
+      LIMIT 20
+    `);
+
+    const parseResult = item => ({ ...item, result: item.result ? JSON.parse(item.result) : null });
+
+    res.json({
+      success: true,
+      configured: Boolean(await getQuery('SELECT id FROM stores LIMIT 1')),
+      outstanding: outstanding.map(parseResult),
+      recent: recent.map(parseResult)
+    });
+  } catch (error) {
+    console.error('Inventory queue error:', error);
+    res.status(500).json({ error: 'Failed to load Shopify inventory queue' });
+  }
+});
+
+app.post('/api/shopify-inventory-queue/:id/retry', async (req, res) => {
+  try {
+    const item = await getQuery('SELECT * FROM shopify_inventory_queue WHERE id = ?', [req.params.id]);
+    if (!item) {
+      return res.status(404).json({ error: 'Queue item not found' });
+    }
+    if (item.status === 'completed' || item.status === 'superseded') {
+      return res.status(400).json({ error: 'This update already reached Shopify' });
+    }
+
+    // A manual retry gets a fresh set of attempts
+    await runQuery(`
+      UPDATE shopify_inventory_queue SET status = 'pending', attempts = 0, date_updated = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [item.id]);
+    await processInventoryQueueItem(item.id);
+
+    const updated = await getQuery('SELECT * FROM shopify_inventory_queue WHERE id = ?', [item.id]);
+    res.json({ success: updated.status === 'completed', item: updated });
+  } catch (error) {
+    console.error('Inventory queue retry error:', error);
+    res.status(500).json({ error: 'Failed to retry Shopify inventory update' });
+  }
+});
+
+// Unsold units per location, plus the Shopify locations units can be moved to
+// (of ?storeId, or the default store)
+app.get('/api/inventory/locations', async (req, res) => {
+  try {
+    const units = await getAllQuery(`
+      SELECT COALESCE(location, '') as location, COUNT(*) as units
+      FROM products
+      WHERE is_sold = 0
+      GROUP BY COALESCE(location, '')
+      ORDER BY location
+    `);
+
+    let shopifyLocations = null;
+    const store = await findStore(req.query.storeId);
+    if (store) {
+      const { baseUrl, headers } = storeConnection(store);
+      const locations = await fetchShopifyLocations(baseUrl, headers);
+      shopifyLocations = locations.map(l => ({ id: l.id, name: l.name }));
+    }
+
+    res.json({ success: true, units, shopifyLocations });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('Inventory locations error:', error);
+    res.status(500).json({ error: 'Failed to load inventory locations' });
+  }
+});
+
+// Move units to another location and set Shopify's per-location levels to match.
+// The destination is checked against the locations of storeId (default store if omitted).
+app.post('/api/inventory/transfer', async (req, res) => {
+  try {
+    const { toLocation } = req.body;
+    const stockIds = [...new Set((req.body.stockIds || [req.body.stockId])
+      .filter(Boolean)
+      .map(id => id.toString().trim()))];
+
+    if (stockIds.length === 0 || !toLocation || !toLocation.toString().trim()) {
+      return res.status(400).json({ error: 'stockIds and toLocation are required' });
+    }
+
+    // Units are listed on (and pushed to) the store they were synced to, so the
+    // destination is checked against each unit's own store before touching anything locally
+    const store = await findStore(req.body.storeId);
+    const requested = toLocation.toString().trim();
+    const storeLocations = new Map(); // store ID ('' = requested store) -> { store, locations }
+    const locationsFor = async storeKey => {
+      if (!storeLocations.has(storeKey)) {
+        const unitStore = !storeKey || storeKey === String(store.id) ? store : await loadStore(storeKey);
+        const { baseUrl, headers } = storeConnection(unitStore);
+        storeLocations.set(storeKey, { store: unitStore, locations: await fetchShopifyLocations(baseUrl, headers) });
+      }
+      return storeLocations.get(storeKey);
+    };
+
+    const units = await getAllQuery(
+      `SELECT stock_id, is_sold, location, shopify_variant_id, shopify_store_id FROM products
+       WHERE stock_id IN (${stockIds.map(() => '?').join(',')})`,
+      stockIds
+    );
+    const unitsById = new Map(units.map(unit => [unit.stock_id, unit]));
+
+    const moved = [];
+    const skipped = [];
+    const unknownLocations = [];
+    for (const stockId of stockIds) {
+      const unit = unitsById.get(stockId);
+      if (!unit) {
+        skipped.push({ stockId, reason: 'Not found' });
+        continue;
+      }
+      if (unit.is_sold) {
+        skipped.push({ stockId, reason: 'Already sold' });
+        continue;
+      }
+
+      let destination = requested;
+      if (store) {
+        let unitStore = null;
+        try {
+          const unitLocations = await locationsFor(String(unit.shopify_store_id || ''));
+          unitStore = unitLocations.store;
+          destination = resolveShopifyLocation(unitLocations.locations, requested).name;
+        } catch (error) {
+          const reason = unitStore ? `${unitStore.name}: ${error.message}` : error.message;
+          skipped.push({ stockId, reason });
+          unknownLocations.push(reason);
+          continue;
+        }
+      }
+
+      if ((unit.location || '') === destination) {
+        skipped.push({ stockId, reason: `Already at ${destination}` });
+      } else {
+        await runQuery('UPDATE products SET location = ? WHERE stock_id = ?', [destination, stockId]);
+        moved.push({ stockId, from: unit.location || null, to: destination });
+      }
+    }
+
+    // Nothing could go to a mistyped destination - reject the transfer outright
+    if (moved.length === 0 && unknownLocations.length > 0) {
+      return res.status(400).json({ error: unknownLocations[0] });
+    }
+    const location = moved.length > 0 ? moved[0].to : requested;
+
+    const shopify = { status: 'not_configured', variantsUpdated: 0, errors: [] };
+
+    // Listed units are pushed to whichever store they were synced to
+    const variantsByStore = new Map(); // store ID ('' = default store) -> variant IDs
+    for (const { stockId } of moved) {
+      const unit = unitsById.get(stockId);
+      if (!unit.shopify_variant_id) continue;
+
+      const storeKey = String(unit.shopify_store_id || '');
+      if (!variantsByStore.has(storeKey)) variantsByStore.set(storeKey, new Set());
+      variantsByStore.get(storeKey).add(unit.shopify_variant_id);
+    }
+
+    if (store && variantsByStore.size > 0) {
+      for (const [storeKey, variantIds] of variantsByStore) {
+        try {
+          const { store: unitStore, locations } = await locationsFor(storeKey);
+          const { baseUrl, headers } = storeConnection(unitStore);
+
+          for (const variantId of variantIds) {
+            try {
+              await pushVariantLocations({ baseUrl, headers }, variantId, locations, unitStore.default_location);
+              shopify.variantsUpdated++;
+            } catch (error) {
+              console.log(`⚠️ Shopify transfer for variant ${variantId} failed: ${error.message}`);
+              shopify.errors.push({ variantId, error: error.message });
+            }
+          }
+        } catch (error) {
+          console.log(`⚠️ Shopify transfer to store ${storeKey} failed: ${error.message}`);
+          variantIds.forEach(variantId => shopify.errors.push({ variantId, error: error.message }));
+        }
+      }
+      shopify.status = shopify.errors.length > 0 ? 'failed' : 'updated';
+    } else if (store) {
+      shopify.status = 'not_listed';
+    }
+
+    console.log(`🚚 Moved ${moved.length} unit(s) to ${location} (Shopify: ${shopify.status})`);
+    res.json({ success: true, location, moved, skipped, shopify });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('Inventory transfer error:', error);
+    res.status(500).json({ error: 'Failed to transfer inventory' });
+  }
+});
+
+// Recount a Shopify variant's unsold units by location and push the levels
+async function pushVariantLocations({ baseUrl, headers }, variantId, locations, defaultLocation) {
+  const variant = await fetchVariantInventoryItem(baseUrl, headers, variantId);
+
+  const rows = await getAllQuery(`
+    SELECT COALESCE(location, '') as location, COUNT(*) as units
+    FROM products
+    WHERE shopify_variant_id = ? AND is_sold = 0
+    GROUP BY COALESCE(location, '')
+  `, [String(variantId)]);
+  const unitsByLocation = Object.fromEntries(rows.map(row => [row.location, row.units]));
+
+  return syncVariantInventoryLevels(baseUrl, headers, variant.inventoryItem.id, unitsByLocation, locations, defaultLocation);
+}
+
+const inventoryQueueInFlight = new Set();
+
+// Returns the queued row, or null when the unit was never synced to Shopify
+async function queueShopifyInventoryAdjustment(stockId, adjustment, reason) {
+  const product = await getQuery(
+    'SELECT stock_id, shopify_product_id, shopify_variant_id, shopify_store_id FROM products WHERE stock_id = ?',
+    [stockId]
+  );
+  if (!product || !product.shopify_variant_id) {
+    console.log(`ℹ️ ${stockId} has no Shopify variant, nothing to push`);
+    return null;
+  }
+
+  const result = await runQuery(`
+    INSERT INTO shopify_inventory_queue (stock_id, shopify_product_id, shopify_variant_id, store_id, adjustment, reason)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `, [stockId, product.shopify_product_id, product.shopify_variant_id, product.shopify_store_id, adjustment, reason]);
+
+  return getQuery('SELECT * FROM shopify_inventory_queue WHERE id = ?', [result.id]);
+}
+
+async function processInventoryQueueItem(id) {
+  if (inventoryQueueInFlight.has(id)) return;
+  inventoryQueueInFlight.add(id);
+
+  try {
+    const item = await getQuery('SELECT * FROM shopify_inventory_queue WHERE id = ?', [id]);
+    if (!item || item.status !== 'pending') return;
+
+    try {
+      // Units synced before stores were tracked belong to the default store
+      const store = await loadStore(item.store_id);
+      const outcome = await pushShopifyInventory(store, item);
+
+      await runQuery(`
+        UPDATE shopify_inventory_queue SET
+          status = 'completed', attempts = attempts + 1, last_error = NULL,
+          result = ?, date_updated = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [JSON.stringify(outcome), id]);
+
+      console.log(`✅ Shopify inventory for ${item.stock_id} pushed (${outcome.available} unsold on the variant, ${outcome.levelChanges.length} location(s) changed)`);
+    } catch (error) {
+      const attempts = item.attempts + 1;
+      const status = attempts >= INVENTORY_MAX_ATTEMPTS ? 'failed' : 'pending';
+
+      await runQuery(`
+        UPDATE shopify_inventory_queue SET
+          status = ?, attempts = ?, last_error = ?, date_updated = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [status, attempts, error.message, id]);
+
+      console.log(`⚠️ Shopify inventory push for ${item.stock_id} failed (attempt ${attempts}/${INVENTORY_MAX_ATTEMPTS}): ${error.message}`);
+    }
+  } finally {
+    inventoryQueueInFlight.delete(id);
+  }
+}
+
+async function processInventoryQueue() {
+  const pending = await getAllQuery(
+    `SELECT id FROM shopify_inventory_queue WHERE status = 'pending' ORDER BY id`
+  );
+  for (const item of pending) {
+    await processInventoryQueueItem(item.id);
+  }
+}
+
+// Pushes the variant's unsold unit count per location rather than the queued delta, so a
+// push that is retried, or lands after a sync already counted the sale, can't take the
+// unit off twice
+async function pushShopifyInventory(store, item) {
+  const connection = storeConnection(store);
+  const locations = await fetchShopifyLocations(connection.baseUrl, connection.headers);
+  const levelChanges = await pushVariantLocations(connection, item.shopify_variant_id, locations, store.default_location);
+
+  const { units } = await getQuery(
+    'SELECT COUNT(*) as units FROM products WHERE shopify_variant_id = ? AND is_sold = 0',
+    [String(item.shopify_variant_id)]
+  );
+  const outcome = { levelChanges, available: units, soldOutAction: null };
+
+  if (units <= 0 && SHOPIFY_SOLD_OUT_ACTION !== 'none') {
+    outcome.soldOutAction = await applySoldOutAction(connection.baseUrl, connection.headers, item.shopify_product_id);
+  }
+
+  return outcome;
+}
+
+// A sync sets each variant's levels from the unsold count, which already includes
+// every queued sale of that variant
+async function supersedeInventoryQueue(variantIds, jobId) {
+  if (variantIds.length === 0) return;
+
+  const result = await runQuery(`
+    UPDATE shopify_inventory_queue SET
+      status = 'superseded', last_error = NULL, result = ?, date_updated = CURRENT_TIMESTAMP
+    WHERE status IN ('pending', 'failed') AND shopify_variant_id IN (${variantIds.map(() => '?').join(',')})
+  `, [JSON.stringify({ syncJobId: jobId }), ...variantIds.map(String)]);
+
+  if (result.changes > 0) {
+    console.log(`🧹 ${result.changes} queued Shopify inventory push(es) superseded by sync job #${jobId}`);
+  }
+}
+
+async function fetchShopifyLocations(baseUrl, headers) {
+  const { locations } = await shopifyGraphQL(baseUrl, headers, shopifyQueries.Locations);
+  return locations.nodes
+    .filter(location => location.isActive)
+    .map(location => ({ id: fromGid(location.id), name: location.name }));
+}
+
+async function fetchVariantInventoryItem(baseUrl, headers, variantId) {
+  const { productVariant } = await shopifyGraphQL(baseUrl, headers, shopifyQueries.VariantInventoryItem, {
+    id: toGid('ProductVariant', variantId)
+  });
+  if (!productVariant) {
+    throw new Error(`Variant ${variantId} not found in Shopify`);
+  }
+  return productVariant;
+}
+
+// Current available quantity per location, as [{ location_id, available }]
+async function fetchInventoryLevels(baseUrl, headers, inventoryItemId) {
+  const { inventoryItem } = await shopifyGraphQL(baseUrl, headers, shopifyQueries.InventoryLevels, {
+    inventoryItemId: toGid('InventoryItem', inventoryItemId)
+  });
+  if (!inventoryItem) {
+    throw new Error(`Inventory item ${inventoryItemId} not found in Shopify`);
+  }
+
+  return inventoryItem.inventoryLevels.nodes.map(level => {
+    const available = level.quantities.find(q => q.name === 'available');
+    return { location_id: fromGid(level.location.id), available: available ? available.quantity : 0 };
+  });
+}
+
+// Units store a location by name or ID; blank means the store's default location,
+// or its first location when it has none set
+function resolveShopifyLocation(locations, name, defaultLocation = null) {
+  const findLocation = value => {
+    const wanted = value.toString().trim().toLowerCase();
+    return locations.find(l => l.name.toLowerCase() === wanted || String(l.id) === wanted);
+  };
+  const wanted = (name || '').toString().trim();
+
+  const location = wanted
+    ? findLocation(wanted)
+    : (defaultLocation ? findLocation(defaultLocation) : locations[0]);
+
+  if (!location) {
+    throw new Error(wanted || defaultLocation
+      ? `Unknown Shopify location "${wanted || defaultLocation}" (available: ${locations.map(l => l.name).join(', ')})`
+      : 'No default Shopify location found');
+  }
+  return location;
+}
+
+// Set absolute available quantities per location for one inventory item, e.g.
+// { 'Warehouse': 2, '': 1 } ('' = default location). Locations stocking the item
+// that no longer hold any of our units are set to 0. Units at a location the store
+// doesn't have (e.g. mistyped in a supplier sheet) are counted at the default location.
+async function syncVariantInventoryLevels(baseUrl, headers, inventoryItemId, unitsByLocation, locations, defaultLocation = null) {
+  const targets = new Map();
+  for (const [name, count] of Object.entries(unitsByLocation || {})) {
+    let location;
+    try {
+      location = resolveShopifyLocation(locations, name, defaultLocation);
+    } catch (error) {
+      if (!name) throw error;
+      console.log(`⚠️ ${error.message} - stocking ${count} unit(s) at the default location instead`);
+      location = resolveShopifyLocation(locations, '', defaultLocation);
+    }
+    const locationId = String(location.id);
+    targets.set(locationId, (targets.get(locationId) || 0) + count);
+  }
+
+  const levels = await fetchInventoryLevels(baseUrl, headers, inventoryItemId);
+
+  const current = new Map(levels.map(level => [String(level.location_id), level.available || 0]));
+  for (const locationId of current.keys()) {
+    if (!targets.has(locationId)) targets.set(locationId, 0);
+  }
+
+  const changes = [];
+  const quantities = [];
+  for (const [locationId, available] of targets) {
+    if (current.get(locationId) === available) continue;
+    changes.push({ locationId, from: current.get(locationId) || 0, to: available });
+
+    // Locations that don't stock the item yet have to be activated, which sets the level too
+    if (!current.has(locationId)) {
+      await shopifyMutation(baseUrl, headers, shopifyQueries.InventoryActivate, {
+        inventoryItemId: toGid('InventoryItem', inventoryItemId),
+        locationId: toGid('Location', locationId),
+        available
+      });
+    } else {
+      quantities.push({
+        inventoryItemId: toGid('InventoryItem', inventoryItemId),
+        locationId: toGid('Location', locationId),
+        quantity: available
+      });
+    }
+  }
+
+  if (quantities.length > 0) {
+    await shopifyMutation(baseUrl, headers, shopifyQueries.InventorySetQuantities, {
+      input: { name: 'available', reason: 'correction', ignoreCompareQuantity: true, quantities }
+    });
+  }
+
+  return changes;
+}
+
+// Archive or unpublish a product once none of its variants has stock left
+async function applySoldOutAction(baseUrl, headers, productId) {
+  const { product } = await shopifyGraphQL(baseUrl, headers, shopifyQueries.ProductInventory, {
+    id: toGid('Product', productId)
+  });
+  if (!product) {
+    throw new Error(`Product ${productId} not found in Shopify`);
+  }
+
+  const remaining = product.variants.nodes.reduce((sum, v) => sum + Math.max(0, v.inventoryQuantity || 0), 0);
+  if (remaining > 0) return null;
+
+  try {
+    if (SHOPIFY_SOLD_OUT_ACTION === 'archive') {
+      await shopifyMutation(baseUrl, headers, shopifyQueries.ProductUpdate, {
+        product: { id: toGid('Product', productId), status: 'ARCHIVED' }
+      });
+    } else {
+      await setOnlineStorePublished(baseUrl, headers, toGid('Product', productId), false);
+    }
+  } catch (error) {
+    throw new Error(`Failed to ${SHOPIFY_SOLD_OUT_ACTION} sold-out product ${productId}: ${error.message}`);
+  }
+
+  console.log(`📦 Product ${productId} sold out on Shopify - ${SHOPIFY_SOLD_OUT_ACTION === 'archive' ? 'archived' : 'unpublished'}`);
+  return SHOPIFY_SOLD_OUT_ACTION;
+}
+
+// =============================================================================
+// SHOPIFY WEBHOOKS
+// =============================================================================
+
+// Online orders: orders/create, orders/cancelled and refunds/create all post here.
+// Each store signs with its own secret, so the signature is checked against the store
+// named in X-Shopify-Shop-Domain.
+app.post('/api/webhooks/shopify', async (req, res) => {
+  const topic = req.get('X-Shopify-Topic');
+  const webhookId = req.get('X-Shopify-Webhook-Id');
+  const shopDomain = (req.get('X-Shopify-Shop-Domain') || '').trim().toLowerCase();
+
+  try {
+    const store = shopDomain
+      ? await getQuery('SELECT name, webhook_secret FROM stores WHERE LOWER(store_url) = ?', [shopDomain])
+      : null;
+    if (!store) {
+      console.log(`⚠️ Rejected Shopify webhook ${topic || ''} from unknown shop ${shopDomain || '(none)'}`);
+      return res.status(401).json({ error: 'Unknown shop' });
+    }
+
+    // Stores saved before secrets were kept per store fall back to SHOPIFY_WEBHOOK_SECRET
+    const secret = store.webhook_secret ? decryptSecret(store.webhook_secret) : SHOPIFY_WEBHOOK_SECRET;
+    if (!secret) {
+      console.error(`❌ Shopify webhook received but no webhook secret is set for ${store.name}`);
+      return res.status(500).json({ error: 'Webhook secret not configured' });
+    }
+    if (!verifyShopifyWebhook(req.rawBody, req.get('X-Shopify-Hmac-Sha256'), secret)) {
+      console.log(`⚠️ Rejected Shopify webhook ${topic || ''} for ${store.name} with an invalid signature`);
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+  } catch (error) {
+    console.error('Shopify webhook verification error:', error);
+    return res.status(500).json({ error: 'Failed to verify webhook' });
+  }
+
+  try {
+    // Shopify retries deliveries it thinks failed, so each webhook ID is only processed once
+    if (webhookId) {
+      const seen = await getQuery('SELECT webhook_id FROM shopify_webhook_events WHERE webhook_id = ?', [webhookId]);
+      if (seen) {
+        console.log(`ℹ️ Duplicate Shopify webhook ${webhookId} (${topic}) ignored`);
+        return res.json({ success: true, duplicate: true });
+      }
+    }
+
+    let summary;
+    switch (topic) {
+      case 'orders/create':
+        summary = await handleOrderCreated(req.body);
+        break;
+      case 'orders/cancelled':
+        summary = await handleOrderCancelled(req.body);
+        break;
+      case 'refunds/create':
+        summary = await handleRefundCreated(req.body);
+        break;
+      default:
+        console.log(`ℹ️ Ignoring Shopify webhook topic ${topic}`);
+        return res.json({ success: true, ignored: true });
+    }
+
+    if (webhookId) {
+      await runQuery(
+        'INSERT INTO shopify_webhook_events (webhook_id, topic) VALUES (?, ?)',
+        [webhookId, topic]
+      );
+    }
+
+    res.json({ success: true, topic, ...summary });
+  } catch (error) {
+    console.error(`Shopify webhook ${topic} error:`, error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+function verifyShopifyWebhook(rawBody, signature, secret) {
+  if (!rawBody || !signature) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(signature, 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Allocate specific units to each ordered variant, oldest stock first
+async function handleOrderCreated(order) {
+  const summary = { unitsSold: [], unmatched: [] };
+  const orderUnits = order.line_items.reduce((sum, item) => sum + (item.quantity || 0), 0);
+  const customerName = order.customer
+    ? [order.customer.first_name, order.customer.last_name].filter(Boolean).join(' ')
+    : null;
+
+  for (const lineItem of order.line_items) {
+    if (!lineItem.variant_id) continue;
+
+    const alreadyAllocated = await getQuery(
+      'SELECT COUNT(*) as count FROM online_sales WHERE shopify_line_item_id = ?',
+      [String(lineItem.id)]
+    );
+    const needed = lineItem.quantity - alreadyAllocated.count;
+    if (needed <= 0) continue;
+
+    const units = await getAllQuery(`
+      SELECT stock_id FROM products
+      WHERE shopify_variant_id = ? AND is_sold = 0
+      ORDER BY date_added, id
+      LIMIT ?
+    `, [String(lineItem.variant_id), needed]);
+
+    // Per-unit amounts: Shopify reports discounts and taxes for the whole line
+    const discount = (lineItem.discount_allocations || []).reduce((sum, d) => sum + parseFloat(d.amount || 0), 0);
+    const tax = (lineItem.tax_lines || []).reduce((sum, t) => sum + parseFloat(t.price || 0), 0);
+    const unitPrice = roundMoney(parseFloat(lineItem.price) - discount / lineItem.quantity);
+    const unitTax = roundMoney(tax / lineItem.quantity);
+    const unitFees = roundMoney((unitPrice + unitTax) * SHOPIFY_FEE_PERCENT / 100 + SHOPIFY_FEE_FIXED / orderUnits);
+
+    for (const unit of units) {
+      await runQuery(`
+        INSERT INTO online_sales (
+          stock_id, shopify_order_id, shopify_order_name, shopify_line_item_id, shopify_variant_id,
+          sale_price, tax, fees, currency, customer_name, customer_email, sale_date
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        unit.stock_id, String(order.id), order.name, String(lineItem.id), String(lineItem.variant_id),
+        unitPrice, unitTax, unitFees, order.currency, customerName, order.email,
+        toSqliteDate(order.created_at)
+      ]);
+      await runQuery('UPDATE products SET is_sold = 1 WHERE stock_id = ?', [unit.stock_id]);
+      summary.unitsSold.push(unit.stock_id);
+    }
+
+    if (units.length < needed) {
+      summary.unmatched.push({ lineItemId: lineItem.id, variantId: lineItem.variant_id, missing: needed - units.length });
+      console.log(`⚠️ Order ${order.name}: no unsold unit left for ${needed - units.length} x variant ${lineItem.variant_id} (${lineItem.title})`);
+    }
+  }
+
+  console.log(`🛒 Online order ${order.name}: ${summary.unitsSold.length} units marked sold (${summary.unitsSold.join(', ') || 'none'})`);
+  return summary;
+}
+
+// Cancelled orders put their units back on the shelf
+async function handleOrderCancelled(order) {
+  const sales = await getAllQuery(
+    `SELECT * FROM online_sales WHERE shopify_order_id = ? AND status = 'sold'`,
+    [String(order.id)]
+  );
+
+  for (const sale of sales) {
+    await runQuery(`
+      UPDATE online_sales SET status = 'cancelled', date_updated = CURRENT_TIMESTAMP WHERE id = ?
+    `, [sale.id]);
+    await runQuery('UPDATE products SET is_sold = 0 WHERE stock_id = ?', [sale.stock_id]);
+  }
+
+  console.log(`↩️ Online order ${order.name || order.id} cancelled: ${sales.length} units back in stock`);
+  return { unitsRestocked: sales.map(sale => sale.stock_id) };
+}
+
+async function handleRefundCreated(refund) {
+  const summary = { unitsRefunded: [], unitsRestocked: [] };
+
+  for (const refundLine of refund.refund_line_items || []) {
+    const sales = await getAllQuery(`
+      SELECT * FROM online_sales
+      WHERE shopify_line_item_id = ? AND status = 'sold'
+      ORDER BY id DESC
+      LIMIT ?
+    `, [String(refundLine.line_item_id), refundLine.quantity]);
+
+    const refundPerUnit = refundLine.subtotal !== undefined
+      ? roundMoney(parseFloat(refundLine.subtotal) / refundLine.quantity)
+      : null;
+    const restock = refundLine.restock_type && refundLine.restock_type !== 'no_restock';
+
+    for (const sale of sales) {
+      await runQuery(`
+        UPDATE online_sales SET status = 'refunded', refund_amount = ?, date_updated = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [refundPerUnit, sale.id]);
+      summary.unitsRefunded.push(sale.stock_id);
+
+      if (restock) {
+        await runQuery('UPDATE products SET is_sold = 0 WHERE stock_id = ?', [sale.stock_id]);
+        summary.unitsRestocked.push(sale.stock_id);
+      }
+    }
+  }
+
+  console.log(`💸 Refund ${refund.id} on order ${refund.order_id}: ${summary.unitsRefunded.length} units refunded, ${summary.unitsRestocked.length} restocked`);
+  return summary;
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Same UTC "YYYY-MM-DD HH:MM:SS" format as CURRENT_TIMESTAMP
+function toSqliteDate(value) {
+  const date = value ? new Date(value) : new Date();
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// =============================================================================
+// NEW: IMAGE INTEGRATION ENDPOINTS
+// =============================================================================
+
+// Test connection to scraper API
+app.get('/api/test-scraper-connection', async (req, res) => {
+  try {
+    console.log('🔌 Testing connection to scraper API...');
+    
+    const response = await fetch(`${SCRAPER_API_BASE}/api/health`, {
+      timeout: 5000
+    });
+    
+    if (response.ok) {
+      const healthData = await response.json();
+      console.log('✅ Scraper API connection successful');
+      
+      res.json({
+        success: true,
+        message: 'Successfully connected to MacBook Image Scraper API',
+        scraperHealth: healthData,
+        integration: 'ready'
+      });
+    } else {
+      throw new Error(`Scraper API responded with status: ${response.status}`);
+    }
+    
+  } catch (error) {
+    console.error('❌ Scraper API connection failed:', error.message);
+    
+    res.json({
+      success: false,
+      message: 'Could not connect to MacBook Image Scraper API',
+      error: error.message,
+      solution: 'Make sure the scraper server is running on port 3001',
+      startCommand: 'cd scraper && node server.js'
+    });
+  }
+});
+
+// Find images for specific product (used during Shopify sync)
+app.post('/api/find-product-images', async (req, res) => {
+  try {
+    const { productSpecs } = req.body;
+    
+    console.log('🔍 Searching for images for product:', productSpecs);
+    
+    // Build query parameters for scraper API
+    const queryParams = new URLSearchParams();
+    
+    if (productSpecs.productType) queryParams.append('productType', productSpecs.productType);
+    if (productSpecs.displaySize) queryParams.append('displaySize', productSpecs.displaySize);
+    if (productSpecs.processor) queryParams.append('processor', productSpecs.processor);
+    if (productSpecs.year) queryParams.append('year', productSpecs.year);
+    if (productSpecs.storage) queryParams.append('storage', productSpecs.storage);
+    if (productSpecs.memory) queryParams.append('memory', productSpecs.memory);
+    if (productSpecs.color) queryParams.append('color', productSpecs.color);
+    if (productSpecs.condition) queryParams.append('condition', productSpecs.condition);
+    if (productSpecs.keyboardLayout) queryParams.append('keyboardLayout', productSpecs.keyboardLayout);
+    
+    const searchUrl = `${SCRAPER_API_BASE}/api/find-images?${queryParams.toString()}`;
+    console.log('🔗 Querying scraper:', searchUrl);
+    
+    const response = await fetch(searchUrl);
+    
+    if (!response.ok) {
+      throw new Error(`Scraper search failed: ${response.status}`);
+    }
+    
+    const searchResults = await response.json();
+    
+    console.log(`🎯 Image search results: ${searchResults.found ? `${searchResults.matchCount} matches` : 'no matches'}`);
+    
+    res.json({
+      success: true,
+      query: productSpecs,
+      imageSearchResults: searchResults,
+      hasImages: searchResults.found,
+      bestMatch: searchResults.matches?.[0] || null
+    });
+    
+  } catch (error) {
+    console.error('❌ Product image search failed:', error.message);
+    
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to search for product images'
+    });
+  }
+});
+
+// Runs uploaded photos through the image pipeline. Files are named after the SEO
+// handle: pass `handle`, or the product fields createSEOOptimizedHandle() uses. With
+// storeId and shopifyProductId the processed images are added to that product too.
+app.post('/api/images/process', upload.array('images', MAX_PRODUCT_IMAGES), async (req, res) => {
+  try {
+    const files = req.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'Upload at least one image in the "images" field' });
+    }
+
+    const notImages = files.filter(file => !file.mimetype.startsWith('image/'));
+    if (notImages.length > 0) {
+      return res.status(400).json({ error: `Not an image: ${notImages.map(file => file.originalname).join(', ')}` });
+    }
+
+    const handle = req.body.handle
+      ? String(req.body.handle).toLowerCase().replace(/[^a-z0-9-]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '')
+      : (req.body.productType ? createSEOOptimizedHandle(req.body) : '');
+    if (!handle) {
+      return res.status(400).json({ error: 'A handle or productType is required to name the images' });
+    }
+
+    const watermarkPath = req.body.watermark === 'false' ? null : (IMAGE_WATERMARK_PATH || null);
+    console.log(`🖼️ Processing ${files.length} uploaded image(s) for ${handle}...`);
+
+    const images = [];
+    for (const file of files) {
+      const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+      const filename = processedImageFilename(handle, hash);
+      const processed = await processImage(file.buffer, {
+        directory: path.join(PROCESSED_IMAGE_DIR, handle),
+        basename: path.parse(filename).name,
+        watermarkPath
+      });
+
+      images.push({
+        source: file.originalname,
+        hash,
+        filename,
+        upload: uploadFile(processed, IMAGE_UPLOAD_FORMAT),
+        files: processed.map(({ size, format, filename, bytes }) => ({
+          size,
+          format,
+          filename,
+          bytes,
+          url: `/processed-images/${handle}/${filename}`
+        }))
+      });
+    }
+
+    let uploaded = 0;
+    if (req.body.shopifyProductId) {
+      const store = await loadStore(req.body.storeId);
+      const { baseUrl, headers } = storeConnection(store);
+      const productId = String(req.body.shopifyProductId).replace(/\D/g, '');
+
+      const resourceUrls = await stageImageFiles(baseUrl, headers, images.map(image => image.upload));
+      const { media } = await shopifyMutation(baseUrl, headers, shopifyQueries.ProductCreateMedia, {
+        productId: toGid('Product', productId),
+        media: images.map(image => ({ originalSource: resourceUrls.get(image.upload), mediaContentType: 'IMAGE' }))
+      });
+
+      for (const [index, image] of images.entries()) {
+        await recordProductImage(productId, {
+          media: media[index],
+          hash: image.hash,
+          url: `/processed-images/${handle}/${image.upload.filename}`,
+          filename: image.filename
+        });
+      }
+      uploaded = media.length;
+      console.log(`📷 Added ${uploaded} processed image(s) to Shopify product ${productId}`);
+    }
+
+    res.json({
+      success: true,
+      handle,
+      watermarked: Boolean(watermarkPath),
+      uploaded,
+      images: images.map(({ source, filename, files }) => ({ source, filename, files }))
+    });
+  } catch (error) {
+    console.error('❌ Image processing failed:', error);
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================================================
+// COLUMN MAPPING PROFILES
+// =============================================================================
+
+// Canonical fields and the header names the analysis functions read
+const CANONICAL_COLUMNS = {
+  stock: 'Stock',
+  serialNumber: 'Serial Number',
+  model: 'Model',
+  category: 'Sub-Category',
+  processor: 'Processor',
+  brand: 'Brand',
+  storage: 'Storage',
+  memory: 'Memory',
+  color: 'Color',
+  condition: 'Condition',
+  comments: 'Comments',
+  cost: 'Cost',
+  location: 'Location',
+  batteryHealth: 'Battery Health'
+};
+
+// List mapping profiles
+app.get('/api/column-mappings', async (req, res) => {
+  try {
+    const rows = await getAllQuery('SELECT * FROM column_mappings ORDER BY name');
+    const profiles = rows.map(row => ({ ...row, mappings: JSON.parse(row.mappings) }));
+
+    res.json({ success: true, profiles, canonicalColumns: CANONICAL_COLUMNS });
+  } catch (error) {
+    console.error('Column mapping list error:', error);
+    res.status(500).json({ error: 'Failed to load column mappings' });
+  }
+});
+
+// Create or update a mapping profile (matched by name)
+app.post('/api/column-mappings', async (req, res) => {
+  try {
+    const { name, supplier, mappings } = req.body;
+
+    if (!name || !mappings || typeof mappings !== 'object') {
+      return res.status(400).json({ error: 'Profile name and mappings are required' });
+    }
+
+    // Keep only known canonical fields with a non-empty sheet header
+    const cleanMappings = {};
+    Object.entries(mappings).forEach(([field, header]) => {
+      if (CANONICAL_COLUMNS[field] && header && header.toString().trim()) {
+        cleanMappings[field] = header.toString().trim();
+      }
+    });
+
+    if (!cleanMappings.stock) {
+      return res.status(400).json({ error: 'A mapping for the stock ID column is required' });
+    }
+
+    await runQuery(`
+      INSERT INTO column_mappings (name, supplier, mappings)
+      VALUES (?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        supplier = excluded.supplier,
+        mappings = excluded.mappings,
+        date_updated = CURRENT_TIMESTAMP
+    `, [name.trim(), supplier || null, JSON.stringify(cleanMappings)]);
+
+    const profile = await getQuery('SELECT * FROM column_mappings WHERE name = ?', [name.trim()]);
+    res.json({ success: true, profile: { ...profile, mappings: JSON.parse(profile.mappings) } });
+  } catch (error) {
+    console.error('Column mapping save error:', error);
+    res.status(500).json({ error: 'Failed to save column mapping' });
+  }
+});
+
+// Delete a mapping profile
+app.delete('/api/column-mappings/:id', async (req, res) => {
+  try {
+    const result = await runQuery('DELETE FROM column_mappings WHERE id = ?', [req.params.id]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Column mapping not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Column mapping delete error:', error);
+    res.status(500).json({ error: 'Failed to delete column mapping' });
+  }
+});
+
+// Collect every header used across the parsed rows
+function getSheetHeaders(data) {
+  const headers = new Set();
+  data.forEach(row => {
+    if (row && typeof row === 'object') {
+      Object.keys(row).forEach(key => headers.add(key));
+    }
+  });
+  return [...headers];
+}
+
+// Pick the requested profile, or auto-detect the best match for the header row
+async function resolveMappingProfile(mappingProfileId, headers) {
+  if (mappingProfileId === 'none') return null;
+
+  if (mappingProfileId && mappingProfileId !== 'auto') {
+    const row = await getQuery('SELECT * FROM column_mappings WHERE id = ?', [mappingProfileId]);
+    if (!row) throw new Error(`Column mapping profile ${mappingProfileId} not found`);
+    return { ...row, mappings: JSON.parse(row.mappings), autoDetected: false };
+  }
+
+  const rows = await getAllQuery('SELECT * FROM column_mappings');
+  const normalizedHeaders = headers.map(h => h.toString().toLowerCase().trim());
+
+  let bestProfile = null;
+  let bestScore = 0;
+
+  rows.forEach(row => {
+    const mappings = JSON.parse(row.mappings);
+    const sourceHeaders = Object.values(mappings).map(h => h.toLowerCase().trim());
+
+    // The stock column must be present; score by the share of mapped columns found
+    if (!mappings.stock || !normalizedHeaders.includes(mappings.stock.toLowerCase().trim())) return;
+
+    const found = sourceHeaders.filter(h => normalizedHeaders.includes(h)).length;
+    const score = found / sourceHeaders.length;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestProfile = { ...row, mappings, autoDetected: true };
+    }
+  });
+
+  if (bestProfile && bestScore >= 0.75) {
+    console.log(`🧭 Auto-detected column mapping: ${bestProfile.name} (${Math.round(bestScore * 100)}% of columns matched)`);
+    return bestProfile;
+  }
+
+  return null;
+}
+
+// Rename mapped supplier columns to the canonical headers, keeping everything else
+function applyColumnMapping(data, mappings) {
+  return data.map(row => {
+    const mapped = { ...row };
+    const rowKeys = Object.keys(row);
+
+    Object.entries(mappings).forEach(([field, sourceHeader]) => {
+      const sourceKey = rowKeys.find(k => k.toString().toLowerCase().trim() === sourceHeader.toLowerCase().trim());
+      if (sourceKey !== undefined) {
+        mapped[CANONICAL_COLUMNS[field]] = row[sourceKey];
+      }
+    });
+
+    // Keep the sheet row number for import reports
+    if (typeof row.__rowNum__ === 'number') {
+      Object.defineProperty(mapped, '__rowNum__', { value: row.__rowNum__, enumerable: false });
+    }
+
+    return mapped;
+  });
+}
+
+// =============================================================================
+// IMPORT BATCHES
+// =============================================================================
+
+// Spec fields compared between two imports of the same supplier
+const BATCH_DIFF_FIELDS = [
+  'serial_number', 'product_type', 'processor', 'storage', 'memory', 'display_size',
+  'year', 'color', 'condition', 'keyboard_layout', 'supplier_cost'
+];
+
+// List import history, newest first, with how many of each batch's units are still on hand
+app.get('/api/import-batches', async (req, res) => {
+  try {
+    const batches = await getAllQuery(`
+      SELECT ib.*,
+             COUNT(p.id) as units_linked,
+             COUNT(CASE WHEN p.is_sold = 1 THEN 1 END) as units_sold
+      FROM import_batches ib
+      LEFT JOIN products p ON p.batch_id = ib.id
+      GROUP BY ib.id
+      ORDER BY ib.date_imported DESC, ib.id DESC
+    `);
+
+    res.json({ success: true, batches });
+  } catch (error) {
+    console.error('Import batch list error:', error);
+    res.status(500).json({ error: 'Failed to load import batches' });
+  }
+});
+
+// Units added, removed and changed since the previous import from the same supplier
+app.get('/api/import-batches/:id/diff', async (req, res) => {
+  try {
+    const batch = await getQuery('SELECT * FROM import_batches WHERE id = ?', [req.params.id]);
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found' });
+    }
+
+    const previousBatch = await getQuery(`
+      SELECT * FROM import_batches
+      WHERE id < ? AND status = 'active' AND COALESCE(supplier, '') = COALESCE(?, '')
+      ORDER BY id DESC LIMIT 1
+    `, [batch.id, batch.supplier]);
+
+    const currentItems = await getAllQuery('SELECT * FROM import_batch_items WHERE batch_id = ?', [batch.id]);
+    const previousItems = previousBatch
+      ? await getAllQuery('SELECT * FROM import_batch_items WHERE batch_id = ?', [previousBatch.id])
+      : [];
+
+    res.json({
+      success: true,
+      batch,
+      previousBatch: previousBatch || null,
+      ...diffBatchItems(previousItems, currentItems)
+    });
+  } catch (error) {
+    console.error('Import batch diff error:', error);
+    res.status(500).json({ error: 'Failed to build import diff' });
+  }
+});
+
+// Remove the unsold units a bad batch introduced and put back what it overwrote on the
+// units it updated. A unit a later batch has imported again keeps that batch's values.
+app.post('/api/import-batches/:id/rollback', async (req, res) => {
+  try {
+    const batch = await getQuery('SELECT * FROM import_batches WHERE id = ?', [req.params.id]);
+    if (!batch) {
+      return res.status(404).json({ error: 'Import batch not found' });
+    }
+    if (batch.status === 'rolled_back') {
+      return res.status(400).json({ error: 'Import batch was already rolled back' });
+    }
+
+    // Batches imported before the overwritten values were recorded can't be undone safely
+    const updatedItems = await getAllQuery(`
+      SELECT * FROM import_batch_items
+      WHERE batch_id = ? AND action = 'updated'
+        AND id IN (SELECT MIN(id) FROM import_batch_items WHERE batch_id = ? GROUP BY stock_id)
+    `, [batch.id, batch.id]);
+    if (batch.updated_count > 0 && updatedItems.length === 0) {
+      return res.status(400).json({
+        error: `Batch #${batch.id} updated ${batch.updated_count} existing units but was imported before their previous values were recorded, so it can't be rolled back`
+      });
+    }
+
+    const unitsRestored = [];
+    const unitsReimported = [];
+    for (const item of updatedItems) {
+      const later = await getQuery(`
+        SELECT i.batch_id FROM import_batch_items i
+        JOIN import_batches b ON b.id = i.batch_id
+        WHERE i.stock_id = ? AND i.batch_id > ? AND b.status = 'active'
+        LIMIT 1
+      `, [item.stock_id, batch.id]);
+      if (later) {
+        unitsReimported.push(item.stock_id);
+        continue;
+      }
+
+      const previous = JSON.parse(item.previous_values);
+      await runQuery(`
+        UPDATE products SET ${IMPORT_UPDATED_COLUMNS.map(column => `${column} = ?`).join(', ')}
+        WHERE stock_id = ?
+      `, [...IMPORT_UPDATED_COLUMNS.map(column => previous[column]), item.stock_id]);
+      unitsRestored.push(item.stock_id);
+    }
+
+    // Units with recorded repair/shipping costs are kept so those costs aren't orphaned
+    const keptWithCosts = await getAllQuery(`
+      SELECT DISTINCT p.stock_id FROM products p
+      JOIN additional_costs ac ON ac.stock_id = p.stock_id
+      WHERE p.batch_id = ? AND p.is_sold = 0
+    `, [batch.id]);
+
+    const deleted = await runQuery(`
+      DELETE FROM products
+      WHERE batch_id = ? AND is_sold = 0
+        AND stock_id NOT IN (SELECT stock_id FROM additional_costs)
+    `, [batch.id]);
+
+    const soldKept = await getQuery('SELECT COUNT(*) as count FROM products WHERE batch_id = ? AND is_sold = 1', [batch.id]);
+
+    await runQuery(`
+      UPDATE import_batches SET status = 'rolled_back', date_rolled_back = CURRENT_TIMESTAMP WHERE id = ?
+    `, [batch.id]);
+
+    console.log(`↩️ Rolled back import batch ${batch.id} (${batch.filename}): ${deleted.changes} units deleted, ${unitsRestored.length} restored`);
+
+    res.json({
+      success: true,
+      unitsDeleted: deleted.changes,
+      unitsRestored: unitsRestored.length,
+      unitsReimported,
+      soldUnitsKept: soldKept.count,
+      unitsKeptWithCosts: keptWithCosts.map(r => r.stock_id)
+    });
+  } catch (error) {
+    console.error('Import batch rollback error:', error);
+    res.status(500).json({ error: 'Failed to roll back import batch' });
+  }
+});
+
+// Product columns an import overwrites on a unit it already has
+const IMPORT_UPDATED_COLUMNS = [
+  'serial_number', 'product_type', 'processor', 'storage', 'memory', 'display_size', 'year',
+  'color', 'condition', 'keyboard_layout', 'supplier_cost', 'comments', 'location', 'battery_health'
+];
+
+async function createImportBatch({ filename, supplier, mappingProfileId, importedBy, rowCount }) {
+  const result = await runQuery(`
+    INSERT INTO import_batches (filename, supplier, mapping_profile_id, imported_by, row_count)
+    VALUES (?, ?, ?, ?, ?)
+  `, [filename, supplier, mappingProfileId, importedBy, rowCount]);
+
+  console.log(`📥 Created import batch ${result.id} for ${filename}`);
+  return result.id;
+}
+
+function diffBatchItems(previousItems, currentItems) {
+  const previousByStock = new Map(previousItems.map(item => [item.stock_id, item]));
+  const currentByStock = new Map(currentItems.map(item => [item.stock_id, item]));
+
+  const added = currentItems.filter(item => !previousByStock.has(item.stock_id));
+  const removed = previousItems.filter(item => !currentByStock.has(item.stock_id));
+  const changed = [];
+
+  currentItems.forEach(item => {
+    const previous = previousByStock.get(item.stock_id);
+    if (!previous) return;
+
+    const changes = BATCH_DIFF_FIELDS
+      .filter(field => (previous[field] ?? '').toString() !== (item[field] ?? '').toString())
+      .map(field => ({ field, from: previous[field], to: item[field] }));
+
+    if (changes.length > 0) {
+      changed.push({ stock_id: item.stock_id, product_type: item.product_type, changes });
+    }
+  });
+
+  return { added, removed, changed };
+}
+
+// =============================================================================
+// APPLE MODEL CATALOGUE
+// =============================================================================
+
+// Seed data used the first time the catalogue table is empty
+const APPLE_MODELS_SEED_FILE = path.join(__dirname, 'apple-models.json');
+
+// In-memory copy so the (synchronous) product analysis can look models up
+let appleModelCatalogue = [];
+
+// List the catalogue
+app.get('/api/apple-models', async (req, res) => {
+  try {
+    const rows = await getAllQuery('SELECT * FROM apple_models ORDER BY family, a_number, year');
+    res.json({ success: true, models: rows.map(parseAppleModelRow) });
+  } catch (error) {
+    console.error('Apple model list error:', error);
+    res.status(500).json({ error: 'Failed to load Apple models' });
+  }
+});
+
+// Export the catalogue as a JSON file (same shape the import accepts)
+app.get('/api/apple-models/export', async (req, res) => {
+  try {
+    const rows = await getAllQuery('SELECT * FROM apple_models ORDER BY family, a_number, year');
+    const models = rows.map(parseAppleModelRow).map(({ id, date_updated, ...model }) => model);
+
+    res.setHeader('Content-Disposition', 'attachment; filename="apple-models.json"');
+    res.json(models);
+  } catch (error) {
+    console.error('Apple model export error:', error);
+    res.status(500).json({ error: 'Failed to export Apple models' });
+  }
+});
+
+// Import a JSON array of models, updating entries that already exist
+app.post('/api/apple-models/import', async (req, res) => {
+  try {
+    const models = Array.isArray(req.body) ? req.body : req.body.models;
+    if (!Array.isArray(models)) {
+      return res.status(400).json({ error: 'Expected a JSON array of models' });
+    }
+
+    const result = await importAppleModels(models);
+    await loadAppleModelCatalogue();
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Apple model import error:', error);
+    res.status(500).json({ error: 'Failed to import Apple models' });
+  }
+});
+
+// Add a model
+app.post('/api/apple-models', async (req, res) => {
+  try {
+    const validationError = validateAppleModel(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await runQuery(`
+      INSERT INTO apple_models (a_number, part_number, family, display_size, year, chip_options, colors, launch_msrp, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, appleModelParams(req.body));
+
+    await loadAppleModelCatalogue();
+    const model = await getQuery('SELECT * FROM apple_models WHERE id = ?', [result.id]);
+    res.json({ success: true, model: parseAppleModelRow(model) });
+  } catch (error) {
+    console.error('Apple model create error:', error);
+    const status = error.message.includes('UNIQUE') ? 400 : 500;
+    res.status(status).json({ error: status === 400 ? 'Part number already exists in the catalogue' : 'Failed to add Apple model' });
+  }
+});
+
+// Update a model
+app.put('/api/apple-models/:id', async (req, res) => {
+  try {
+    const validationError = validateAppleModel(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await runQuery(`
+      UPDATE apple_models SET
+        a_number = ?, part_number = ?, family = ?, display_size = ?, year = ?,
+        chip_options = ?, colors = ?, launch_msrp = ?, notes = ?, date_updated = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [...appleModelParams(req.body), req.params.id]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Apple model not found' });
+    }
+
+    await loadAppleModelCatalogue();
+    const model = await getQuery('SELECT * FROM apple_models WHERE id = ?', [req.params.id]);
+    res.json({ success: true, model: parseAppleModelRow(model) });
+  } catch (error) {
+    console.error('Apple model update error:', error);
+    res.status(500).json({ error: 'Failed to update Apple model' });
+  }
+});
+
+// Delete a model
+app.delete('/api/apple-models/:id', async (req, res) => {
+  try {
+    const result = await runQuery('DELETE FROM apple_models WHERE id = ?', [req.params.id]);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Apple model not found' });
+    }
+
+    await loadAppleModelCatalogue();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Apple model delete error:', error);
+    res.status(500).json({ error: 'Failed to delete Apple model' });
+  }
+});
+
+function parseAppleModelRow(row) {
+  return {
+    ...row,
+    chip_options: JSON.parse(row.chip_options || '[]'),
+    colors: JSON.parse(row.colors || '[]')
+  };
+}
+
+function validateAppleModel(model) {
+  if (!model || !model.family) return 'Model family is required';
+  if (!model.a_number && !model.part_number) return 'An A-number or part number is required';
+  return null;
+}
+
+function appleModelParams(model) {
+  return [
+    model.a_number ? model.a_number.toString().trim().toUpperCase() : null,
+    model.part_number ? model.part_number.toString().trim().toUpperCase() : null,
+    model.family,
+    model.display_size || null,
+    model.year ? model.year.toString() : null,
+    JSON.stringify(model.chip_options || []),
+    JSON.stringify(model.colors || []),
+    model.launch_msrp || null,
+    model.notes || null
+  ];
+}
+
+// Upsert models: part numbers are unique, A-number entries match on A-number + family + year
+async function importAppleModels(models) {
+  const result = { inserted: 0, updated: 0, skipped: 0 };
+
+  for (const model of models) {
+    if (validateAppleModel(model)) {
+      result.skipped++;
+      continue;
+    }
+
+    const params = appleModelParams(model);
+    const [aNumber, partNumber, family, , year] = params;
+
+    const existing = partNumber
+      ? await getQuery('SELECT id FROM apple_models WHERE part_number = ?', [partNumber])
+      : await getQuery(`
+          SELECT id FROM apple_models
+          WHERE part_number IS NULL AND a_number = ? AND family = ? AND COALESCE(year, '') = COALESCE(?, '')
+        `, [aNumber, family, year]);
+
+    if (existing) {
+      await runQuery(`
+        UPDATE apple_models SET
+          a_number = ?, part_number = ?, family = ?, display_size = ?, year = ?,
+          chip_options = ?, colors = ?, launch_msrp = ?, notes = ?, date_updated = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [...params, existing.id]);
+      result.updated++;
+    } else {
+      await runQuery(`
+        INSERT INTO apple_models (a_number, part_number, family, display_size, year, chip_options, colors, launch_msrp, notes)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, params);
+      result.inserted++;
+    }
+  }
+
+  return result;
+}
+
+async function loadAppleModelCatalogue() {
+  const { count } = await getQuery('SELECT COUNT(*) as count FROM apple_models');
+
+  if (count === 0 && fs.existsSync(APPLE_MODELS_SEED_FILE)) {
+    const seed = JSON.parse(fs.readFileSync(APPLE_MODELS_SEED_FILE, 'utf8'));
+    const result = await importAppleModels(seed);
+    console.log(`🍏 Seeded Apple model catalogue with ${result.inserted} models`);
+  }
+
+  const rows = await getAllQuery('SELECT * FROM apple_models');
+  appleModelCatalogue = rows.map(parseAppleModelRow);
+  console.log(`🍏 Apple model catalogue loaded: ${appleModelCatalogue.length} models`);
+}
+
+// Find the catalogue entry for a sheet row. Part numbers identify an exact
+// configuration so they win; an A-number can cover several chips (A2338 is
+// both the M1 and M2 13" MacBook Pro), so those are narrowed by processor.
+function findCatalogueModel(item) {
+  const text = Object.values(item).join(' ').toUpperCase();
+
+  for (const partNumber of text.match(/\b[A-Z0-9]{5,10}\/A\b/g) || []) {
+    const model = appleModelCatalogue.find(m => m.part_number === partNumber);
+    if (model) return model;
+  }
+
+  const chip = extractProcessorDetails((item['Processor'] || '').toString().trim());
+
+  for (const aNumber of text.match(/\bA\d{4}\b/g) || []) {
+    const candidates = appleModelCatalogue.filter(m => m.a_number === aNumber && !m.part_number);
+    if (candidates.length === 0) continue;
+    if (candidates.length === 1) return candidates[0];
+
+    const chipMatch = candidates.find(m => m.chip_options.includes(chip));
+    return chipMatch || { ...candidates[0], ambiguous: true };
+  }
+
+  return null;
+}
+
+// =============================================================================
+// PRICING RULES
+// =============================================================================
+// Every price the tool produces - variant and compare-at prices, and the discount
+// figures in SEO descriptions, product descriptions and FAQs - is calculated from
+// these rules:
+//   base_msrp  MSRP of the product type (a rule without product type covers the rest)
+//   storage    match_value = minimum GB (1TB = 1000), amount added to the MSRP
+//   memory     match_value = minimum GB, amount added to the MSRP
+//   chip       match_value = chip tier word such as "Pro", "Max" or "Ultra", amount added
+//   size       match_value = minimum display inches, amount added
+//   grade      match_value = grade letter, amount = percent off the MSRP
+//   rounding   match_value = 'nearest' (amount = step in dollars) or 'end_in' (e.g. 9 or 99)
+//   margin     match_value = 'percent' (of the price) or 'fixed' (dollars per unit); no unit is
+//              priced below its landed cost plus payment fees and this margin (calculatePriceFloor)
+//   aging      match_value = minimum days in stock, amount = percent off the grade price once
+//              a variant's oldest unsold unit is that old (see AGING MARKDOWNS)
+// Storage, memory, chip and size add only their largest matching rule. A rule with a
+// product type replaces the general rule with the same match for that product type.
+
+// Seed data used the first time the rules table is empty
+const PRICING_RULES_SEED_FILE = path.join(__dirname, 'pricing-rules.json');
+
+const PRICING_RULE_TYPES = {
+  base_msrp: 'Base MSRP',
+  storage: 'Storage',
+  memory: 'Memory',
+  chip: 'Chip tier',
+  size: 'Display size',
+  grade: 'Grade discount',
+  rounding: 'Rounding',
+  margin: 'Minimum margin',
+  aging: 'Aging markdown'
+};
+const ROUNDING_MODES = ['nearest', 'end_in'];
+const MARGIN_KINDS = ['percent', 'fixed'];
+
+// In-memory copy so the (synchronous) product analysis can price groups
+let pricingRules = [];
+
+// List the rules, plus the product types and unsold configurations to preview against
+app.get('/api/pricing-rules', async (req, res) => {
+  try {
+    const rules = await getAllQuery('SELECT * FROM pricing_rules ORDER BY rule_type, product_type, match_value');
+    const groups = await getAllQuery(`
+      SELECT product_type, display_size, processor, storage, memory, year, COUNT(*) as units
+      FROM products
+      WHERE is_sold = 0 AND product_type IS NOT NULL
+      GROUP BY product_type, display_size, processor, storage, memory, year
+      ORDER BY product_type, year DESC, processor, storage, memory
+    `);
+
+    res.json({
+      success: true,
+      ruleTypes: PRICING_RULE_TYPES,
+      roundingModes: ROUNDING_MODES,
+      marginKinds: MARGIN_KINDS,
+      paymentFees: { percent: SHOPIFY_FEE_PERCENT, fixed: SHOPIFY_FEE_FIXED },
+      rules: rules.map(parsePricingRuleRow),
+      groups: groups.map(group => {
+        const productInfo = {
+          productType: group.product_type,
+          displaySize: group.display_size,
+          processor: group.processor,
+          storage: group.storage,
+          memory: group.memory,
+          year: group.year
+        };
+        return { groupKey: createAdvancedGroupingKey(productInfo), ...productInfo, units: group.units };
+      })
+    });
+  } catch (error) {
+    console.error('Pricing rules error:', error);
+    res.status(500).json({ error: 'Failed to load pricing rules' });
+  }
+});
+
+app.post('/api/pricing-rules', async (req, res) => {
+  try {
+    const rule = normalizePricingRule(req.body);
+    const validationError = validatePricingRule(rule, null);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await runQuery(`
+      INSERT INTO pricing_rules (rule_type, product_type, match_value, amount, notes)
+      VALUES (?, ?, ?, ?, ?)
+    `, [rule.rule_type, rule.product_type, rule.match_value, rule.amount, rule.notes]);
+    await loadPricingRules();
+
+    console.log(`💲 Added ${PRICING_RULE_TYPES[rule.rule_type]} rule ${describePricingRule(rule)}`);
+    const saved = await getQuery('SELECT * FROM pricing_rules WHERE id = ?', [result.id]);
+    res.json({ success: true, rule: parsePricingRuleRow(saved) });
+  } catch (error) {
+    console.error('Add pricing rule error:', error);
+    res.status(500).json({ error: 'Failed to add pricing rule' });
+  }
+});
+
+app.put('/api/pricing-rules/:id', async (req, res) => {
+  try {
+    const existing = await getQuery('SELECT * FROM pricing_rules WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Pricing rule not found' });
+    }
+
+    const rule = normalizePricingRule(req.body);
+    const validationError = validatePricingRule(rule, existing.id);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (removesGeneralBaseMsrp(existing, rule)) {
+      return res.status(400).json({ error: GENERAL_BASE_MSRP_REQUIRED });
+    }
+
+    await runQuery(`
+      UPDATE pricing_rules SET
+        rule_type = ?, product_type = ?, match_value = ?, amount = ?, notes = ?, date_updated = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [rule.rule_type, rule.product_type, rule.match_value, rule.amount, rule.notes, existing.id]);
+    await loadPricingRules();
+
+    const saved = await getQuery('SELECT * FROM pricing_rules WHERE id = ?', [existing.id]);
+    res.json({ success: true, rule: parsePricingRuleRow(saved) });
+  } catch (error) {
+    console.error('Update pricing rule error:', error);
+    res.status(500).json({ error: 'Failed to update pricing rule' });
+  }
+});
+
+app.delete('/api/pricing-rules/:id', async (req, res) => {
+  try {
+    const existing = await getQuery('SELECT * FROM pricing_rules WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Pricing rule not found' });
+    }
+    if (removesGeneralBaseMsrp(existing, null)) {
+      return res.status(400).json({ error: GENERAL_BASE_MSRP_REQUIRED });
+    }
+
+    await runQuery('DELETE FROM pricing_rules WHERE id = ?', [existing.id]);
+    await loadPricingRules();
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete pricing rule error:', error);
+    res.status(500).json({ error: 'Failed to delete pricing rule' });
+  }
+});
+
+// Price a product group (productType, displaySize, processor, storage, memory) with the saved rules
+app.post('/api/pricing-rules/preview', (req, res) => {
+  const productInfo = req.body || {};
+  if (!productInfo.productType) {
+    return res.status(400).json({ error: 'productType is required' });
+  }
+
+  try {
+    res.json({ success: true, pricing: quotePricing(productInfo) });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('Pricing preview error:', error);
+    res.status(500).json({ error: 'Failed to preview pricing' });
+  }
+});
+
+function parsePricingRuleRow(row) {
+  return { ...row, amount: Number(row.amount) };
+}
+
+function normalizePricingRule(body) {
+  const text = value => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+  const rule = {
+    rule_type: text(body.rule_type),
+    product_type: text(body.product_type),
+    match_value: text(body.match_value),
+    amount: Number(body.amount),
+    notes: text(body.notes)
+  };
+
+  if (rule.rule_type === 'base_msrp') rule.match_value = null;
+  if (rule.rule_type === 'grade' && rule.match_value) rule.match_value = rule.match_value.toUpperCase();
+  return rule;
+}
+
+function validatePricingRule(rule, id) {
+  if (!PRICING_RULE_TYPES[rule.rule_type]) {
+    return `rule_type must be one of: ${Object.keys(PRICING_RULE_TYPES).join(', ')}`;
+  }
+  if (!Number.isFinite(rule.amount)) return 'amount must be a number';
+
+  switch (rule.rule_type) {
+    case 'base_msrp':
+      if (rule.amount <= 0) return 'The MSRP must be more than 0';
+      break;
+    case 'storage':
+    case 'memory':
+    case 'size':
+      if (!(Number(rule.match_value) > 0)) return `The minimum ${rule.rule_type === 'size' ? 'size in inches' : 'GB'} must be a number above 0`;
+      break;
+    case 'chip':
+      if (!rule.match_value) return 'Enter the chip tier word to match, e.g. Pro';
+      break;
+    case 'grade':
+      if (!/^[A-Z]$/.test(rule.match_value || '')) return 'Enter a single grade letter, e.g. C';
+      if (rule.amount < 0 || rule.amount >= 100) return 'The grade discount must be a percentage from 0 to 99';
+      break;
+    case 'rounding':
+      if (!ROUNDING_MODES.includes(rule.match_value)) return `The rounding mode must be one of: ${ROUNDING_MODES.join(', ')}`;
+      if (rule.match_value === 'nearest' && rule.amount <= 0) return 'The rounding step must be more than 0';
+      if (rule.match_value === 'end_in' && !(Number.isInteger(rule.amount) && rule.amount >= 0)) {
+        return 'The price ending must be a whole number, e.g. 9 or 99';
+      }
+      break;
+    case 'aging':
+      if (!(Number.isInteger(Number(rule.match_value)) && Number(rule.match_value) > 0)) return 'The days in stock must be a whole number above 0';
+      if (rule.amount <= 0 || rule.amount >= 100) return 'The markdown must be a percentage from 1 to 99';
+      break;
+    case 'margin':
+      if (!MARGIN_KINDS.includes(rule.match_value)) return `The margin kind must be one of: ${MARGIN_KINDS.join(', ')}`;
+      if (rule.amount < 0) return 'The margin can\'t be negative';
+      // Together with the payment fee the percentage has to leave something of the price
+      if (rule.match_value === 'percent' && rule.amount >= 50) return 'The margin percentage must be below 50';
+      break;
+  }
+
+  // One rule per kind and match (and one rounding rule) for each product type
+  const duplicate = pricingRules.find(existing =>
+    existing.id !== id &&
+    existing.rule_type === rule.rule_type &&
+    existing.product_type === rule.product_type &&
+    (rule.rule_type === 'rounding' || existing.match_value === rule.match_value)
+  );
+  if (duplicate) {
+    return `There is already a ${PRICING_RULE_TYPES[rule.rule_type]} rule ${describePricingRule(duplicate)}`;
+  }
+  return null;
+}
+
+const GENERAL_BASE_MSRP_REQUIRED = 'Product types without their own base MSRP are priced from the general one (no product type); change its amount instead';
+
+// Whether replacing (or, without a replacement, deleting) a rule leaves no general base MSRP
+function removesGeneralBaseMsrp(existing, replacement) {
+  if (existing.rule_type !== 'base_msrp' || existing.product_type) return false;
+  if (replacement && replacement.rule_type === 'base_msrp' && !replacement.product_type) return false;
+  return !pricingRules.some(rule => rule.id !== existing.id && rule.rule_type === 'base_msrp' && !rule.product_type);
+}
+
+function describePricingRule(rule) {
+  const scope = rule.product_type || 'all products';
+  return rule.match_value ? `"${rule.match_value}" for ${scope}` : `for ${scope}`;
+}
+
+// Kinds of rule with no rules at all get the defaults from the seed file, so a kind added
+// later starts out with sensible values in an existing database too
+async function loadPricingRules() {
+  if (fs.existsSync(PRICING_RULES_SEED_FILE)) {
+    const existingTypes = new Set((await getAllQuery('SELECT DISTINCT rule_type FROM pricing_rules')).map(row => row.rule_type));
+    const seed = JSON.parse(fs.readFileSync(PRICING_RULES_SEED_FILE, 'utf8'))
+      .filter(rule => !existingTypes.has(rule.rule_type));
+
+    for (const rule of seed) {
+      await runQuery(
+        'INSERT INTO pricing_rules (rule_type, product_type, match_value, amount, notes) VALUES (?, ?, ?, ?, ?)',
+        [rule.rule_type, rule.product_type, rule.match_value, rule.amount, rule.notes]
+      );
+    }
+    if (seed.length > 0) console.log(`💲 Seeded ${seed.length} pricing rules`);
+  }
+
+  const rows = await getAllQuery('SELECT * FROM pricing_rules');
+  pricingRules = rows.map(parsePricingRuleRow);
+  console.log(`💲 Pricing rules loaded: ${pricingRules.length} rules`);
+}
+
+// Rules of one kind that apply to a product type. A rule for the product type (or its
+// Apple Watch series) replaces the general rule with the same match; a product type has
+// one base MSRP and one rounding rule.
+function pricingRulesFor(type, productType) {
+  const byScope = {};
+  for (const rule of pricingRules.filter(r => r.rule_type === type)) {
+    const scope = rule.product_type || '';
+    (byScope[scope] = byScope[scope] || []).push(rule);
+  }
+
+  const general = byScope[''] || [];
+  const own = (productType && lookupByProductType(byScope, productType)) || [];
+  const matchKey = rule => (type === 'base_msrp' || type === 'rounding' ? '' : rule.match_value);
+  const replaced = new Set(own.map(matchKey));
+  return [...own, ...general.filter(rule => !replaced.has(matchKey(rule)))];
+}
+
+// "512GB" -> 512, "1TB" -> 1000 (the storage rules count a terabyte as 1000GB)
+function parseCapacityGb(value) {
+  const match = String(value || '').match(/(\d+(?:\.\d+)?)\s*(TB|GB)?/i);
+  if (!match) return 0;
+  return parseFloat(match[1]) * (match[2] && match[2].toUpperCase() === 'TB' ? 1000 : 1);
+}
+
+function roundPrice(price, rounding) {
+  if (!rounding) return Math.round(price);
+
+  if (rounding.match_value === 'end_in') {
+    // Nearest price ending in the digits, e.g. 9 -> 1249 or 1259, 99 -> 1199 or 1299
+    const modulus = 10 ** String(rounding.amount).length;
+    const lower = Math.floor((price - rounding.amount) / modulus) * modulus + rounding.amount;
+    return price - lower <= lower + modulus - price ? lower : lower + modulus;
+  }
+
+  return Math.round(Math.round(price / rounding.amount) * rounding.amount * 100) / 100;
+}
+
+// Rounds up to the next price the rounding rule allows, so a rounded floor stays a floor
+function roundPriceUp(price, rounding) {
+  const rounded = roundPrice(price, rounding);
+  if (rounded >= price) return rounded;
+
+  let step = 1;
+  if (rounding) step = rounding.match_value === 'end_in' ? 10 ** String(rounding.amount).length : rounding.amount;
+  return roundPrice(rounded + step, rounding);
+}
+
+// Lowest price that still covers a unit's landed cost (supplier cost plus additional
+// costs), the Shopify payment fee taken from the sale and the minimum margin:
+//   price - price * (fee % + margin %) - fixed fee - fixed margin >= landed cost
+function calculatePriceFloor(productType, landedCost) {
+  const margin = { percent: 0, fixed: 0 };
+  for (const rule of pricingRulesFor('margin', productType || '')) {
+    margin[rule.match_value] = rule.amount;
+  }
+
+  const fixed = landedCost + SHOPIFY_FEE_FIXED + margin.fixed;
+  const share = 1 - (SHOPIFY_FEE_PERCENT + margin.percent) / 100;
+  return roundPriceUp(fixed / share, pricingRulesFor('rounding', productType || '')[0] || null);
+}
+
+const DAYS_IN_STOCK_SQL = "CAST(julianday('now') - julianday(COALESCE(date_added, 'now')) AS INTEGER)";
+
+// Cost and age of the unsold units among stockIds, as stock ID -> { landedCost, daysInStock }.
+// landedCost is null for units without a supplier cost.
+async function getUnitPricingData(stockIds) {
+  if (stockIds.length === 0) return new Map();
+
+  const rows = await getAllQuery(
+    `SELECT stock_id, supplier_cost, additional_costs, ${DAYS_IN_STOCK_SQL} as days_in_stock
+     FROM products
+     WHERE is_sold = 0 AND stock_id IN (${stockIds.map(() => '?').join(',')})`,
+    stockIds.map(String)
+  );
+  return new Map(rows.map(row => [row.stock_id, unitPricingData(row)]));
+}
+
+function unitPricingData(row) {
+  return {
+    landedCost: row.supplier_cost > 0 ? row.supplier_cost + (row.additional_costs || 0) : null,
+    daysInStock: Math.max(0, row.days_in_stock || 0)
+  };
+}
+
+// The highest floor among a variant's units; null when none of them has a known cost
+function variantPriceFloor(productType, stockIds, units) {
+  let highest = null;
+  for (const stockId of stockIds) {
+    const unit = units.get(String(stockId));
+    if (!unit || unit.landedCost === null) continue;
+
+    const floor = calculatePriceFloor(productType, unit.landedCost);
+    if (!highest || floor > highest.floor) highest = { floor, stockId: String(stockId), landedCost: unit.landedCost };
+  }
+  return highest;
+}
+
+// The deepest aging tier reached by a variant's oldest unit; null before the first tier
+function agingMarkdown(productType, stockIds, units) {
+  let oldest = null;
+  for (const stockId of stockIds) {
+    const unit = units.get(String(stockId));
+    if (unit && (!oldest || unit.daysInStock > oldest.daysInStock)) oldest = { stockId: String(stockId), ...unit };
+  }
+  if (!oldest) return null;
+
+  const tier = pricingRulesFor('aging', productType || '')
+    .filter(rule => oldest.daysInStock >= Number(rule.match_value))
+    .sort((a, b) => Number(b.match_value) - Number(a.match_value))[0];
+  return tier ? { days: Number(tier.match_value), percent: tier.amount, stockId: oldest.stockId, daysInStock: oldest.daysInStock } : null;
+}
+
+// Price of a variant holding the units in stockIds: the grade price, marked down by the
+// age of its oldest unit, and never below the floor of its costliest unit. A manual
+// override (see PRICE OVERRIDES) replaces all of that; belowFloor flags one under the floor.
+function priceVariant(productInfo, condition, stockIds, units, override = null) {
+  const gradePrice = calculateVariantPrice(productInfo, condition);
+
+  if (override) {
+    const floor = variantPriceFloor(productInfo.productType, stockIds, units);
+    return {
+      price: override.price,
+      gradePrice,
+      markdown: null,
+      priceFloor: null,
+      override: {
+        id: override.id,
+        scope: override.scope,
+        price: override.price,
+        rulePrice: gradePrice,
+        expiresOn: override.expires_on,
+        notes: override.notes,
+        createdBy: override.created_by,
+        belowFloor: floor && floor.floor > override.price ? floor.floor : null
+      }
+    };
+  }
+
+  let price = gradePrice;
+
+  const markdown = agingMarkdown(productInfo.productType, stockIds, units);
+  if (markdown) {
+    const rounding = pricingRulesFor('rounding', productInfo.productType || '')[0] || null;
+    price = roundPrice(gradePrice * (100 - markdown.percent) / 100, rounding);
+  }
+
+  let priceFloor = null;
+  const floor = variantPriceFloor(productInfo.productType, stockIds, units);
+  if (floor && floor.floor > price) {
+    priceFloor = { rulePrice: price, ...floor };
+    price = floor.floor;
+  }
+
+  return { price, gradePrice, markdown, priceFloor, override: null };
+}
+
+// MSRP, how it was built up, and the discount and price of every grade
+function quotePricing(productInfo) {
+  const productType = productInfo.productType || '';
+  const breakdown = [];
+
+  // Without a base MSRP every price would come out as $0
+  const baseRule = pricingRulesFor('base_msrp', productType)[0];
+  if (!baseRule) {
+    throw Object.assign(new Error(`No base MSRP pricing rule applies to ${productType || 'this product'}`), { status: 400 });
+  }
+  let msrp = baseRule.amount;
+  breakdown.push({ label: `Base MSRP (${baseRule.product_type || 'default'})`, amount: msrp });
+
+  const adjustments = {
+    storage: rule => parseCapacityGb(productInfo.storage) >= Number(rule.match_value),
+    memory: rule => parseCapacityGb(productInfo.memory) >= Number(rule.match_value),
+    chip: rule => String(productInfo.processor || '').toLowerCase().split(/\s+/).includes(rule.match_value.toLowerCase()),
+    size: rule => parseFloat(productInfo.displaySize) >= Number(rule.match_value)
+  };
+  for (const [type, matches] of Object.entries(adjustments)) {
+    const matched = pricingRulesFor(type, productType).filter(matches);
+    if (matched.length === 0) continue;
+
+    const rule = matched.reduce((best, candidate) => (candidate.amount > best.amount ? candidate : best));
+    msrp += rule.amount;
+    breakdown.push({ label: `${PRICING_RULE_TYPES[type]} ${rule.match_value}`, amount: rule.amount });
+  }
+  msrp = Math.round(msrp);
+
+  const rounding = pricingRulesFor('rounding', productType)[0] || null;
+  const grades = {};
+  for (const rule of pricingRulesFor('grade', productType).sort((a, b) => a.match_value.localeCompare(b.match_value))) {
+    grades[rule.match_value] = {
+      discount: rule.amount,
+      price: roundPrice(msrp * (100 - rule.amount) / 100, rounding)
+    };
+  }
+
+  const discounts = Object.values(grades).map(grade => grade.discount);
+  return {
+    msrp,
+    breakdown,
+    grades,
+    rounding: rounding ? { mode: rounding.match_value, amount: rounding.amount } : null,
+    minDiscount: discounts.length > 0 ? Math.min(...discounts) : 0,
+    maxDiscount: discounts.length > 0 ? Math.max(...discounts) : 0
+  };
+}
+
+// Price of a grade; grades without a rule get the smallest discount
+function calculateVariantPrice(productInfo, condition) {
+  const { msrp, grades } = quotePricing(productInfo);
+  if (grades[condition]) return grades[condition].price;
+
+  const fallback = Object.values(grades).sort((a, b) => a.discount - b.discount)[0];
+  return fallback ? fallback.price : msrp;
+}
+
+// Percent off the MSRP for a grade, as quoted in descriptions
+function getGradeDiscount(productInfo, condition) {
+  const { grades, minDiscount } = quotePricing(productInfo);
+  return grades[condition] ? grades[condition].discount : minDiscount;
+}
+
+function calculateRetailPrice(productInfo) {
+  return quotePricing(productInfo).msrp;
+}
+
+// =============================================================================
+// AGING MARKDOWNS
+// =============================================================================
+// Variants whose oldest unsold unit has passed an 'aging' pricing rule are marked down.
+// Syncs price variants the same way (priceVariant), so a re-sync keeps the markdown; this
+// job reprices listed variants between syncs and pushes only prices that differ.
+// Variants held by a price override are left alone; once the override expires or is
+// deleted, the job puts a variant still listed at it back on the rules.
+
+let agingMarkdownsRunning = false;
+
+// Run the markdowns now; dryRun lists the price changes without making them
+app.post('/api/price-markdowns/run', async (req, res) => {
+  try {
+    const report = await runAgingMarkdowns({ dryRun: req.body.dryRun === true, changedBy: req.body.changedBy || null });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Aging markdown error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+async function runAgingMarkdowns({ dryRun = false, changedBy = null } = {}) {
+  if (agingMarkdownsRunning) {
+    throw Object.assign(new Error('Aging markdowns are already running'), { status: 409 });
+  }
+
+  agingMarkdownsRunning = true;
+  try {
+    return await applyAgingMarkdowns(dryRun, changedBy);
+  } finally {
+    agingMarkdownsRunning = false;
+  }
+}
+
+async function applyAgingMarkdowns(dryRun, changedBy) {
+  const rows = await getAllQuery(`
+    SELECT stock_id, product_type, display_size, processor, storage, memory, condition,
+           supplier_cost, additional_costs, shopify_product_id, shopify_variant_id, shopify_store_id,
+           ${DAYS_IN_STOCK_SQL} as days_in_stock,
+           (SELECT group_key FROM shopify_product_links WHERE shopify_product_id = products.shopify_product_id LIMIT 1) as group_key,
+           (SELECT price_override_id FROM price_history h
+            WHERE h.stock_id = products.stock_id AND h.store_id = products.shopify_store_id
+            ORDER BY h.date_changed DESC, h.id DESC LIMIT 1) as listed_override_id
+    FROM products
+    WHERE is_sold = 0 AND shopify_variant_id IS NOT NULL
+  `);
+
+  const units = new Map(rows.map(row => [row.stock_id, unitPricingData(row)]));
+  const overrides = await getActivePriceOverrides();
+  const variants = new Map(); // "store ID:variant ID" -> the variant's units
+  for (const row of rows) {
+    const key = `${row.shopify_store_id || ''}:${row.shopify_variant_id}`;
+    if (!variants.has(key)) variants.set(key, []);
+    variants.get(key).push(row);
+  }
+
+  // Prices of the variants an aging tier applies to, or last listed at an override price,
+  // grouped by store
+  const targetsByStore = new Map();
+  for (const variantRows of variants.values()) {
+    const [unit] = variantRows;
+    const productInfo = {
+      productType: unit.product_type,
+      displaySize: unit.display_size,
+      processor: unit.processor,
+      storage: unit.storage,
+      memory: unit.memory
+    };
+    const stockIds = variantRows.map(row => row.stock_id);
+    const { price, markdown, priceFloor } = priceVariant(productInfo, unit.condition, stockIds, units);
+    const listedAtOverride = variantRows.some(row => row.listed_override_id !== null);
+    if (!markdown && !listedAtOverride) continue;
+
+    const compareAtPrice = calculateComparePrice(productInfo, unit.condition);
+    const storeKey = unit.shopify_store_id || '';
+    if (!targetsByStore.has(storeKey)) targetsByStore.set(storeKey, []);
+    targetsByStore.get(storeKey).push({
+      variantId: unit.shopify_variant_id,
+      productId: unit.shopify_product_id,
+      groupKey: unit.group_key,
+      productType: unit.product_type,
+      stockIds,
+      markdown,
+      listedAtOverride,
+      price_floor: priceFloor,
+      floored: priceFloor !== null,
+      price: price.toString(),
+      compare_at_price: compareAtPrice > price ? compareAtPrice.toString() : null
+    });
+  }
+
+  const report = { dryRun, variantsChecked: variants.size, overridden: 0, overridesLapsed: 0, changes: [], errors: [] };
+
+  for (const [storeKey, targets] of targetsByStore) {
+    let store;
+    try {
+      store = await loadStore(storeKey || null);
+      const { baseUrl, headers } = storeConnection(store);
+      targets.forEach(target => applyStorePricing([target], store, target.productType));
+
+      const current = await fetchVariantPrices(baseUrl, headers, targets.map(target => target.variantId));
+      const changesByProduct = new Map();
+      for (const target of targets) {
+        const variant = current.get(String(target.variantId));
+        if (!variant) {
+          report.errors.push({ store: store.name, variantId: target.variantId, stockIds: target.stockIds, error: 'Variant not found in Shopify' });
+          continue;
+        }
+        if (findPriceOverride(overrides, target.groupKey, variant.title, target.stockIds)) {
+          report.overridden++;
+          continue;
+        }
+        if (samePrice(variant.price, target.price)) continue;
+
+        const change = {
+          store: store.name,
+          storeId: store.id,
+          variantId: String(target.variantId),
+          productId: variant.productId,
+          groupKey: target.groupKey,
+          title: variant.displayName,
+          stockIds: target.stockIds,
+          from: variant.price,
+          to: target.price,
+          compareAtPrice: target.compare_at_price,
+          daysInStock: target.markdown ? target.markdown.daysInStock : null,
+          tier: target.markdown ? `${target.markdown.days} days: -${target.markdown.percent}%` : null,
+          floored: target.floored,
+          overrideLapsed: target.listedAtOverride
+        };
+        if (change.overrideLapsed) report.overridesLapsed++;
+        if (!changesByProduct.has(change.productId)) changesByProduct.set(change.productId, []);
+        changesByProduct.get(change.productId).push(change);
+      }
+
+      for (const [productId, changes] of changesByProduct) {
+        if (!dryRun) {
+          try {
+            await shopifyMutation(baseUrl, headers, shopifyQueries.ProductVariantsBulkUpdate, {
+              productId: toGid('Product', productId),
+              variants: changes.map(change => ({
+                id: toGid('ProductVariant', change.variantId),
+                price: change.to,
+                compareAtPrice: change.compareAtPrice
+              }))
+            });
+          } catch (error) {
+            changes.forEach(change => report.errors.push({ ...change, error: error.message }));
+            continue;
+          }
+
+          for (const change of changes) {
+            await recordPriceChange(change.stockIds, {
+              storeId: change.storeId,
+              variantId: change.variantId,
+              groupKey: change.groupKey,
+              oldPrice: change.from,
+              newPrice: change.to,
+              source: change.tier ? 'markdown' : 'rule',
+              reason: markdownChangeReason(change),
+              changedBy
+            });
+            console.log(`🏷️ ${change.title}: $${change.from} → $${change.to} (${markdownChangeReason(change)})`);
+          }
+        }
+        report.changes.push(...changes);
+      }
+    } catch (error) {
+      console.log(`⚠️ Aging markdowns for store ${store ? store.name : storeKey || 'default'} failed: ${error.message}`);
+      report.errors.push({ store: store ? store.name : storeKey || null, error: error.message });
+    }
+  }
+
+  console.log(`🏷️ Aging markdowns${dryRun ? ' (dry run)' : ''}: ${report.changes.length} price change(s) across ${report.variantsChecked} listed variants, ${report.overridden} held by an override, ${report.overridesLapsed} back on the rules after an override, ${report.errors.length} error(s)`);
+  return report;
+}
+
+function markdownChangeReason(change) {
+  const reasons = [];
+  if (change.overrideLapsed) reasons.push('Price override ended');
+  if (change.tier) reasons.push(`${change.daysInStock} days in stock, tier ${change.tier}`);
+  if (change.floored) reasons.push('held at cost floor');
+  return reasons.length > 0 ? reasons.join('; ') : 'Pricing rules';
+}
+
+// Current prices of the variants, as variant ID -> { price, displayName, title, productId };
+// title is the option values the way createAdvancedVariants writes them
+async function fetchVariantPrices(baseUrl, headers, variantIds) {
+  const prices = new Map();
+  for (let i = 0; i < variantIds.length; i += 250) {
+    const { nodes } = await shopifyGraphQL(baseUrl, headers, shopifyQueries.VariantPrices, {
+      ids: variantIds.slice(i, i + 250).map(id => toGid('ProductVariant', id))
+    });
+    for (const node of nodes.filter(Boolean)) {
+      prices.set(String(fromGid(node.id)), {
+        price: node.price,
+        displayName: node.displayName,
+        title: node.selectedOptions.map(option => option.value).join(' - '),
+        productId: fromGid(node.product.id)
+      });
+    }
+  }
+  return prices;
+}
+
+// =============================================================================
+// PRICE HISTORY
+// =============================================================================
+// One row per unit for every price it was listed at or changed to, whichever way the
+// change reached Shopify: 'import' when a sync first lists the unit, 'rule' when a sync
+// reprices its variant, 'markdown' for aging markdowns and 'manual' for overrides, both
+// when one is saved (in the base currency, without a store) and when a sync applies it.
+// changed_by is the name entered on the page that started it (null for the schedule).
+
+// Price changes of one unit, newest first
+app.get('/api/price-history/:stockId', async (req, res) => {
+  try {
+    const history = await getAllQuery(`
+      SELECT h.*, s.name as store_name, s.currency
+      FROM price_history h
+      LEFT JOIN stores s ON s.id = h.store_id
+      WHERE h.stock_id = ?
+      ORDER BY h.date_changed DESC, h.id DESC
+    `, [req.params.stockId]);
+    res.json({ success: true, stockId: req.params.stockId, history });
+  } catch (error) {
+    console.error('Price history error:', error);
+    res.status(500).json({ error: 'Failed to load price history' });
+  }
+});
+
+// Price changes of a product group (?groupKey=), newest first. Rows written before the
+// group key was recorded are found through the units linked to the group's product.
+// `events` folds the per-unit rows of one variant change back into a single entry.
+app.get('/api/price-history', async (req, res) => {
+  try {
+    const { groupKey } = req.query;
+    if (!groupKey) {
+      return res.status(400).json({ error: 'groupKey is required' });
+    }
+
+    const history = await getAllQuery(`
+      SELECT h.*, s.name as store_name, s.currency
+      FROM price_history h
+      LEFT JOIN stores s ON s.id = h.store_id
+      WHERE h.group_key = ?
+         OR (h.group_key IS NULL AND h.stock_id IN (
+           SELECT p.stock_id FROM products p
+           JOIN shopify_product_links l ON l.shopify_product_id = p.shopify_product_id
+           WHERE l.group_key = ?
+         ))
+      ORDER BY h.date_changed DESC, h.id DESC
+    `, [groupKey, groupKey]);
+
+    res.json({ success: true, groupKey, events: groupPriceEvents(history), history });
+  } catch (error) {
+    console.error('Group price history error:', error);
+    res.status(500).json({ error: 'Failed to load price history' });
+  }
+});
+
+function groupPriceEvents(history) {
+  const events = new Map();
+  for (const row of history) {
+    const key = [row.date_changed, row.store_id, row.shopify_variant_id, row.source, row.old_price, row.new_price].join('|');
+    if (!events.has(key)) {
+      events.set(key, {
+        dateChanged: row.date_changed,
+        storeId: row.store_id,
+        storeName: row.store_name,
+        currency: row.currency,
+        variantId: row.shopify_variant_id,
+        oldPrice: row.old_price,
+        newPrice: row.new_price,
+        source: row.source,
+        reason: row.reason,
+        changedBy: row.changed_by,
+        stockIds: []
+      });
+    }
+    events.get(key).stockIds.push(row.stock_id);
+  }
+  return [...events.values()];
+}
+
+// One history row per unit, since a variant's price is every one of its units' price
+async function recordPriceChange(stockIds, { storeId, variantId, groupKey, oldPrice, newPrice, source, reason, changedBy, syncJobId, overrideId }) {
+  for (const stockId of stockIds) {
+    await runQuery(`
+      INSERT INTO price_history (stock_id, store_id, shopify_variant_id, group_key, old_price, new_price, source, reason, changed_by, sync_job_id, price_override_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      stockId,
+      storeId || null,
+      variantId ? String(variantId) : null,
+      groupKey || null,
+      oldPrice === null || oldPrice === undefined ? null : parseFloat(oldPrice),
+      parseFloat(newPrice),
+      source,
+      reason || null,
+      changedBy || null,
+      syncJobId || null,
+      overrideId || null
+    ]);
+  }
+}
+
+// History for the variants a sync just created or updated. Must run before
+// recordShopifyLinks: units never listed on Shopify are 'import', units that were on
+// another variant (e.g. after a regrade) change from the price they were last listed at,
+// and the units already on the variant only get a row when the sync moved the price.
+async function recordSyncedPrices(productGroup, variantPairs, { store, groupKey, jobId, startedBy }) {
+  for (const { variant, shopifyVariant, previousPrice } of variantPairs) {
+    const variantId = String(shopifyVariant.id);
+    const uploaded = getVariantStockIds(productGroup, variant);
+    const rows = await getAllQuery(`
+      SELECT stock_id, shopify_variant_id FROM products
+      WHERE is_sold = 0
+        AND (shopify_variant_id = ?${uploaded.length > 0 ? ` OR stock_id IN (${uploaded.map(() => '?').join(',')})` : ''})
+    `, [variantId, ...uploaded]);
+
+    const newUnits = rows.filter(row => !row.shopify_variant_id).map(row => row.stock_id);
+    // Units still linked here but uploaded under another of the group's variants are leaving it
+    const leaving = new Set((productGroup.stockItems || []).map(item => String(item.stockId)).filter(id => !uploaded.includes(id)));
+    const listedUnits = rows
+      .filter(row => row.shopify_variant_id === variantId && !leaving.has(row.stock_id))
+      .map(row => row.stock_id);
+    const movedUnits = rows.filter(row => row.shopify_variant_id && row.shopify_variant_id !== variantId);
+    const change = {
+      storeId: store.id,
+      variantId,
+      groupKey,
+      changedBy: startedBy,
+      syncJobId: jobId,
+      overrideId: variant.price_override ? variant.price_override.id : null,
+      newPrice: variant.price
+    };
+    const source = variant.price_override ? 'manual' : variant.markdown ? 'markdown' : 'rule';
+    const changedBy = (variant.price_override && variant.price_override.createdBy) || startedBy;
+
+    if (newUnits.length > 0) {
+      await recordPriceChange(newUnits, {
+        ...change,
+        oldPrice: null,
+        source: 'import',
+        reason: previousPrice === undefined ? 'Listed on Shopify' : 'Added to an existing listing'
+      });
+    }
+    for (const unit of movedUnits) {
+      const oldPrice = await lastListedPrice(unit.stock_id, store.id);
+      if (oldPrice !== null && samePrice(oldPrice, variant.price)) continue;
+
+      await recordPriceChange([unit.stock_id], {
+        ...change,
+        oldPrice,
+        source,
+        reason: `Moved from variant ${unit.shopify_variant_id}; ${syncPriceReason(variant)}`,
+        changedBy
+      });
+    }
+    if (listedUnits.length > 0 && previousPrice !== undefined && !samePrice(previousPrice, variant.price)) {
+      await recordPriceChange(listedUnits, {
+        ...change,
+        oldPrice: previousPrice,
+        source,
+        reason: syncPriceReason(variant),
+        changedBy
+      });
+    }
+  }
+}
+
+// The unit's price on the store when last recorded, or null when it has no history there
+async function lastListedPrice(stockId, storeId) {
+  const row = await getQuery(`
+    SELECT new_price FROM price_history
+    WHERE stock_id = ? AND store_id = ?
+    ORDER BY date_changed DESC, id DESC
+    LIMIT 1
+  `, [stockId, storeId]);
+  return row ? Number(row.new_price) : null;
+}
+
+function syncPriceReason(variant) {
+  const override = variant.price_override;
+  if (override) {
+    return `Held by ${override.scope} override #${override.id}${override.expiresOn ? ` until ${override.expiresOn}` : ''}${override.notes ? `: ${override.notes}` : ''}`;
+  }
+
+  const reasons = [];
+  if (variant.markdown) {
+    reasons.push(`${variant.markdown.daysInStock} days in stock, tier ${variant.markdown.days} days: -${variant.markdown.percent}%`);
+  }
+  if (variant.price_floor) {
+    reasons.push(`raised from $${variant.price_floor.rulePrice} to the cost floor`);
+  }
+  return reasons.length > 0 ? reasons.join('; ') : 'Pricing rules';
+}
+
+// =============================================================================
+// PRICE OVERRIDES
+// =============================================================================
+// A price held by hand for a product group, one variant of it or one unit, until its
+// expiry date (inclusive) or until deleted. Syncs list the variant at the override
+// instead of the rule price, markdown and cost floor; the most specific override wins
+// (unit, then variant, then group), and among unit overrides the highest price.
+// Overrides take effect on the next sync.
+
+const PRICE_OVERRIDE_SCOPES = {
+  group: 'Product group',
+  variant: 'Variant',
+  unit: 'Unit'
+};
+const ACTIVE_OVERRIDE_SQL = "(expires_on IS NULL OR expires_on >= date('now', 'localtime'))";
+
+// All overrides (or a group's, with ?groupKey=), newest first, expired ones flagged
+app.get('/api/price-overrides', async (req, res) => {
+  try {
+    const { groupKey } = req.query;
+    const overrides = await getAllQuery(`
+      SELECT *, CASE WHEN ${ACTIVE_OVERRIDE_SQL} THEN 1 ELSE 0 END as active
+      FROM price_overrides
+      ${groupKey ? 'WHERE group_key = ?' : ''}
+      ORDER BY active DESC, date_updated DESC, id DESC
+    `, groupKey ? [groupKey] : []);
+
+    res.json({ success: true, scopes: PRICE_OVERRIDE_SCOPES, overrides: overrides.map(parsePriceOverrideRow) });
+  } catch (error) {
+    console.error('Price overrides error:', error);
+    res.status(500).json({ error: 'Failed to load price overrides' });
+  }
+});
+
+app.post('/api/price-overrides', async (req, res) => {
+  try {
+    const override = normalizePriceOverride(req.body);
+    const validationError = await validatePriceOverride(override, null);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await runQuery(`
+      INSERT INTO price_overrides (scope, group_key, variant_title, stock_id, price, expires_on, notes, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [override.scope, override.group_key, override.variant_title, override.stock_id, override.price,
+      override.expires_on, override.notes, override.created_by]);
+
+    console.log(`📌 Added ${override.scope} price override ${describePriceOverride(override)}`);
+    const saved = await getPriceOverride(result.id);
+    await recordOverridePrices(saved, null);
+    res.json({ success: true, override: saved });
+  } catch (error) {
+    console.error('Add price override error:', error);
+    res.status(500).json({ error: 'Failed to add price override' });
+  }
+});
+
+app.put('/api/price-overrides/:id', async (req, res) => {
+  try {
+    const existing = await getQuery('SELECT * FROM price_overrides WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Price override not found' });
+    }
+
+    const override = normalizePriceOverride(req.body);
+    const validationError = await validatePriceOverride(override, existing.id);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await runQuery(`
+      UPDATE price_overrides SET
+        scope = ?, group_key = ?, variant_title = ?, stock_id = ?, price = ?, expires_on = ?, notes = ?,
+        created_by = COALESCE(?, created_by), date_updated = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [override.scope, override.group_key, override.variant_title, override.stock_id, override.price,
+      override.expires_on, override.notes, override.created_by, existing.id]);
+
+    const saved = await getPriceOverride(existing.id);
+    await recordOverridePrices(saved, parsePriceOverrideRow(existing));
+    res.json({ success: true, override: saved });
+  } catch (error) {
+    console.error('Update price override error:', error);
+    res.status(500).json({ error: 'Failed to update price override' });
+  }
+});
+
+// ?deletedBy= is the name recorded in the price history
+app.delete('/api/price-overrides/:id', async (req, res) => {
+  try {
+    const existing = await getPriceOverride(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Price override not found' });
+    }
+
+    const held = await overrideHeldUnits(existing);
+    await runQuery('DELETE FROM price_overrides WHERE id = ?', [existing.id]);
+    await recordRemovedOverridePrices(existing, held, (req.query.deletedBy || '').toString().trim() || null);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete price override error:', error);
+    res.status(500).json({ error: 'Failed to delete price override' });
+  }
+});
+
+function parsePriceOverrideRow(row) {
+  return { ...row, price: Number(row.price), active: row.active === undefined ? undefined : row.active === 1 };
+}
+
+async function getPriceOverride(id) {
+  const row = await getQuery(
+    `SELECT *, CASE WHEN ${ACTIVE_OVERRIDE_SQL} THEN 1 ELSE 0 END as active FROM price_overrides WHERE id = ?`,
+    [id]
+  );
+  return row ? parsePriceOverrideRow(row) : null;
+}
+
+function normalizePriceOverride(body) {
+  const text = value => (value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim());
+  const override = {
+    scope: text(body.scope),
+    group_key: text(body.group_key),
+    variant_title: text(body.variant_title),
+    stock_id: text(body.stock_id),
+    price: Number(body.price),
+    expires_on: text(body.expires_on),
+    notes: text(body.notes),
+    created_by: text(body.created_by)
+  };
+
+  if (override.scope !== 'variant') override.variant_title = null;
+  if (override.scope !== 'unit') override.stock_id = null;
+  return override;
+}
+
+// Also fills in the group key of a unit override from the unit's specs
+async function validatePriceOverride(override, id) {
+  if (!PRICE_OVERRIDE_SCOPES[override.scope]) {
+    return `scope must be one of: ${Object.keys(PRICE_OVERRIDE_SCOPES).join(', ')}`;
+  }
+  if (!(Number.isFinite(override.price) && override.price > 0)) return 'The price must be a number above 0';
+  if (override.expires_on && !/^\d{4}-\d{2}-\d{2}$/.test(override.expires_on)) return 'The expiry must be a date (YYYY-MM-DD)';
+
+  if (override.scope === 'unit') {
+    if (!override.stock_id) return 'Enter the stock ID of the unit';
+    const product = await getQuery('SELECT * FROM products WHERE stock_id = ?', [override.stock_id]);
+    if (!product) return `Stock ID ${override.stock_id} is not in inventory`;
+    override.group_key = createAdvancedGroupingKey(productInfoFromRow(product));
+  } else {
+    if (!override.group_key) return 'Choose the product group';
+    if (override.scope === 'variant' && !override.variant_title) return 'Enter the variant, e.g. Silver - Grade A - English';
+  }
+
+  const duplicate = await getQuery(`
+    SELECT id FROM price_overrides
+    WHERE scope = ? AND id != ? AND ${ACTIVE_OVERRIDE_SQL}
+      AND ${override.scope === 'unit' ? 'stock_id = ?' : 'group_key = ? AND COALESCE(variant_title, \'\') = ?'}
+  `, override.scope === 'unit'
+    ? [override.scope, id || 0, override.stock_id]
+    : [override.scope, id || 0, override.group_key, override.variant_title || '']);
+  if (duplicate) return `${describePriceOverride(override)} already has an override (#${duplicate.id}); edit that one instead`;
+
+  return null;
+}
+
+function describePriceOverride(override) {
+  const target = override.scope === 'unit' ? override.stock_id
+    : override.scope === 'variant' ? `${override.group_key} / ${override.variant_title}`
+      : override.group_key;
+  return `${target} at $${override.price}${override.expires_on ? ` until ${override.expires_on}` : ''}`;
+}
+
+async function getActivePriceOverrides() {
+  const rows = await getAllQuery(`SELECT * FROM price_overrides WHERE ${ACTIVE_OVERRIDE_SQL}`);
+  return rows.map(parsePriceOverrideRow);
+}
+
+// 'manual' history rows for a saved override: one per unsold unit it now prices, from the
+// override's earlier price when an edit keeps its target, otherwise from the unit's rule
+// price. A failure is only logged, the override itself is saved.
+async function recordOverridePrices(override, previous) {
+  try {
+    const held = await overrideHeldUnits(override);
+    if (held.length === 0) return;
+
+    const keepsTarget = previous && ['scope', 'group_key', 'variant_title', 'stock_id'].every(key => previous[key] === override[key]);
+    const units = await getUnitPricingData(held.map(({ product }) => product.stock_id));
+
+    for (const { product, productInfo } of held) {
+      const oldPrice = keepsTarget
+        ? previous.price
+        : priceVariant(productInfo, product.condition, [product.stock_id], units).price;
+      if (samePrice(oldPrice, override.price)) continue;
+
+      await recordPriceChange([product.stock_id], {
+        variantId: product.shopify_variant_id,
+        groupKey: override.group_key,
+        oldPrice,
+        newPrice: override.price,
+        source: 'manual',
+        overrideId: override.id,
+        reason: `${previous ? 'Edited' : 'Added'} ${override.scope} override #${override.id}${override.expires_on ? ` until ${override.expires_on}` : ''}${override.notes ? `: ${override.notes}` : ''} (listed at the next sync)`,
+        changedBy: override.created_by
+      });
+    }
+  } catch (error) {
+    console.log(`⚠️ Price history for override #${override.id} failed: ${error.message}`);
+  }
+}
+
+// 'manual' history rows for a deleted override: one per unsold unit it priced (found
+// before the delete), back to the price the unit falls to - another override or its rule price
+async function recordRemovedOverridePrices(override, held, changedBy) {
+  try {
+    if (held.length === 0) return;
+
+    const overrides = await getActivePriceOverrides();
+    const units = await getUnitPricingData(held.map(({ product }) => product.stock_id));
+
+    for (const { product, productInfo } of held) {
+      const groupKey = createAdvancedGroupingKey(productInfo);
+      const next = findPriceOverride(overrides, groupKey, unitVariantTitle(product), [product.stock_id]);
+      const newPrice = priceVariant(productInfo, product.condition, [product.stock_id], units, next).price;
+      if (samePrice(override.price, newPrice)) continue;
+
+      await recordPriceChange([product.stock_id], {
+        variantId: product.shopify_variant_id,
+        groupKey: override.group_key,
+        oldPrice: override.price,
+        newPrice,
+        source: 'manual',
+        overrideId: next ? next.id : null,
+        reason: `Deleted ${override.scope} override #${override.id}${next ? `, ${next.scope} override #${next.id} applies` : ', back to the rule price'} (listed at the next sync)`,
+        changedBy
+      });
+    }
+  } catch (error) {
+    console.log(`⚠️ Price history for deleted override #${override.id} failed: ${error.message}`);
+  }
+}
+
+// The unsold units an active override currently prices, with their product info
+async function overrideHeldUnits(override) {
+  const overrides = await getActivePriceOverrides();
+  if (!overrides.some(active => active.id === override.id)) return [];
+
+  const products = await getAllQuery(
+    `SELECT * FROM products WHERE is_sold = 0${override.scope === 'unit' ? ' AND stock_id = ?' : ''}`,
+    override.scope === 'unit' ? [override.stock_id] : []
+  );
+  return products
+    .map(product => ({ product, productInfo: productInfoFromRow(product) }))
+    .filter(({ product, productInfo }) => {
+      const groupKey = createAdvancedGroupingKey(productInfo);
+      const found = findPriceOverride(overrides, groupKey, unitVariantTitle(product), [product.stock_id]);
+      return found && found.id === override.id;
+    });
+}
+
+function productInfoFromRow(product) {
+  return {
+    productType: product.product_type,
+    displaySize: product.display_size,
+    processor: product.processor,
+    storage: product.storage,
+    memory: product.memory,
+    year: product.year
+  };
+}
+
+// The title of the variant a unit is listed under, e.g. "Silver - Grade A - English".
+// Connectivity isn't stored, so it is read from the unit's details like on import.
+function unitVariantTitle(product) {
+  const values = {
+    color: product.color,
+    condition: product.condition,
+    keyboardLayout: product.keyboard_layout,
+    connectivity: determineConnectivity(product)
+  };
+  return getVariantOptionKeys(product.product_type).map(key => VARIANT_OPTIONS[key].label(values)).join(' - ');
+}
+
+// The override a variant of groupKey with this title and these units is priced at, if any
+function findPriceOverride(overrides, groupKey, variantTitle, stockIds) {
+  const ids = new Set(stockIds.map(String));
+  const unitOverride = overrides
+    .filter(override => override.scope === 'unit' && ids.has(override.stock_id))
+    .sort((a, b) => b.price - a.price)[0];
+
+  return unitOverride ||
+    overrides.find(override => override.scope === 'variant' && override.group_key === groupKey && override.variant_title === variantTitle) ||
+    overrides.find(override => override.scope === 'group' && override.group_key === groupKey) ||
+    null;
+}
+
+// Process Excel file endpoint
+app.post('/api/process-excel', upload.single('excelFile'), async (req, res) => {
+  try {
+    console.log('📊 Processing Excel file with enhanced inventory tracking...');
+    
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    await pricingRulesLoaded;
+
+    // Parse Excel file
+    const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
+    console.log(`📋 Found sheets: ${workbook.SheetNames.join(', ')}`);
+    
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    
+    // Parse data - try multiple methods
+    let data = [];
+    
+    try {
+      data = XLSX.utils.sheet_to_json(worksheet);
+      console.log(`✅ Method 1 success: ${data.length} rows`);
+    } catch (e) {
+      console.log('Method 1 failed, trying method 2');
+      const arrayData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+      if (arrayData.length > 1) {
+        const headers = arrayData[0];
+        data = arrayData.slice(1).map(row => {
+          const obj = {};
+          headers.forEach((header, i) => {
+            obj[header] = row[i] || '';
+          });
+          return obj;
+        });
+        console.log(`✅ Method 2 success: ${data.length} rows`);
+      }
+    }
+
+    if (data.length === 0) {
+      return res.json({
+        error: 'No data found in Excel file',
+        debug: { sheets: workbook.SheetNames }
+      });
+    }
+
+    // Keep the rows as the supplier sent them for the annotated validation workbook
+    const sheetRows = data;
+
+    // Translate supplier-specific headers to the canonical names the analysis expects
+    const mappingProfile = await resolveMappingProfile(req.body.mappingProfileId, getSheetHeaders(data));
+    if (mappingProfile) {
+      console.log(`🗂️ Applying column mapping profile: ${mappingProfile.name}`);
+      data = applyColumnMapping(data, mappingProfile.mappings);
+    }
+
+    // Dry run: report per-row problems before anything is saved or synced
+    if (req.body.mode === 'validate') {
+      const validationReport = await validateImportRows(data);
+      console.log(`🧪 Validation: ${validationReport.summary.errorRows} errors, ${validationReport.summary.warningRows} warnings in ${validationReport.summary.totalRows} rows`);
+
+      if (req.body.format === 'xlsx') {
+        const baseName = path.parse(req.file.originalname).name;
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}-validation.xlsx"`);
+        return res.send(buildValidationWorkbook(sheetRows, validationReport));
+      }
+
+      return res.json({
+        success: true,
+        mode: 'validate',
+        ...validationReport,
+        mappingProfile: mappingProfile ? { id: mappingProfile.id, name: mappingProfile.name, autoDetected: mappingProfile.autoDetected } : null
+      });
+    }
+
+    // Enhanced Apple product filtering
+    const appleProducts = data.filter(isAppleProductRow);
+
+    console.log(`🍎 Found ${appleProducts.length} Apple products`);
+
+    if (appleProducts.length === 0) {
+      return res.json({
+        error: 'No Apple products found',
+        debug: {
+          totalRows: data.length,
+          sampleData: data.slice(0, 3)
+        }
+      });
+    }
+
+    // ENHANCED: Create product groups with image integration
+const { productGroups, categories, totalItems, groupCount, totalUniqueUnits } = createProductGroups(appleProducts);
+
+// NEW: Check for available images for each product group
+console.log('🖼️ Checking for available images for each product group...');
+const productGroupsWithImages = await addImageAvailabilityToGroups(productGroups);
+
+    // Persist every stock item (with supplier cost) so sales, costs and reports can join on it
+    const batchId = await createImportBatch({
+      filename: req.file.originalname,
+      supplier: req.body.supplier || (mappingProfile && mappingProfile.supplier) || null,
+      mappingProfileId: mappingProfile ? mappingProfile.id : null,
+      importedBy: req.body.importedBy || null,
+      rowCount: data.length
+    });
+    const importSummary = await saveProductsToDatabase(appleProducts, batchId);
+    await runQuery(`
+      UPDATE import_batches SET inserted_count = ?, updated_count = ?, skipped_count = ? WHERE id = ?
+    `, [importSummary.inserted, importSummary.updated, importSummary.skipped, batchId]);
+    importSummary.batchId = batchId;
+
+    console.log(`✅ Created ${groupCount} product groups with ${totalUniqueUnits} total units`);
+
+    res.json({
+      success: true,
+      totalItems,
+      groupCount,
+      totalUniqueUnits,
+      categories,
       productGroups: productGroupsWithImages,  // ← CHANGED THIS LINE
+      importSummary,
+      mappingProfile: mappingProfile
+        ? { id: mappingProfile.id, name: mappingProfile.name, autoDetected: mappingProfile.autoDetected }
+        : null,
       debug: {
         totalRows: data.length,
         filteredRows: appleProducts.length
@@ -493,198 +3692,868 @@ const productGroupsWithImages = await addImageAvailabilityToGroups(productGroups
     });
 
   } catch (error) {
-    console.error('❌ Processing error:', error);
-    res.status(500).json({ 
-      error: `Processing failed: ${error.message}`,
-      type: error.constructor.name
+    console.error('❌ Processing error:', error);
+    res.status(500).json({ 
+      error: `Processing failed: ${error.message}`,
+      type: error.constructor.name
+    });
+  }
+});
+
+// Helper function to add image availability to product groups
+async function addImageAvailabilityToGroups(productGroups) {
+  const enhancedGroups = { ...productGroups };
+  
+  for (const [groupKey, group] of Object.entries(enhancedGroups)) {
+    try {
+      console.log(`🔍 Checking images for: ${group.seoTitle}`);
+      
+      // Build search criteria
+      const queryParams = new URLSearchParams();
+      if (group.productType) queryParams.append('productType', group.productType);
+      if (group.displaySize) queryParams.append('displaySize', group.displaySize);
+      if (group.processor) queryParams.append('processor', group.processor);
+      if (group.year) queryParams.append('year', group.year);
+      
+      const searchUrl = `${SCRAPER_API_BASE}/api/find-images?${queryParams.toString()}`;
+      const response = await fetch(searchUrl, { timeout: 3000 });
+      
+      if (response.ok) {
+        const imageResults = await response.json();
+        
+        enhancedGroups[groupKey].imageAvailability = {
+          hasImages: imageResults.found,
+          matchCount: imageResults.matchCount || 0,
+          bestMatch: imageResults.matches?.[0] || null
+        };
+        
+        if (imageResults.found) {
+          console.log(`✅ Found ${imageResults.matchCount} image matches for ${group.seoTitle}`);
+        }
+      }
+    } catch (error) {
+      console.log(`⚠️ Image search failed for ${group.seoTitle}`);
+    }
+  }
+  
+  return enhancedGroups;
+}
+
+// ENHANCED: Advanced Shopify sync with deduplication
+// Dry run: work out what a sync would change without writing anything to Shopify
+app.post('/api/sync-shopify/plan', async (req, res) => {
+  try {
+    const { storeId } = req.body;
+
+    if (!storeId || !req.body.productGroups) {
+      return res.status(400).json({ error: 'Missing required data' });
+    }
+
+    const store = await loadStore(storeId);
+    const { productGroups, excluded } = await filterGroupsForStore(req.body.productGroups, store);
+    console.log(`🧮 Building sync plan for ${Object.keys(productGroups).length} product groups on ${store.name}...`);
+
+    const { baseUrl, headers } = await connectToShopify(store.store_url, store.access_token);
+    const existingProducts = await getAllExistingProductsAdvanced(baseUrl, headers);
+    const existingCollections = await fetchExistingCollections(baseUrl, headers);
+
+    const plan = await buildSyncPlan(productGroups, existingProducts, existingCollections, store);
+    plan.store = { id: store.id, name: store.name, currency: store.currency };
+    plan.otherStoreGroups = excluded;
+    plan.summary.otherStoreGroups = excluded.length;
+
+    console.log(`✅ Sync plan ready: ${plan.summary.productsToCreate} to create, ${plan.summary.productsToUpdate} to update, ${plan.summary.collectionsToCreate} new collections`);
+
+    res.json({ success: true, plan });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('❌ Sync plan error:', error);
+    res.status(500).json({ error: `Sync plan failed: ${error.message}` });
+  }
+});
+
+// Finds listings this tool created that no longer map to an unsold unit. Reports only,
+// unless `apply` is set: then their stock is zeroed and the products are retired.
+app.post('/api/shopify/reconcile', async (req, res) => {
+  try {
+    const { storeId, apply } = req.body;
+    const action = req.body.action || SHOPIFY_RECONCILE_ACTION;
+
+    if (!storeId) {
+      return res.status(400).json({ error: 'Missing required data' });
+    }
+    if (!['draft', 'archive'].includes(action)) {
+      return res.status(400).json({ error: 'action must be draft or archive' });
+    }
+
+    const store = await loadStore(storeId);
+    console.log(`🧹 ${apply ? 'Reconciling' : 'Checking'} ${store.name} listings against unsold units (policy: ${action})...`);
+
+    const { baseUrl, headers } = await connectToShopify(store.store_url, store.access_token);
+    const existingProducts = await getAllExistingProductsAdvanced(baseUrl, headers);
+    const report = await buildReconciliation(existingProducts, store);
+
+    if (apply) {
+      await applyReconciliation(baseUrl, headers, report, action);
+    }
+
+    console.log(`✅ Reconciliation ${apply ? 'applied' : 'checked'}: ${report.summary.productsToRetire} to retire, ${report.summary.variantsToZero} variants to zero, ${report.summary.orphans} orphans left alone`);
+
+    res.json({ success: true, applied: Boolean(apply), action, report });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('❌ Reconciliation error:', error);
+    res.status(500).json({ error: `Reconciliation failed: ${error.message}` });
+  }
+});
+
+app.post('/api/sync-shopify', async (req, res) => {
+  try {
+    const { storeId, selectedGroups, syncedBy } = req.body;
+
+    if (!storeId || !req.body.productGroups) {
+      return res.status(400).json({ error: 'Missing required data' });
+    }
+
+    const store = await loadStore(storeId);
+    let { productGroups } = await filterGroupsForStore(req.body.productGroups, store);
+
+    // Only sync the groups approved in the sync plan, when a selection was sent
+    if (Array.isArray(selectedGroups)) {
+      const selected = new Set(selectedGroups);
+      productGroups = Object.fromEntries(
+        Object.entries(productGroups).filter(([groupKey]) => selected.has(groupKey))
+      );
+    }
+
+    const jobId = await enqueueSyncJob({ store, productGroups, startedBy: syncedBy || null });
+    console.log(`🛍️ Queued sync job #${jobId} for ${Object.keys(productGroups).length} product groups on ${store.name}`);
+
+    res.json({ success: true, jobId });
+
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
+    console.error('❌ Sync error:', error);
+    res.status(500).json({ error: `Sync failed: ${error.message}` });
+  }
+});
+
+app.get('/api/sync-jobs', async (req, res) => {
+  try {
+    const jobs = await getAllQuery(`
+      SELECT id, status, store_id, store_url, started_by, total_groups, processed_groups, current_group,
+             created_count, updated_count, error_count, error_message,
+             date_created, date_started, date_finished
+      FROM sync_jobs
+      ORDER BY date_created DESC, id DESC
+      LIMIT 50
+    `);
+
+    res.json({ success: true, jobs });
+  } catch (error) {
+    console.error('Sync jobs error:', error);
+    res.status(500).json({ error: 'Failed to load sync jobs' });
+  }
+});
+
+app.get('/api/sync-jobs/:id', async (req, res) => {
+  try {
+    const job = await getSyncJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Sync job not found' });
+    }
+
+    const logs = await getAllQuery('SELECT * FROM sync_job_logs WHERE job_id = ? ORDER BY id', [job.id]);
+
+    res.json({ success: true, job, logs });
+  } catch (error) {
+    console.error('Sync job error:', error);
+    res.status(500).json({ error: 'Failed to load sync job' });
+  }
+});
+
+// Server-Sent Events: replays the job's log so far, then streams progress until it finishes
+app.get('/api/sync-jobs/:id/events', async (req, res) => {
+  try {
+    const job = await getSyncJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Sync job not found' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    // Subscribe before replaying so nothing logged in between is missed;
+    // the page ignores log lines it has already seen
+    if (!syncJobStreams.has(job.id)) syncJobStreams.set(job.id, new Set());
+    syncJobStreams.get(job.id).add(res);
+    req.on('close', () => {
+      const streams = syncJobStreams.get(job.id);
+      if (streams) streams.delete(res);
     });
+
+    const logs = await getAllQuery('SELECT * FROM sync_job_logs WHERE job_id = ? ORDER BY id', [job.id]);
+    logs.forEach(log => sendSyncEvent(res, 'log', log));
+
+    const current = await getSyncJob(job.id);
+    sendSyncEvent(res, 'progress', current);
+    if (FINISHED_SYNC_STATUSES.includes(current.status)) {
+      sendSyncEvent(res, 'done', current);
+      res.end();
+    }
+  } catch (error) {
+    console.error('Sync job events error:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to stream sync job' });
+    else res.end();
   }
 });
 
-// Helper function to add image availability to product groups
-async function addImageAvailabilityToGroups(productGroups) {
-  const enhancedGroups = { ...productGroups };
-  
-  for (const [groupKey, group] of Object.entries(enhancedGroups)) {
-    try {
-      console.log(`🔍 Checking images for: ${group.seoTitle}`);
-      
-      // Build search criteria
-      const queryParams = new URLSearchParams();
-      if (group.productType) queryParams.append('productType', group.productType);
-      if (group.displaySize) queryParams.append('displaySize', group.displaySize);
-      if (group.processor) queryParams.append('processor', group.processor);
-      if (group.year) queryParams.append('year', group.year);
+app.post('/api/sync-jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await getSyncJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Sync job not found' });
+    }
+
+    if (job.status === 'queued') {
+      const index = syncJobQueue.findIndex(queued => queued.jobId === job.id);
+      if (index !== -1) syncJobQueue.splice(index, 1);
+      await finishSyncJob(job.id, 'cancelled', null, 'Cancelled before it started');
+    } else if (job.status === 'running') {
+      cancelledSyncJobs.add(job.id);
+      await runQuery('UPDATE sync_jobs SET cancel_requested = 1 WHERE id = ?', [job.id]);
+      console.log(`⏹️ Cancellation requested for sync job #${job.id}`);
+    } else {
+      return res.status(400).json({ error: `Sync job is already ${job.status}` });
+    }
+
+    res.json({ success: true, job: await getSyncJob(job.id) });
+  } catch (error) {
+    console.error('Cancel sync job error:', error);
+    res.status(500).json({ error: 'Failed to cancel sync job' });
+  }
+});
+
+// Rate-limit bucket levels and timings of recent Shopify API calls
+app.get('/api/shopify/call-stats', (req, res) => {
+  res.json({ success: true, ...getCallStats() });
+});
+
+// =============================================================================
+// SYNC JOBS
+// =============================================================================
+
+// Jobs run one at a time inside this process. The queue (and the product groups it
+// holds) only lives in memory, so a job interrupted by a restart is marked failed
+// instead of resumed.
+const FINISHED_SYNC_STATUSES = ['completed', 'failed', 'cancelled'];
+const syncJobQueue = [];
+const syncJobStreams = new Map(); // job ID -> open SSE responses
+const cancelledSyncJobs = new Set();
+let syncQueueRunning = false;
+
+async function enqueueSyncJob({ store, productGroups, startedBy = null }) {
+  const result = await runQuery(
+    `INSERT INTO sync_jobs (status, store_id, store_url, started_by, total_groups) VALUES ('queued', ?, ?, ?, ?)`,
+    [store.id, store.store_url, startedBy, Object.keys(productGroups).length]
+  );
+
+  syncJobQueue.push({ jobId: result.id, store, productGroups, startedBy });
+  processSyncQueue().catch(error => console.error('❌ Sync queue error:', error));
+
+  return result.id;
+}
+
+async function processSyncQueue() {
+  if (syncQueueRunning) return;
+  syncQueueRunning = true;
+
+  try {
+    while (syncJobQueue.length > 0) {
+      const job = syncJobQueue.shift();
+      await runSyncJob(job).catch(error => console.error(`❌ Sync job #${job.jobId} error:`, error));
+    }
+  } finally {
+    syncQueueRunning = false;
+  }
+}
+
+async function runSyncJob({ jobId, store, productGroups, startedBy }) {
+  const results = {
+    created: 0,
+    updated: 0,
+    errors: 0,
+    skipped: 0,
+    details: [],
+    collectionsCreated: 0,
+    variantsCreated: 0,
+    variantsUpdated: 0,
+    stockItemsProcessed: 0,
+    totalGroups: Object.keys(productGroups).length,
+    processedGroups: 0
+  };
+  let status = 'completed';
+
+  const addDetail = (groupKey, message) => {
+    results.details.push(message);
+    return logSyncJob(jobId, groupKey, message);
+  };
+
+  console.log(`🛍️ Starting sync job #${jobId}: advanced Shopify sync for ${results.totalGroups} product groups...`);
+  try {
+    await runQuery(`UPDATE sync_jobs SET status = 'running', date_started = CURRENT_TIMESTAMP WHERE id = ?`, [jobId]);
+    await publishSyncJob(jobId, 'progress');
+    await pricingRulesLoaded;
+
+    const { baseUrl, headers } = await connectToShopify(store.store_url, store.access_token);
+    const locations = await fetchShopifyLocations(baseUrl, headers);
+    console.log(`📍 Stocking ${locations.length} Shopify locations: ${locations.map(l => l.name).join(', ')}`);
+    const target = { store, locations, jobId, startedBy };
+
+    // Get existing products for deduplication
+    console.log('🔍 Fetching existing products for deduplication...');
+    const existingProducts = await getAllExistingProductsAdvanced(baseUrl, headers);
+    console.log(`📊 Found ${existingProducts.length} existing products in store`);
+
+    // Setup collections
+    console.log('🏗️ Setting up collections...');
+    const collections = await setupCollectionsAdvanced(baseUrl, headers, productGroups);
+    console.log(`📂 Managed ${Object.keys(collections).length} collections`);
+
+    results.collectionsCreated = Object.keys(collections).length;
+
+    // Process each product group with advanced deduplication
+    for (const [groupKey, productGroup] of Object.entries(productGroups)) {
+      // Cancellation is only honoured between groups so a product is never half-synced
+      if (cancelledSyncJobs.has(jobId)) {
+        status = 'cancelled';
+        await addDetail(null, `⏹️ Sync cancelled with ${results.processedGroups} of ${results.totalGroups} groups processed`);
+        break;
+      }
+
+      await updateSyncJobProgress(jobId, results, productGroup.seoTitle);
+
+      try {
+        console.log(`🔄 Processing: ${productGroup.seoTitle}`);
       
-      const searchUrl = `${SCRAPER_API_BASE}/api/find-images?${queryParams.toString()}`;
-      const response = await fetch(searchUrl, { timeout: 3000 });
+        // Check if product already exists
+        const storedProductId = await getStoredShopifyProductId(groupKey, productGroup, store.id);
+        const existingProduct = findExistingProductAdvanced(existingProducts, productGroup, storedProductId);
       
-      if (response.ok) {
-        const imageResults = await response.json();
+        if (existingProduct) {
+          console.log(`🔄 Product exists, attempting update: ${productGroup.seoTitle}`);
+          console.log(`📋 Existing product ID: ${existingProduct.id} | Current variants: ${existingProduct.variants?.length || 0}`);
         
-        enhancedGroups[groupKey].imageAvailability = {
-          hasImages: imageResults.found,
-          matchCount: imageResults.matchCount || 0,
-          bestMatch: imageResults.matches?.[0] || null
-        };
+          try {
+            const updateResult = await updateExistingProductAdvanced(
+              baseUrl, headers, existingProduct, productGroup, collections, { ...target, groupKey }
+            );
+          
+            await recordShopifyLinks(groupKey, productGroup, updateResult.product, updateResult.shopifyVariants, store.id);
+
+            results.updated++;
+            results.variantsUpdated += updateResult.variantsUpdated;
+            results.stockItemsProcessed += updateResult.stockItemsProcessed;
+            await addDetail(groupKey, `✅ Updated: ${productGroup.seoTitle} (${updateResult.variantsUpdated} variants, ${updateResult.stockItemsProcessed} items)`);
+          
+            console.log(`✅ UPDATE SUCCESS: ${productGroup.seoTitle} | Variants processed: ${updateResult.variantsUpdated} | Stock items: ${updateResult.stockItemsProcessed}`);
+          
+          } catch (updateError) {
+            console.log(`❌ UPDATE FAILED: ${productGroup.seoTitle}`);
+            console.log(`🔍 Error details: ${updateError.message}`);
+            console.log(`📊 Product info: ${JSON.stringify({
+              productType: productGroup.productType,
+              processor: productGroup.processor,
+              storage: productGroup.storage,
+              memory: productGroup.memory,
+              totalUnits: productGroup.totalUnits,
+              variantCount: Object.keys(productGroup.variants).length
+            }, null, 2)}`);
+          
+            // DON'T create duplicate - just log and skip
+            results.errors++;
+            await addDetail(groupKey, `❌ Update failed for: ${productGroup.seoTitle} - ${updateError.message} (SKIPPED to prevent duplicate)`);
+          
+            console.log(`⚠️ SKIPPING: ${productGroup.seoTitle} to prevent duplicate creation`);
+            console.log(`📝 Please review this error and we can fix the update process`);
+          }
         
-        if (imageResults.found) {
-          console.log(`✅ Found ${imageResults.matchCount} image matches for ${group.seoTitle}`);
+        } else {
+          console.log(`🆕 No existing product found, creating new: ${productGroup.seoTitle}`);
+          console.log(`📊 New product details: ${JSON.stringify({
+            productType: productGroup.productType,
+            displaySize: productGroup.displaySize,
+            processor: productGroup.processor,
+            storage: productGroup.storage,
+            memory: productGroup.memory,
+            year: productGroup.year,
+            totalUnits: productGroup.totalUnits,
+            variantCount: Object.keys(productGroup.variants).length
+          }, null, 2)}`);
+        
+          try {
+            const createResult = await createNewProductAdvanced(
+              baseUrl, headers, productGroup, collections, { ...target, groupKey }
+            );
+          
+            await recordShopifyLinks(groupKey, productGroup, createResult.product, createResult.product.variants, store.id);
+
+            results.created++;
+            results.variantsCreated += createResult.variantsCreated;
+            results.stockItemsProcessed += createResult.stockItemsProcessed;
+            await addDetail(groupKey, `🆕 Created: ${productGroup.seoTitle} (${createResult.variantsCreated} variants, ${createResult.stockItemsProcessed} items)`);
+          
+            console.log(`✅ CREATE SUCCESS: ${productGroup.seoTitle} | Product ID: ${createResult.product.id} | Variants: ${createResult.variantsCreated} | Stock items: ${createResult.stockItemsProcessed}`);
+          
+          } catch (createError) {
+            console.log(`❌ CREATE FAILED: ${productGroup.seoTitle}`);
+            console.log(`🔍 Error details: ${createError.message}`);
+          
+            results.errors++;
+            await addDetail(groupKey, `❌ Create failed for: ${productGroup.seoTitle} - ${createError.message}`);
+          }
         }
+      } catch (error) {
+        results.errors++;
+        await addDetail(groupKey, `❌ Error with ${productGroup.seoTitle}: ${error.message}`);
+        console.error(`❌ Product sync error:`, error);
       }
-    } catch (error) {
-      console.log(`⚠️ Image search failed for ${group.seoTitle}`);
+
+      results.processedGroups++;
+      await updateSyncJobProgress(jobId, results, null);
     }
+
+    console.log(`🎉 Sync job #${jobId} ${status}! Created: ${results.created}, Updated: ${results.updated}, Errors: ${results.errors}`);
+    await finishSyncJob(jobId, status, results);
+
+  } catch (error) {
+    console.error(`❌ Sync job #${jobId} error:`, error);
+    await addDetail(null, `❌ Sync failed: ${error.message}`).catch(() => {});
+    await finishSyncJob(jobId, 'failed', results, error.message);
+  } finally {
+    cancelledSyncJobs.delete(jobId);
   }
-  
-  return enhancedGroups;
 }
 
-// ENHANCED: Advanced Shopify sync with deduplication
-app.post('/api/sync-shopify', async (req, res) => {
+async function getSyncJob(jobId) {
+  const job = await getQuery('SELECT * FROM sync_jobs WHERE id = ?', [jobId]);
+  if (job) job.results = job.results ? JSON.parse(job.results) : null;
+  return job;
+}
+
+async function logSyncJob(jobId, groupKey, message) {
+  const result = await runQuery(
+    'INSERT INTO sync_job_logs (job_id, group_key, message) VALUES (?, ?, ?)',
+    [jobId, groupKey, message]
+  );
+  const log = await getQuery('SELECT * FROM sync_job_logs WHERE id = ?', [result.id]);
+  broadcastSyncEvent(jobId, 'log', log);
+}
+
+async function updateSyncJobProgress(jobId, results, currentGroup) {
+  await runQuery(`
+    UPDATE sync_jobs SET
+      processed_groups = ?, current_group = ?,
+      created_count = ?, updated_count = ?, error_count = ?
+    WHERE id = ?
+  `, [results.processedGroups, currentGroup, results.created, results.updated, results.errors, jobId]);
+  await publishSyncJob(jobId, 'progress');
+}
+
+async function finishSyncJob(jobId, status, results, errorMessage = null) {
+  await runQuery(`
+    UPDATE sync_jobs SET
+      status = ?, current_group = NULL, error_message = ?, date_finished = CURRENT_TIMESTAMP,
+      processed_groups = COALESCE(?, processed_groups),
+      created_count = COALESCE(?, created_count),
+      updated_count = COALESCE(?, updated_count),
+      error_count = COALESCE(?, error_count),
+      results = COALESCE(?, results)
+    WHERE id = ?
+  `, [
+    status, errorMessage,
+    results ? results.processedGroups : null,
+    results ? results.created : null,
+    results ? results.updated : null,
+    results ? results.errors : null,
+    results ? JSON.stringify(results) : null,
+    jobId
+  ]);
+
+  await publishSyncJob(jobId, 'done');
+
+  // Finished jobs have nothing more to stream
+  const streams = syncJobStreams.get(jobId);
+  if (streams) {
+    streams.forEach(res => res.end());
+    syncJobStreams.delete(jobId);
+  }
+}
+
+async function publishSyncJob(jobId, event) {
+  const job = await getSyncJob(jobId);
+  broadcastSyncEvent(jobId, 'progress', job);
+  if (event === 'done') broadcastSyncEvent(jobId, 'done', job);
+}
+
+function broadcastSyncEvent(jobId, event, data) {
+  const streams = syncJobStreams.get(jobId);
+  if (!streams) return;
+  streams.forEach(res => sendSyncEvent(res, event, data));
+}
+
+function sendSyncEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Jobs left queued or running by a previous process can never finish
+async function failInterruptedSyncJobs() {
+  const result = await runQuery(`
+    UPDATE sync_jobs SET status = 'failed', error_message = 'Interrupted by a server restart',
+      current_group = NULL, date_finished = CURRENT_TIMESTAMP
+    WHERE status IN ('queued', 'running')
+  `);
+  if (result.changes > 0) {
+    console.log(`⚠️ Marked ${result.changes} interrupted sync job(s) as failed`);
+  }
+}
+
+// =============================================================================
+// SYNC PLAN
+// =============================================================================
+
+function shopifyAdminUrl(storeUrl) {
+  // A full http(s) URL is accepted so the sync can be pointed at fixtures/shopify-mock-server.js
+  const origin = /^https?:\/\//.test(storeUrl) ? storeUrl.replace(/\/+$/, '') : `https://${storeUrl}`;
+  return `${origin}/admin/api/${SHOPIFY_API_VERSION}/`;
+}
+
+async function connectToShopify(storeUrl, apiToken) {
+  const baseUrl = shopifyAdminUrl(storeUrl);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Shopify-Access-Token': apiToken
+  };
+
+  // Test connection
+  console.log(`🔗 Testing Shopify connection (Admin API ${SHOPIFY_API_VERSION})...`);
+  let shop;
   try {
-    const { storeUrl, apiToken, productGroups } = req.body;
+    ({ shop } = await shopifyGraphQL(baseUrl, headers, shopifyQueries.ShopInfo));
+  } catch (error) {
+    throw new Error(`Shopify connection failed: ${error.message} - Check your store URL and API token`);
+  }
+  console.log(`✅ Shopify connection successful (${shop.name})`);
+
+  return { baseUrl, headers, shop };
+}
+
+const onlineStorePublications = new Map(); // baseUrl -> Online Store publication ID
+
+async function getOnlineStorePublicationId(baseUrl, headers) {
+  if (!onlineStorePublications.has(baseUrl)) {
+    const { publications } = await shopifyGraphQL(baseUrl, headers, shopifyQueries.Publications);
+    const onlineStore = publications.nodes.find(p => p.name === 'Online Store');
+    onlineStorePublications.set(baseUrl, onlineStore ? onlineStore.id : null);
+  }
+  return onlineStorePublications.get(baseUrl);
+}
+
+// REST's `published` flag was the Online Store channel; GraphQL publishes per channel
+async function setOnlineStorePublished(baseUrl, headers, id, published) {
+  const publicationId = await getOnlineStorePublicationId(baseUrl, headers);
+  if (!publicationId) {
+    console.log(`⚠️ No Online Store sales channel found, ${id} left ${published ? 'unpublished' : 'published'}`);
+    return false;
+  }
+
+  await shopifyMutation(baseUrl, headers, published ? shopifyQueries.PublishablePublish : shopifyQueries.PublishableUnpublish, {
+    id,
+    input: [{ publicationId }]
+  });
+  return true;
+}
+
+// Mirrors the decisions made by /api/sync-shopify (product match, variant match,
+// inventory arithmetic, missing collections) so the preview shows what will really happen
+async function buildSyncPlan(productGroups, existingProducts, existingCollections, store) {
+  await pricingRulesLoaded;
+  const existingCollectionNames = new Set(existingCollections.map(c => c.title.toLowerCase()));
+  const collectionsToCreate = new Set();
+
+  const plan = {
+    productsToCreate: [],
+    productsToUpdate: [],
+    unchanged: [],
+    collectionsToCreate: [],
+    summary: {}
+  };
+
+  for (const [groupKey, productGroup] of Object.entries(productGroups)) {
+    (productGroup.collections || []).forEach(name => {
+      if (!existingCollectionNames.has(name.toLowerCase())) collectionsToCreate.add(name);
+    });
+
+    const storedProductId = await getStoredShopifyProductId(groupKey, productGroup, store.id);
+    const existingProduct = findExistingProductAdvanced(existingProducts, productGroup, storedProductId);
+    const variants = await applyUnsoldInventory(
+      productGroup,
+      applyStorePricing(await createAdvancedVariants(productGroup, groupKey), store, productGroup.productType),
+      existingProduct ? existingProduct.variants : []
+    );
+
+    // Variants whose rule price was raised to cover a unit's cost, or held by an override
+    const priceFloors = variants.filter(v => v.price_floor).map(v => ({ variant: v.title, ...v.price_floor }));
+    const priceOverrides = variants.filter(v => v.price_override).map(v => ({ variant: v.title, ...v.price_override }));
+
+    if (!existingProduct) {
+      plan.productsToCreate.push({
+        groupKey,
+        title: productGroup.seoTitle,
+        productType: productGroup.productType,
+        units: productGroup.totalUnits,
+        variants: variants.map(v => ({
+          title: v.title,
+          price: v.price,
+          compareAtPrice: v.compare_at_price,
+          inventory: parseInt(v.inventory_quantity)
+        })),
+        priceFloors,
+        priceOverrides,
+        collections: productGroup.collections || []
+      });
+      continue;
+    }
+
+    const changes = diffProductFields(
+      existingProduct, productGroup, await productDescriptionHtml(productGroup, variants, store, existingProduct.id)
+    );
+    const variantsToAdd = [];
+    const variantChanges = [];
+    const inventoryDeltas = [];
+
+    variants.forEach(newVariant => {
+      const existingVariant = findMatchingVariant(existingProduct.variants || [], newVariant);
+      const planned = parseInt(newVariant.inventory_quantity);
+
+      if (!existingVariant) {
+        variantsToAdd.push({
+          title: newVariant.title,
+          price: newVariant.price,
+          compareAtPrice: newVariant.compare_at_price,
+          inventory: planned
+        });
+        inventoryDeltas.push({ variant: newVariant.title, current: 0, planned, delta: planned });
+        return;
+      }
+
+      const fieldChanges = [];
+      if (!samePrice(existingVariant.price, newVariant.price)) {
+        fieldChanges.push({ field: 'price', from: existingVariant.price, to: newVariant.price });
+      }
+      if (!samePrice(existingVariant.compare_at_price, newVariant.compare_at_price)) {
+        fieldChanges.push({ field: 'compare_at_price', from: existingVariant.compare_at_price, to: newVariant.compare_at_price });
+      }
+      if (fieldChanges.length > 0) {
+        variantChanges.push({ variant: newVariant.title, variantId: existingVariant.id, changes: fieldChanges });
+      }
+
+      // Sync sets inventory to the number of unsold units, whatever Shopify had before
+      const current = existingVariant.inventory_quantity || 0;
+      inventoryDeltas.push({ variant: newVariant.title, current, planned, delta: planned - current });
+    });
+
+    const entry = {
+      groupKey,
+      productId: existingProduct.id,
+      matchedBy: existingProduct.matchedBy,
+      title: productGroup.seoTitle,
+      productType: productGroup.productType,
+      units: productGroup.totalUnits,
+      changes,
+      variantsToAdd,
+      variantChanges,
+      inventoryDeltas: inventoryDeltas.filter(d => d.delta !== 0),
+      priceFloors,
+      priceOverrides
+    };
+
+    const hasChanges = changes.length > 0 || variantsToAdd.length > 0 ||
+      variantChanges.length > 0 || entry.inventoryDeltas.length > 0;
+    (hasChanges ? plan.productsToUpdate : plan.unchanged).push(entry);
+  }
+
+  plan.collectionsToCreate = [...collectionsToCreate].sort();
+  plan.summary = {
+    productsToCreate: plan.productsToCreate.length,
+    productsToUpdate: plan.productsToUpdate.length,
+    unchanged: plan.unchanged.length,
+    variantsToAdd: plan.productsToCreate.reduce((sum, p) => sum + p.variants.length, 0) +
+      plan.productsToUpdate.reduce((sum, p) => sum + p.variantsToAdd.length, 0),
+    inventoryDelta: plan.productsToCreate.reduce((sum, p) => sum + p.variants.reduce((s, v) => s + v.inventory, 0), 0) +
+      plan.productsToUpdate.reduce((sum, p) => sum + p.inventoryDeltas.reduce((s, d) => s + d.delta, 0), 0),
+    collectionsToCreate: plan.collectionsToCreate.length,
+    priceFloorGroups: [...plan.productsToCreate, ...plan.productsToUpdate, ...plan.unchanged]
+      .filter(p => p.priceFloors.length > 0).length,
+    priceOverrideGroups: [...plan.productsToCreate, ...plan.productsToUpdate, ...plan.unchanged]
+      .filter(p => p.priceOverrides.length > 0).length
+  };
+
+  return plan;
+}
+
+// Product-level fields that updateExistingProductAdvanced overwrites
+// descriptionHtml is the description the sync would send (productDescriptionHtml)
+function diffProductFields(existingProduct, productGroup, descriptionHtml) {
+  const changes = [];
+
+  if (existingProduct.title !== productGroup.seoTitle) {
+    changes.push({ field: 'title', from: existingProduct.title, to: productGroup.seoTitle });
+  }
+
+  const existingTags = splitTags(existingProduct.tags);
+  const newTags = productGroup.tags || [];
+  const addedTags = newTags.filter(tag => !existingTags.includes(tag));
+  const removedTags = existingTags.filter(tag => !newTags.includes(tag));
+  if (addedTags.length > 0 || removedTags.length > 0) {
+    changes.push({ field: 'tags', added: addedTags, removed: removedTags });
+  }
+
+  // Descriptions are long generated HTML, so only report that they differ and their sizes
+  const existingBody = existingProduct.body_html || '';
+  const newBody = descriptionHtml || '';
+  if (existingBody.trim() !== newBody.trim()) {
+    changes.push({ field: 'body_html', from: `${existingBody.length} characters`, to: `${newBody.length} characters` });
+  }
 
-    if (!storeUrl || !apiToken || !productGroups) {
-      return res.status(400).json({ error: 'Missing required data' });
-    }
+  return changes;
+}
 
-    console.log(`🛍️ Starting advanced Shopify sync for ${Object.keys(productGroups).length} product groups...`);
+function splitTags(tags) {
+  if (Array.isArray(tags)) return tags;
+  return (tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
 
-    const baseUrl = `https://${storeUrl}/admin/api/2023-10/`;
-    const headers = {
-      'Content-Type': 'application/json',
-      'X-Shopify-Access-Token': apiToken
-    };
+function samePrice(a, b) {
+  if (a === null || a === undefined || a === '') return b === null || b === undefined || b === '';
+  return parseFloat(a) === parseFloat(b);
+}
 
-    // Test connection
-    console.log('🔗 Testing Shopify connection...');
-    const testResponse = await fetch(`${baseUrl}shop.json`, { headers });
-    if (!testResponse.ok) {
-      throw new Error(`Shopify connection failed: ${testResponse.status} - Check your store URL and API token`);
-    }
-    console.log('✅ Shopify connection successful');
+// =============================================================================
+// SHOPIFY RECONCILIATION
+// =============================================================================
 
-    // Get existing products for deduplication
-    console.log('🔍 Fetching existing products for deduplication...');
-    const existingProducts = await getAllExistingProductsAdvanced(baseUrl, headers);
-    console.log(`📊 Found ${existingProducts.length} existing products in store`);
+// A store product counts as ours when a sync recorded it for a group or linked units
+// to it; everything else was made by hand and only shows up in the orphan report.
+// Links made before stores were tracked count for the default store.
+async function buildReconciliation(existingProducts, store) {
+  const belongsToStore = column => `(${column} = ? OR (${column} IS NULL AND ? = 1))`;
+  const links = await getAllQuery(
+    `SELECT shopify_product_id FROM shopify_product_links WHERE ${belongsToStore('store_id')}`,
+    [store.id, store.is_default]
+  );
+  const unitRows = await getAllQuery(`
+    SELECT shopify_product_id, shopify_variant_id,
+           SUM(CASE WHEN is_sold = 0 THEN 1 ELSE 0 END) as unsold
+    FROM products
+    WHERE shopify_product_id IS NOT NULL AND ${belongsToStore('shopify_store_id')}
+    GROUP BY shopify_product_id, shopify_variant_id
+  `, [store.id, store.is_default]);
+
+  const ourProductIds = new Set([
+    ...links.map(link => String(link.shopify_product_id)),
+    ...unitRows.map(row => String(row.shopify_product_id))
+  ]);
+  const unsoldByVariant = new Map(unitRows.map(row => [String(row.shopify_variant_id), row.unsold]));
+
+  const report = { productsToRetire: [], variantsToZero: [], orphans: [], summary: {} };
+
+  for (const product of existingProducts) {
+    const inventory = product.variants.reduce((sum, v) => sum + (v.inventory_quantity || 0), 0);
+
+    if (!ourProductIds.has(String(product.id))) {
+      report.orphans.push({
+        productId: product.id,
+        title: product.title,
+        handle: product.handle,
+        status: product.status,
+        variants: product.variants.length,
+        inventory
+      });
+      continue;
+    }
 
-    // Setup collections
-    console.log('🏗️ Setting up collections...');
-    const collections = await setupCollectionsAdvanced(baseUrl, headers, productGroups);
-    console.log(`📂 Managed ${Object.keys(collections).length} collections`);
+    const staleVariants = product.variants.filter(v => !(unsoldByVariant.get(String(v.id)) > 0));
+    const variantsToZero = staleVariants
+      .filter(v => (v.inventory_quantity || 0) !== 0)
+      .map(v => ({ variantId: v.id, title: v.title, inventory: v.inventory_quantity, inventoryItemId: v.inventory_item_id }));
+
+    // Products someone already set to draft or archived by hand are left that way
+    if (staleVariants.length === product.variants.length && product.status === 'active') {
+      report.productsToRetire.push({
+        productId: product.id,
+        title: product.title,
+        handle: product.handle,
+        status: product.status,
+        variantsToZero
+      });
+    } else if (variantsToZero.length > 0) {
+      report.variantsToZero.push({
+        productId: product.id,
+        title: product.title,
+        handle: product.handle,
+        status: product.status,
+        variantsToZero
+      });
+    }
+  }
 
-    let results = {
-      created: 0,
-      updated: 0,
-      errors: 0,
-      skipped: 0,
-      details: [],
-      collectionsCreated: Object.keys(collections).length,
-      variantsCreated: 0,
-      variantsUpdated: 0,
-      stockItemsProcessed: 0
-    };
+  report.summary = {
+    productsToRetire: report.productsToRetire.length,
+    variantsToZero: [...report.productsToRetire, ...report.variantsToZero]
+      .reduce((sum, p) => sum + p.variantsToZero.length, 0),
+    orphans: report.orphans.length
+  };
 
-    // Process each product group with advanced deduplication
-    for (const [groupKey, productGroup] of Object.entries(productGroups)) {
-      try {
-        console.log(`🔄 Processing: ${productGroup.seoTitle}`);
-        
-        // Check if product already exists
-// Check if product already exists
-        const existingProduct = findExistingProductAdvanced(existingProducts, productGroup);
-        
-        if (existingProduct) {
-          console.log(`🔄 Product exists, attempting update: ${productGroup.seoTitle}`);
-          console.log(`📋 Existing product ID: ${existingProduct.id} | Current variants: ${existingProduct.variants?.length || 0}`);
-          
-          try {
-            const updateResult = await updateExistingProductAdvanced(
-              baseUrl, headers, existingProduct, productGroup, collections
-            );
-            
-            results.updated++;
-            results.variantsUpdated += updateResult.variantsUpdated;
-            results.stockItemsProcessed += updateResult.stockItemsProcessed;
-            results.details.push(`✅ Updated: ${productGroup.seoTitle} (${updateResult.variantsUpdated} variants, ${updateResult.stockItemsProcessed} items)`);
-            
-            console.log(`✅ UPDATE SUCCESS: ${productGroup.seoTitle} | Variants processed: ${updateResult.variantsUpdated} | Stock items: ${updateResult.stockItemsProcessed}`);
-            
-          } catch (updateError) {
-            console.log(`❌ UPDATE FAILED: ${productGroup.seoTitle}`);
-            console.log(`🔍 Error details: ${updateError.message}`);
-            console.log(`📊 Product info: ${JSON.stringify({
-              productType: productGroup.productType,
-              processor: productGroup.processor,
-              storage: productGroup.storage,
-              memory: productGroup.memory,
-              totalUnits: productGroup.totalUnits,
-              variantCount: Object.keys(productGroup.variants).length
-            }, null, 2)}`);
-            
-            // DON'T create duplicate - just log and skip
-            results.errors++;
-            results.details.push(`❌ Update failed for: ${productGroup.seoTitle} - ${updateError.message} (SKIPPED to prevent duplicate)`);
-            
-            console.log(`⚠️ SKIPPING: ${productGroup.seoTitle} to prevent duplicate creation`);
-            console.log(`📝 Please review this error and we can fix the update process`);
-          }
-          
-        } else {
-          console.log(`🆕 No existing product found, creating new: ${productGroup.seoTitle}`);
-          console.log(`📊 New product details: ${JSON.stringify({
-            productType: productGroup.productType,
-            displaySize: productGroup.displaySize,
-            processor: productGroup.processor,
-            storage: productGroup.storage,
-            memory: productGroup.memory,
-            year: productGroup.year,
-            totalUnits: productGroup.totalUnits,
-            variantCount: Object.keys(productGroup.variants).length
-          }, null, 2)}`);
-          
-          try {
-            const createResult = await createNewProductAdvanced(
-              baseUrl, headers, productGroup, collections
-            );
-            
-            results.created++;
-            results.variantsCreated += createResult.variantsCreated;
-            results.stockItemsProcessed += createResult.stockItemsProcessed;
-            results.details.push(`🆕 Created: ${productGroup.seoTitle} (${createResult.variantsCreated} variants, ${createResult.stockItemsProcessed} items)`);
-            
-            console.log(`✅ CREATE SUCCESS: ${productGroup.seoTitle} | Product ID: ${createResult.product.id} | Variants: ${createResult.variantsCreated} | Stock items: ${createResult.stockItemsProcessed}`);
-            
-          } catch (createError) {
-            console.log(`❌ CREATE FAILED: ${productGroup.seoTitle}`);
-            console.log(`🔍 Error details: ${createError.message}`);
-            
-            results.errors++;
-            results.details.push(`❌ Create failed for: ${productGroup.seoTitle} - ${createError.message}`);
-          }
-        }
+  return report;
+}
 
-        // Rate limiting - Shopify allows 2 calls per second
-        await new Promise(resolve => setTimeout(resolve, 500));
+// Zeroes every stale variant at every location, then sets retired products to
+// draft or archived. Failures are recorded per product so one bad listing doesn't
+// stop the rest.
+async function applyReconciliation(baseUrl, headers, report, action) {
+  const entries = [
+    ...report.productsToRetire.map(entry => ({ entry, retire: true })),
+    ...report.variantsToZero.map(entry => ({ entry, retire: false }))
+  ];
 
-      } catch (error) {
-        results.errors++;
-        results.details.push(`❌ Error with ${productGroup.seoTitle}: ${error.message}`);
-        console.error(`❌ Product sync error:`, error);
+  for (const { entry, retire } of entries) {
+    try {
+      for (const variant of entry.variantsToZero) {
+        // No unsold units means no location names to resolve
+        await syncVariantInventoryLevels(baseUrl, headers, variant.inventoryItemId, {}, []);
       }
-    }
 
-    console.log(`🎉 Sync complete! Created: ${results.created}, Updated: ${results.updated}, Errors: ${results.errors}`);
-
-    res.json(results);
+      if (retire) {
+        await shopifyMutation(baseUrl, headers, shopifyQueries.ProductUpdate, {
+          product: { id: toGid('Product', entry.productId), status: action === 'archive' ? 'ARCHIVED' : 'DRAFT' }
+        });
+        entry.status = action === 'archive' ? 'archived' : 'draft';
+      }
 
-  } catch (error) {
-    console.error('❌ Sync error:', error);
-    res.status(500).json({ error: `Sync failed: ${error.message}` });
+      entry.result = 'done';
+      console.log(`🧹 ${entry.title}: zeroed ${entry.variantsToZero.length} variant(s)${retire ? `, set to ${entry.status}` : ''}`);
+    } catch (error) {
+      entry.result = 'failed';
+      entry.error = error.message;
+      console.log(`⚠️ Reconciliation failed for ${entry.title}: ${error.message}`);
+    }
   }
-});
+}
 
 // =============================================================================
 // ENHANCED INVENTORY MANAGEMENT FUNCTIONS
@@ -718,7 +4587,7 @@ function createProductGroups(appleProducts) {
       const productInfo = analyzeProductAdvanced(item);
       
       if (!productInfo) {
-        console.log(`⚠️ Skipping unrecognized product at row ${index + 1}: ${item['Model'] || 'Unknown'}`);
+        console.log(`⚠️ Skipping unrecognized product at row ${getSheetRowNumber(item, index)}: ${item['Model'] || 'Unknown'}`);
         return;
       }
 
@@ -736,6 +4605,7 @@ function createProductGroups(appleProducts) {
           memory: productInfo.memory,
           year: productInfo.year,
           modelNumber: productInfo.modelNumber,
+          guessedFields: productInfo.guessedFields,
           
           // SEO and presentation - ENHANCED
           seoTitle: createAdvancedSEOTitle(productInfo),
@@ -744,7 +4614,7 @@ function createProductGroups(appleProducts) {
           productDescription: createAdvancedProductDescription(productInfo, productGroups[groupKey]?.variants || {}),
           
           // Pricing and organization - ENHANCED with retail pricing
-          basePrice: calculateAdvancedPricing(productInfo),
+          basePrice: calculateVariantPrice(productInfo, 'A'),
           retailPrice: calculateRetailPrice(productInfo), // Add retail price
           collections: createAdvancedCollections(productInfo),
           tags: createAdvancedTags(productInfo),
@@ -766,9 +4636,11 @@ function createProductGroups(appleProducts) {
       const color = cleanColor(item['Color'] || item['color'] || 'Space Gray');
       const condition = cleanCondition(item['Condition'] || item['condition'] || 'A');
       const keyboardLayout = determineKeyboardLayout(item);
+      const connectivity = determineConnectivity(item);
 
-      // Create comprehensive variant key
-      const variantKey = `${color}-${condition}-${keyboardLayout}`;
+      // Create comprehensive variant key from this product type's variant options
+      const variantOptionValues = { color, condition, keyboardLayout, connectivity };
+      const variantKey = getVariantOptionKeys(productInfo.productType).map(key => variantOptionValues[key]).join('-');
 
       // Initialize variant if it doesn't exist
       if (!productGroups[groupKey].variants[variantKey]) {
@@ -776,6 +4648,7 @@ function createProductGroups(appleProducts) {
           color: color,
           condition: condition,
           keyboardLayout: keyboardLayout,
+          connectivity: connectivity,
           conditionDescription: getAdvancedConditionDescription(condition),
           quantity: 0,
           stockItems: [], // Individual items with stock numbers
@@ -795,6 +4668,9 @@ function createProductGroups(appleProducts) {
         condition: condition,
         color: color,
         keyboardLayout: keyboardLayout,
+        connectivity: connectivity,
+        location: extractLocation(item),
+        batteryHealth: extractBatteryHealth(item),
         dateAdded: new Date().toISOString(),
         originalData: item
       };
@@ -839,7 +4715,7 @@ productGroups[key].productDescription = createAdvancedProductDescription(product
   console.log(`🎯 Created ${Object.keys(productGroups).length} unique product groups from ${appleProducts.length} items`);
   console.log(`📦 Total units tracked: ${totalUnits}`);
   
-  debugProductGroups(productGroups);
+  debugProductGroups(productGroups, appleProducts.length);
   
   // Log some examples of what was created
   Object.entries(productGroups).slice(0, 3).forEach(([key, group]) => {
@@ -855,62 +4731,424 @@ productGroups[key].productDescription = createAdvancedProductDescription(product
   };
 }
 
-// NEW FUNCTION - Add this after createProductGroups
-async function saveProductsToDatabase(appleProducts) {
-  console.log('Saving products to database...');
-  
-  for (const item of appleProducts) {
+// Persist every stock item from an import into the products table.
+// Existing rows are updated in place so additional_costs, sale status and
+// Shopify IDs survive a re-import of the same supplier file. New units are
+// linked to batchId, and every saved unit is snapshotted for batch diffs.
+async function saveProductsToDatabase(appleProducts, batchId = null) {
+  console.log('💾 Saving products to database...');
+
+  const summary = {
+    inserted: 0,
+    updated: 0,
+    skipped: 0,
+    rows: []
+  };
+
+  for (let index = 0; index < appleProducts.length; index++) {
+    const item = appleProducts[index];
+    const rowNumber = getSheetRowNumber(item, index);
+    const stockId = (item['Stock'] || item['stock'] || '').toString().trim();
+
     try {
-      const stockId = item['Stock'] || item['stock'] || '';
       const serialNumber = item['Serial Number'] || item['serial'] || item['Serial'] || '';
-      
-      if (!stockId) continue; // Skip items without stock ID
-      
+
+      if (!stockId) {
+        summary.skipped++;
+        summary.rows.push({ row: rowNumber, stockId: '', status: 'skipped', reason: 'Missing stock ID' });
+        continue;
+      }
+
       // Analyze product to get structured data
       const productInfo = analyzeProductAdvanced(item);
-      if (!productInfo) continue;
-      
+      if (!productInfo) {
+        summary.skipped++;
+        summary.rows.push({ row: rowNumber, stockId, status: 'skipped', reason: `Unrecognized product: ${item['Model'] || 'Unknown'}` });
+        continue;
+      }
+
       // Extract variant information
       const color = cleanColor(item['Color'] || item['color'] || 'Space Gray');
       const condition = cleanCondition(item['Condition'] || item['condition'] || 'A');
       const keyboardLayout = determineKeyboardLayout(item);
       const comments = item['Comments'] || item['comments'] || '';
-      
-      // Insert or update product in database
-      await runQuery(`
-        INSERT OR REPLACE INTO products (
-          stock_id, serial_number, product_type, processor, storage, memory, 
-          display_size, year, color, condition, keyboard_layout, supplier_cost, 
-          additional_costs, date_added, comments
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?)
-      `, [
-        stockId,
-        serialNumber,
-        productInfo.productType,
-        productInfo.processor,
-        productInfo.storage,
-        productInfo.memory,
-        productInfo.displaySize,
-        productInfo.year,
-        color,
-        condition,
-        keyboardLayout,
-        0, // supplier_cost - you can add this later
-        0, // additional_costs
-        comments
-      ]);
-      
+      const supplierCost = extractSupplierCost(item);
+      const location = extractLocation(item);
+      const batteryHealth = extractBatteryHealth(item);
+
+      const existing = await getQuery(
+        `SELECT id, ${IMPORT_UPDATED_COLUMNS.join(', ')} FROM products WHERE stock_id = ?`,
+        [stockId]
+      );
+
+      if (existing) {
+        // Only overwrite the supplier cost when this sheet actually has one
+        await runQuery(`
+          UPDATE products SET
+            serial_number = ?, product_type = ?, processor = ?, storage = ?, memory = ?,
+            display_size = ?, year = ?, color = ?, condition = ?, keyboard_layout = ?,
+            supplier_cost = COALESCE(?, supplier_cost), comments = ?,
+            location = COALESCE(?, location), battery_health = COALESCE(?, battery_health)
+          WHERE stock_id = ?
+        `, [
+          serialNumber,
+          productInfo.productType,
+          productInfo.processor,
+          productInfo.storage,
+          productInfo.memory,
+          productInfo.displaySize,
+          productInfo.year,
+          color,
+          condition,
+          keyboardLayout,
+          supplierCost,
+          comments,
+          location,
+          batteryHealth,
+          stockId
+        ]);
+
+        summary.updated++;
+        summary.rows.push({ row: rowNumber, stockId, status: 'updated', supplierCost });
+      } else {
+        await runQuery(`
+          INSERT INTO products (
+            stock_id, serial_number, product_type, processor, storage, memory, 
+            display_size, year, color, condition, keyboard_layout, supplier_cost, 
+            additional_costs, date_added, comments, batch_id, location, battery_health
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, CURRENT_TIMESTAMP, ?, ?, ?, ?)
+        `, [
+          stockId,
+          serialNumber,
+          productInfo.productType,
+          productInfo.processor,
+          productInfo.storage,
+          productInfo.memory,
+          productInfo.displaySize,
+          productInfo.year,
+          color,
+          condition,
+          keyboardLayout,
+          supplierCost || 0,
+          comments,
+          batchId,
+          location,
+          batteryHealth
+        ]);
+
+        summary.inserted++;
+        summary.rows.push({ row: rowNumber, stockId, status: 'inserted', supplierCost });
+      }
+
+      if (batchId) {
+        const previousValues = existing
+          ? JSON.stringify(Object.fromEntries(IMPORT_UPDATED_COLUMNS.map(column => [column, existing[column]])))
+          : null;
+        await runQuery(`
+          INSERT INTO import_batch_items (
+            batch_id, stock_id, serial_number, product_type, processor, storage, memory,
+            display_size, year, color, condition, keyboard_layout, supplier_cost, action, previous_values
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          batchId,
+          stockId,
+          serialNumber,
+          productInfo.productType,
+          productInfo.processor,
+          productInfo.storage,
+          productInfo.memory,
+          productInfo.displaySize,
+          productInfo.year,
+          color,
+          condition,
+          keyboardLayout,
+          supplierCost,
+          existing ? 'updated' : 'inserted',
+          previousValues
+        ]);
+      }
+
     } catch (error) {
-      console.error('Error saving product:', stockId, error);
+      console.error('❌ Error saving product:', stockId, error.message);
+      summary.skipped++;
+      summary.rows.push({ row: rowNumber, stockId, status: 'skipped', reason: `Database error: ${error.message}` });
     }
   }
-  
-  console.log('Products saved to database');
+
+  console.log(`💾 Products saved to database: ${summary.inserted} inserted, ${summary.updated} updated, ${summary.skipped} skipped`);
+  return summary;
+}
+
+// Supplier sheets name the cost column differently ("Cost", "Unit Cost", "Price"...)
+function extractSupplierCost(item) {
+  const costHeaders = ['cost', 'unit cost', 'supplier cost', 'purchase price', 'cost price', 'price', 'unit price'];
+
+  for (const header of costHeaders) {
+    const key = Object.keys(item).find(k => k.toString().toLowerCase().trim() === header);
+    if (key === undefined) continue;
+
+    const value = item[key];
+    if (value === null || value === undefined || value === '') continue;
+
+    const amount = typeof value === 'number' ? value : parseFloat(value.toString().replace(/[^0-9.\-]/g, ''));
+    if (!isNaN(amount)) return Math.round(amount * 100) / 100;
+  }
+
+  return null;
+}
+
+// Blank means "leave it where it is" (or the default location for new units)
+function extractLocation(item) {
+  const location = (item['Location'] || item['location'] || '').toString().trim();
+  return location || null;
+}
+
+// "87%", "87" or 0.87 -> 87; anything outside 0-100 is treated as missing
+function extractBatteryHealth(item) {
+  const key = Object.keys(item).find(k => ['battery health', 'battery', 'battery %'].includes(k.toString().toLowerCase().trim()));
+  if (key === undefined || item[key] === null || item[key] === '') return null;
+
+  let health = parseFloat(item[key].toString().replace(/[^0-9.]/g, ''));
+  if (typeof item[key] === 'number' && health <= 1) health *= 100;
+  health = Math.round(health);
+
+  return health >= 0 && health <= 100 ? health : null;
+}
+
+// Rows the import works on; anything else in the sheet is ignored
+function isAppleProductRow(item) {
+  if (!item || typeof item !== 'object') return false;
+
+  const values = Object.values(item).join(' ').toLowerCase();
+  return values.includes('apple') ||
+         values.includes('macbook') ||
+         values.includes('ipad') ||
+         values.includes('iphone') ||
+         values.includes('imac') ||
+         values.includes('laptop') ||
+         values.includes('tablet') ||
+         values.includes('mac') ||
+         values.includes('watch') ||
+         values.includes('airpods');
+}
+
+// sheet_to_json tags each row with its 0-based sheet row; fall back to position after the header
+function getSheetRowNumber(item, index) {
+  return typeof item.__rowNum__ === 'number' ? item.__rowNum__ + 1 : index + 2;
+}
+
+// =============================================================================
+// IMPORT VALIDATION (DRY RUN)
+// =============================================================================
+
+// Check the rows the import would use (isAppleProductRow) without saving anything. Errors
+// stop a row from importing, warnings mean the row imports but some specs will be guessed
+// or left blank. sheetIndex ties each result back to its row for the annotated workbook.
+async function validateImportRows(rows) {
+  const checkedRows = rows
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => isAppleProductRow(item));
+
+  const reportRows = checkedRows.map(({ item, index }) => {
+    const stockId = (item['Stock'] || item['stock'] || '').toString().trim();
+    const serialNumber = (item['Serial Number'] || item['serial'] || item['Serial'] || '').toString().trim();
+    const issues = [];
+
+    if (!stockId) {
+      issues.push({ severity: 'error', field: 'Stock', message: 'Missing stock ID' });
+    }
+    if (!serialNumber) {
+      issues.push({ severity: 'error', field: 'Serial Number', message: 'Missing serial number' });
+    }
+
+    const productInfo = analyzeProductAdvanced(item);
+
+    if (!productInfo) {
+      issues.push({ severity: 'error', field: 'Model', message: `Unrecognized product type: ${item['Model'] || 'Unknown'}` });
+    } else if (productInfo.category !== 'Accessories') {
+      const rawStorage = (item['Storage'] || '').toString().trim();
+      const rawMemory = (item['Memory'] || '').toString().trim();
+
+      if (!/^\d+(\.\d+)?(GB|TB)$/.test(productInfo.storage)) {
+        issues.push({
+          severity: 'warning',
+          field: 'Storage',
+          message: rawStorage ? `Could not parse storage "${rawStorage}"` : 'Missing storage'
+        });
+      }
+
+      // iPhones and watches don't carry a memory spec
+      if (!['iPhone', 'Apple Watch'].includes(productInfo.deviceFamily) && !/^\d+GB$/.test(productInfo.memory)) {
+        issues.push({
+          severity: 'warning',
+          field: 'Memory',
+          message: rawMemory ? `Could not parse memory "${rawMemory}"` : 'Missing memory'
+        });
+      }
+
+      if (['Mac', 'iPad'].includes(productInfo.deviceFamily) && !isKnownProcessor(productInfo.processor)) {
+        issues.push({
+          severity: 'warning',
+          field: 'Processor',
+          message: `Unknown processor "${item['Processor'] || ''}"`
+        });
+      }
+    }
+
+    if (productInfo && productInfo.guessedFields.length > 0) {
+      issues.push({
+        severity: 'warning',
+        field: 'Model',
+        message: `Not in model catalogue - guessed ${productInfo.guessedFields.join(', ')}`
+      });
+    }
+
+    return {
+      row: getSheetRowNumber(item, index),
+      sheetIndex: index,
+      stockId,
+      serialNumber,
+      productType: productInfo ? productInfo.productType : '',
+      location: extractLocation(item),
+      issues
+    };
+  });
+
+  await flagUnknownLocations(reportRows);
+  flagDuplicates(reportRows, 'serialNumber', 'Serial Number', 'serial number');
+  flagDuplicates(reportRows, 'stockId', 'Stock', 'stock ID');
+
+  // Stock IDs that were already sold can't be re-imported as available stock
+  const stockIds = [...new Set(reportRows.map(r => r.stockId).filter(Boolean))];
+  if (stockIds.length > 0) {
+    const soldRows = await getAllQuery(
+      `SELECT stock_id FROM products WHERE is_sold = 1 AND stock_id IN (${stockIds.map(() => '?').join(',')})`,
+      stockIds
+    );
+    const soldIds = new Set(soldRows.map(r => r.stock_id));
+
+    reportRows.forEach(r => {
+      if (soldIds.has(r.stockId)) {
+        r.issues.push({ severity: 'error', field: 'Stock', message: 'Stock ID already exists as sold' });
+      }
+    });
+  }
+
+  reportRows.forEach(r => {
+    if (r.issues.some(i => i.severity === 'error')) r.status = 'error';
+    else if (r.issues.length > 0) r.status = 'warning';
+    else r.status = 'ok';
+  });
+
+  return {
+    summary: {
+      totalRows: reportRows.length,
+      skippedRows: rows.length - reportRows.length,
+      okRows: reportRows.filter(r => r.status === 'ok').length,
+      warningRows: reportRows.filter(r => r.status === 'warning').length,
+      errorRows: reportRows.filter(r => r.status === 'error').length
+    },
+    rows: reportRows
+  };
+}
+
+// A unit's location has to exist in the Shopify store its product type is listed on;
+// syncs stock units at an unknown location at the store's default location instead
+async function flagUnknownLocations(reportRows) {
+  const located = reportRows.filter(r => r.location && r.productType);
+  if (located.length === 0) return;
+
+  const stores = await getAllQuery('SELECT id, name, product_types, is_default FROM stores');
+  const owners = new Map();
+  stores.forEach(row => JSON.parse(row.product_types || '[]').forEach(type => owners.set(type, row)));
+  const defaultStore = stores.find(row => row.is_default);
+
+  const locationsByStore = new Map();
+  for (const r of located) {
+    const owner = owners.get(r.productType) || defaultStore;
+    if (!owner) continue;
+
+    if (!locationsByStore.has(owner.id)) {
+      try {
+        const { baseUrl, headers } = storeConnection(await loadStore(owner.id));
+        locationsByStore.set(owner.id, await fetchShopifyLocations(baseUrl, headers));
+      } catch (error) {
+        console.log(`⚠️ Could not load the Shopify locations of ${owner.name}: ${error.message}`);
+        locationsByStore.set(owner.id, null);
+      }
+    }
+    const locations = locationsByStore.get(owner.id);
+    if (!locations) {
+      r.issues.push({ severity: 'warning', field: 'Location', message: `Could not check location "${r.location}" against ${owner.name}` });
+      continue;
+    }
+
+    try {
+      resolveShopifyLocation(locations, r.location);
+    } catch (error) {
+      r.issues.push({
+        severity: 'warning',
+        field: 'Location',
+        message: `${owner.name} has no location "${r.location}" - the unit would be stocked at its default location`
+      });
+    }
+  }
+}
+
+function flagDuplicates(reportRows, key, field, label) {
+  const rowsByValue = {};
+  reportRows.forEach(r => {
+    const value = r[key].toUpperCase();
+    if (!value) return;
+    (rowsByValue[value] = rowsByValue[value] || []).push(r);
+  });
+
+  Object.values(rowsByValue).forEach(group => {
+    if (group.length < 2) return;
+    group.forEach(r => {
+      const others = group.filter(o => o !== r).map(o => o.row).join(', ');
+      r.issues.push({ severity: 'error', field, message: `Duplicate ${label} (also on row ${others})` });
+    });
+  });
+}
+
+function isKnownProcessor(processor) {
+  if (!processor || processor === 'Unknown') return false;
+  return /^M\d( Pro| Max| Ultra)?$/.test(processor) ||
+         /^(Intel|Core|Xeon|Celeron)/i.test(processor) ||
+         /^A\d{1,2}/.test(processor);
+}
+
+// Copy the supplier's rows and append the validation result to each one
+function buildValidationWorkbook(sheetRows, validationReport) {
+  const resultsByIndex = new Map(validationReport.rows.map(result => [result.sheetIndex, result]));
+  const annotatedRows = sheetRows.map((row, index) => {
+    const result = resultsByIndex.get(index);
+    return {
+      ...row,
+      'Validation Status': result ? result.status.toUpperCase() : 'SKIPPED',
+      'Validation Issues': result
+        ? result.issues.map(i => `[${i.severity.toUpperCase()}] ${i.field}: ${i.message}`).join('; ')
+        : 'Not an Apple product - not imported'
+    };
+  });
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(annotatedRows), 'Validation');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([
+    { Metric: 'Rows checked', Count: validationReport.summary.totalRows },
+    { Metric: 'Skipped (not Apple)', Count: validationReport.summary.skippedRows },
+    { Metric: 'OK', Count: validationReport.summary.okRows },
+    { Metric: 'Warnings', Count: validationReport.summary.warningRows },
+    { Metric: 'Errors', Count: validationReport.summary.errorRows }
+  ]), 'Summary');
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
 }
 
 // Add this debug function after createProductGroups (around line 320) to help diagnose the missing products:
 
-function debugProductGroups(productGroups) {
+function debugProductGroups(productGroups, expectedUnits) {
   console.log('\n🔍 PRODUCT GROUP DEBUGGING INFORMATION:');
   console.log('========================================');
   
@@ -950,8 +5188,8 @@ function debugProductGroups(productGroups) {
     console.log('');
   });
   
-  if (totalUnitsAcrossAllGroups !== 72) {
-    console.log(`⚠️ WARNING: Expected 72 units but found ${totalUnitsAcrossAllGroups}`);
+  if (totalUnitsAcrossAllGroups !== expectedUnits) {
+    console.log(`⚠️ WARNING: Expected ${expectedUnits} units but found ${totalUnitsAcrossAllGroups}`);
     console.log('Check for missing or duplicate products!\n');
   }
   
@@ -975,22 +5213,41 @@ function analyzeProductAdvanced(item) {
 
   console.log(`🔍 Analyzing: "${model}" | Category: "${category}" | Processor: "${processor}"`);
 
+  // Catalogue specs win; anything we have to fall back to a default for is reported as guessed
+  const catalogueModel = findCatalogueModel(item);
+  const guessedFields = [];
+  const guess = (field, value) => {
+    if (value) guessedFields.push(field);
+    return value;
+  };
+  const catalogue = {
+    displaySize: catalogueModel ? catalogueModel.display_size : '',
+    year: catalogueModel && !catalogueModel.ambiguous ? catalogueModel.year : '',
+    modelNumber: catalogueModel ? (catalogueModel.part_number || catalogueModel.a_number) : ''
+  };
+  const withCatalogue = (productInfo) => ({
+    ...productInfo,
+    catalogueModelId: catalogueModel ? catalogueModel.id : null,
+    launchMsrp: catalogueModel ? catalogueModel.launch_msrp : null,
+    guessedFields
+  });
+
   // MacBook Pro Detection (Enhanced)
   if (combinedText.includes('macbook pro') || 
       (combinedText.includes('laptop') && combinedText.includes('pro')) ||
       (category.toLowerCase().includes('laptop') && processor.toLowerCase().includes('pro'))) {
     
-    return {
+    return withCatalogue({
       productType: 'MacBook Pro',
-      displaySize: extractDisplaySize(model, processor) || determineDefaultSize('MacBook Pro', processor),
+      displaySize: catalogue.displaySize || extractDisplaySize(model, processor) || guess('displaySize', guessDisplaySize(processor) || determineDefaultSize('MacBook Pro', processor)),
       processor: extractProcessorDetails(processor),
       storage: standardizeStorage(storage),
       memory: standardizeMemory(memory),
-      year: extractYear(processor, model) || estimateYear(processor),
-      modelNumber: extractModelNumber(processor, model),
+      year: catalogue.year || extractYear(processor, model) || guess('year', estimateYear(processor)),
+      modelNumber: catalogue.modelNumber || extractModelNumber(processor, model),
       category: 'Laptops',
       deviceFamily: 'Mac'
-    };
+    });
   }
 
   // MacBook Air Detection (Enhanced)
@@ -998,85 +5255,135 @@ function analyzeProductAdvanced(item) {
       (combinedText.includes('macbook') && combinedText.includes('air')) ||
       category.toLowerCase().includes('macbook air')) {
     
-    return {
+    return withCatalogue({
       productType: 'MacBook Air',
-      displaySize: extractDisplaySize(model, processor) || determineDefaultSize('MacBook Air', processor),
+      displaySize: catalogue.displaySize || extractDisplaySize(model, processor) || guess('displaySize', guessDisplaySize(processor) || determineDefaultSize('MacBook Air', processor)),
       processor: extractProcessorDetails(processor),
       storage: standardizeStorage(storage),
       memory: standardizeMemory(memory),
-      year: extractYear(processor, model) || estimateYear(processor),
-      modelNumber: extractModelNumber(processor, model),
+      year: catalogue.year || extractYear(processor, model) || guess('year', estimateYear(processor)),
+      modelNumber: catalogue.modelNumber || extractModelNumber(processor, model),
       category: 'Laptops',
       deviceFamily: 'Mac'
-    };
+    });
   }
 
   // Generic MacBook Detection
   if (combinedText.includes('macbook') || 
       (category.toLowerCase().includes('laptop') && brand.toLowerCase().includes('apple'))) {
     
-    return {
+    return withCatalogue({
       productType: 'MacBook',
-      displaySize: extractDisplaySize(model, processor) || '13"',
+      displaySize: catalogue.displaySize || extractDisplaySize(model, processor) || guess('displaySize', guessDisplaySize(processor) || '13"'),
       processor: extractProcessorDetails(processor),
       storage: standardizeStorage(storage),
       memory: standardizeMemory(memory),
-      year: extractYear(processor, model) || estimateYear(processor),
-      modelNumber: extractModelNumber(processor, model),
+      year: catalogue.year || extractYear(processor, model) || guess('year', estimateYear(processor)),
+      modelNumber: catalogue.modelNumber || extractModelNumber(processor, model),
       category: 'Laptops',
       deviceFamily: 'Mac'
-    };
+    });
   }
 
   // iPad Detection (Enhanced)
   if (combinedText.includes('ipad') || category.toLowerCase().includes('tablet')) {
     const ipadType = determineIPadTypeAdvanced(model, processor, category);
     
-    return {
+    return withCatalogue({
       productType: ipadType,
-      displaySize: extractIPadSize(model, processor),
+      displaySize: catalogue.displaySize || extractIPadSize(model, processor) || guess('displaySize', '10.9"'),
       processor: extractProcessorDetails(processor),
       storage: standardizeStorage(storage),
       memory: standardizeMemory(memory),
-      year: extractYear(processor, model) || estimateYear(processor),
-      modelNumber: extractModelNumber(processor, model),
+      year: catalogue.year || extractYear(processor, model) || guess('year', estimateYear(processor)),
+      modelNumber: catalogue.modelNumber || extractModelNumber(processor, model),
       category: 'Tablets',
       deviceFamily: 'iPad'
-    };
+    });
   }
 
   // iPhone Detection (Enhanced)
   if (combinedText.includes('iphone') || category.toLowerCase().includes('phone')) {
     const iphoneModel = determineIPhoneModelAdvanced(model, processor);
     
-    return {
-      productType: iphoneModel,
-      displaySize: getIPhoneDisplaySize(iphoneModel),
+    return withCatalogue({
+      productType: iphoneModel,
+      displaySize: catalogue.displaySize || getIPhoneDisplaySize(iphoneModel),
+      processor: extractProcessorDetails(processor),
+      storage: standardizeStorage(storage),
+      memory: '', // iPhones don't typically show RAM
+      year: catalogue.year || extractYear(processor, model) || guess('year', estimateIPhoneYear(iphoneModel)),
+      modelNumber: catalogue.modelNumber || extractModelNumber(processor, model),
+      category: 'Phones',
+      deviceFamily: 'iPhone'
+    });
+  }
+
+  // iMac Detection (Enhanced)
+  if (combinedText.includes('imac') || 
+      (category.toLowerCase().includes('desktop') && combinedText.includes('imac'))) {
+    
+    return withCatalogue({
+      productType: 'iMac',
+      displaySize: catalogue.displaySize || extractDisplaySize(model, processor) || guess('displaySize', guessDisplaySize(`imac ${processor}`)),
+      processor: extractProcessorDetails(processor),
+      storage: standardizeStorage(storage),
+      memory: standardizeMemory(memory),
+      year: catalogue.year || extractYear(processor, model) || guess('year', estimateYear(processor)),
+      modelNumber: catalogue.modelNumber || extractModelNumber(processor, model),
+      category: 'Desktops',
+      deviceFamily: 'Mac'
+    });
+  }
+
+  // Mac Studio Detection
+  if (combinedText.includes('mac studio') || combinedText.includes('macstudio')) {
+    
+    return withCatalogue({
+      productType: 'Mac Studio',
+      displaySize: '', // Headless desktop
       processor: extractProcessorDetails(processor),
       storage: standardizeStorage(storage),
-      memory: '', // iPhones don't typically show RAM
-      year: extractYear(processor, model) || estimateIPhoneYear(iphoneModel),
-      modelNumber: extractModelNumber(processor, model),
-      category: 'Phones',
-      deviceFamily: 'iPhone'
-    };
+      memory: standardizeMemory(memory),
+      year: catalogue.year || extractYear(processor, model) || guess('year', estimateYear(processor)),
+      modelNumber: catalogue.modelNumber || extractModelNumber(processor, model),
+      category: 'Desktops',
+      deviceFamily: 'Mac'
+    });
   }
 
-  // iMac Detection (Enhanced)
-  if (combinedText.includes('imac') || 
-      (category.toLowerCase().includes('desktop') && combinedText.includes('imac'))) {
+  // Mac mini Detection
+  if (combinedText.includes('mac mini') || combinedText.includes('macmini') || combinedText.includes('mac-mini')) {
     
-    return {
-      productType: 'iMac',
-      displaySize: extractDisplaySize(model, processor) || '24"',
+    return withCatalogue({
+      productType: 'Mac Mini',
+      displaySize: '', // Headless desktop
       processor: extractProcessorDetails(processor),
       storage: standardizeStorage(storage),
       memory: standardizeMemory(memory),
-      year: extractYear(processor, model) || estimateYear(processor),
-      modelNumber: extractModelNumber(processor, model),
+      year: catalogue.year || extractYear(processor, model) || guess('year', estimateYear(processor)),
+      modelNumber: catalogue.modelNumber || extractModelNumber(processor, model),
       category: 'Desktops',
       deviceFamily: 'Mac'
-    };
+    });
+  }
+
+  // Apple Watch Detection
+  if (combinedText.includes('apple watch') || combinedText.includes('iwatch') ||
+      category.toLowerCase().includes('watch') || category.toLowerCase().includes('wearable')) {
+    const watchModel = determineAppleWatchModel(`${model} ${processor}`);
+    
+    return withCatalogue({
+      productType: watchModel,
+      displaySize: extractWatchCaseSize(`${model} ${processor} ${category}`) || guess('displaySize', watchModel.includes('Ultra') ? '49mm' : '45mm'),
+      processor: '', // S-series chips aren't listed by suppliers
+      storage: standardizeStorage(storage),
+      memory: '',
+      year: catalogue.year || extractYear(processor, model) || guess('year', estimateAppleWatchYear(watchModel)),
+      modelNumber: catalogue.modelNumber || extractModelNumber(processor, model),
+      category: 'Wearables',
+      deviceFamily: 'Apple Watch'
+    });
   }
 
   // AirPods and Accessories Detection (Enhanced)
@@ -1090,17 +5397,17 @@ function analyzeProductAdvanced(item) {
     else if (combinedText.includes('magic mouse')) accessoryType = 'Magic Mouse';
     else if (combinedText.includes('magic keyboard')) accessoryType = 'Magic Keyboard';
     
-    return {
+    return withCatalogue({
       productType: accessoryType,
       displaySize: '',
       processor: '',
       storage: '',
       memory: '',
-      year: extractYear(processor, model) || '2022',
-      modelNumber: extractModelNumber(processor, model),
+      year: catalogue.year || extractYear(processor, model) || guess('year', '2022'),
+      modelNumber: catalogue.modelNumber || extractModelNumber(processor, model),
       category: 'Accessories',
       deviceFamily: 'Apple Accessory'
-    };
+    });
   }
 
   console.log(`⚠️ Could not categorize product: "${model}" in category "${category}"`);
@@ -1112,6 +5419,10 @@ function extractProcessorDetails(processor) {
   if (!processor) return 'Unknown';
   
   // Enhanced processor detection
+  if (processor.includes('M4 Max')) return 'M4 Max';
+  if (processor.includes('M4 Pro')) return 'M4 Pro';
+  if (processor.includes('M4')) return 'M4';
+  if (processor.includes('M3 Ultra')) return 'M3 Ultra';
   if (processor.includes('M3 Max')) return 'M3 Max';
   if (processor.includes('M3 Pro')) return 'M3 Pro';
   if (processor.includes('M3')) return 'M3';
@@ -1172,139 +5483,7 @@ function standardizeMemory(memory) {
 }
 
 function extractDisplaySize(model, processor) {
-  // COMPLETE model number to screen size mapping (2016+)
-  const modelSizeMap = {
-    // ============ MacBook Pro ============
-    // 16" MacBook Pro (2019-2025)
-    'A2141': '16"',  // MacBook Pro 16" Intel 2019-2020
-    'A2485': '16"',  // MacBook Pro 16" M1 Max/Pro 2021
-    'A2780': '16"',  // MacBook Pro 16" M2 Pro/Max 2023
-    'A2991': '16"',  // MacBook Pro 16" M3 Pro/Max 2023
-    'A3112': '16"',  // MacBook Pro 16" M4 Pro/Max 2024-2025
-    'A3185': '16"',  // MacBook Pro 16" M4 Pro/Max 2024-2025
-    'A3401': '16"',  // MacBook Pro 16" M4 Pro/Max 2024-2025
-    
-    // 15" MacBook Pro (Legacy Intel, discontinued 2019)
-    'A1707': '15"',  // MacBook Pro 15" Intel 2016-2017
-    'A1990': '15"',  // MacBook Pro 15" Intel 2018-2019
-    
-    // 14" MacBook Pro (2021+)
-    'A2442': '14"',  // MacBook Pro 14" M1 Pro/Max 2021
-    'A2779': '14"',  // MacBook Pro 14" M2 Pro/Max 2023
-    'A2992': '14"',  // MacBook Pro 14" M3 Pro/Max 2023
-    'A3114': '14"',  // MacBook Pro 14" M4 Pro/Max 2024-2025
-    
-    // 13" MacBook Pro (2016-2022)
-    'A1706': '13"',  // MacBook Pro 13" Intel Touch Bar 2016-2017
-    'A1708': '13"',  // MacBook Pro 13" Intel No Touch Bar 2016-2017
-    'A1989': '13"',  // MacBook Pro 13" Intel 2018
-    'A2159': '13"',  // MacBook Pro 13" Intel 2019
-    'A2251': '13"',  // MacBook Pro 13" Intel 2020
-    'A2289': '13"',  // MacBook Pro 13" M1 2020
-    'A2338': '13"',  // MacBook Pro 13" M2 2022
-    
-    // ============ MacBook Air ============
-    // 15" MacBook Air (2023+)
-    'A2941': '15"',  // MacBook Air 15" M2 2023
-    'A3114': '15"',  // MacBook Air 15" M3 2024
-    'A3241': '15"',  // MacBook Air 15" M4 2025
-    
-    // 13" MacBook Air (2018+)
-    'A1932': '13"',  // MacBook Air 13" Intel 2018-2020
-    'A2337': '13"',  // MacBook Air 13" M1 2020-2021
-    'A2681': '13"',  // MacBook Air 13" M2 2022
-    'A3113': '13"',  // MacBook Air 13" M3 2024
-    'A3240': '13"',  // MacBook Air 13" M4 2025
-    
-    // ============ iMac ============
-    // 24" iMac (Apple Silicon 2021+)
-    'A2438': '24"',  // iMac 24" M1 2021 (2-port)
-    'A2439': '24"',  // iMac 24" M1 2021 (4-port)
-    'A2873': '24"',  // iMac 24" M3 2023 (2-port)
-    'A2874': '24"',  // iMac 24" M3 2023 (4-port)
-    'A3115': '24"',  // iMac 24" M4 2024 (estimated)
-    
-    // 27" iMac (Intel, discontinued 2022)
-    'A2115': '27"',  // iMac 27" Intel Retina 5K 2019-2020
-    'A1419': '27"',  // iMac 27" Intel 2012-2017
-    
-    // 21.5" iMac (Intel, discontinued)
-    'A2116': '21.5"', // iMac 21.5" Intel 2019
-    'A1418': '21.5"', // iMac 21.5" Intel 2012-2017
-    
-    // ============ iPad (for future compatibility) ============
-    // iPad Pro 12.9"
-    'A1584': '12.9"', // iPad Pro 12.9" 1st gen 2015
-    'A1652': '12.9"', // iPad Pro 12.9" 1st gen 2015 (Cellular)
-    'A1670': '12.9"', // iPad Pro 12.9" 2nd gen 2017
-    'A1671': '12.9"', // iPad Pro 12.9" 2nd gen 2017 (Cellular)
-    'A1876': '12.9"', // iPad Pro 12.9" 3rd gen 2018
-    'A2014': '12.9"', // iPad Pro 12.9" 3rd gen 2018 (Cellular)
-    'A1895': '12.9"', // iPad Pro 12.9" 3rd gen 2018 (1TB)
-    'A2229': '12.9"', // iPad Pro 12.9" 4th gen 2020
-    'A2069': '12.9"', // iPad Pro 12.9" 4th gen 2020 (Cellular)
-    'A2232': '12.9"', // iPad Pro 12.9" 4th gen 2020 (1TB)
-    'A2378': '12.9"', // iPad Pro 12.9" 5th gen 2021 (M1)
-    'A2461': '12.9"', // iPad Pro 12.9" 5th gen 2021 (M1 Cellular)
-    'A2379': '12.9"', // iPad Pro 12.9" 5th gen 2021 (M1 1TB)
-    'A2436': '12.9"', // iPad Pro 12.9" 6th gen 2022 (M2)
-    'A2764': '12.9"', // iPad Pro 12.9" 6th gen 2022 (M2 Cellular)
-    'A2437': '12.9"', // iPad Pro 12.9" 6th gen 2022 (M2 1TB)
-    
-    // iPad Pro 11"
-    'A1980': '11"',   // iPad Pro 11" 1st gen 2018
-    'A2013': '11"',   // iPad Pro 11" 1st gen 2018 (Cellular)
-    'A1934': '11"',   // iPad Pro 11" 1st gen 2018 (1TB)
-    'A2228': '11"',   // iPad Pro 11" 2nd gen 2020
-    'A2068': '11"',   // iPad Pro 11" 2nd gen 2020 (Cellular)
-    'A2230': '11"',   // iPad Pro 11" 2nd gen 2020 (1TB)
-    'A2377': '11"',   // iPad Pro 11" 3rd gen 2021 (M1)
-    'A2459': '11"',   // iPad Pro 11" 3rd gen 2021 (M1 Cellular)
-    'A2301': '11"',   // iPad Pro 11" 3rd gen 2021 (M1 1TB)
-    'A2435': '11"',   // iPad Pro 11" 4th gen 2022 (M2)
-    'A2761': '11"',   // iPad Pro 11" 4th gen 2022 (M2 Cellular)
-    'A2302': '11"',   // iPad Pro 11" 4th gen 2022 (M2 1TB)
-    
-    // iPad Pro 10.5" (Legacy)
-    'A1701': '10.5"', // iPad Pro 10.5" 2017
-    'A1709': '10.5"', // iPad Pro 10.5" 2017 (Cellular)
-    
-    // iPad Pro 9.7" (Legacy)
-    'A1673': '9.7"',  // iPad Pro 9.7" 2016
-    'A1674': '9.7"',  // iPad Pro 9.7" 2016 (Cellular)
-    'A1675': '9.7"',  // iPad Pro 9.7" 2016 (128GB)
-    
-    // iPad Air (10.9")
-    'A2316': '10.9"', // iPad Air 4th gen 2020
-    'A2324': '10.9"', // iPad Air 4th gen 2020 (Cellular)
-    'A2325': '10.9"', // iPad Air 4th gen 2020 (256GB)
-    'A2588': '10.9"', // iPad Air 5th gen 2022 (M1)
-    'A2589': '10.9"', // iPad Air 5th gen 2022 (M1 Cellular)
-    'A2591': '10.9"', // iPad Air 5th gen 2022 (M1 256GB)
-    
-    // iPad (10.2")
-    'A2197': '10.2"', // iPad 7th gen 2019
-    'A2200': '10.2"', // iPad 7th gen 2019 (Cellular)
-    'A2198': '10.2"', // iPad 7th gen 2019 (128GB)
-    'A2270': '10.2"', // iPad 8th gen 2020
-    'A2428': '10.2"', // iPad 8th gen 2020 (Cellular)
-    'A2429': '10.2"', // iPad 8th gen 2020 (128GB)
-    'A2602': '10.2"', // iPad 9th gen 2021
-    'A2603': '10.2"', // iPad 9th gen 2021 (Cellular)
-    'A2604': '10.2"', // iPad 9th gen 2021 (256GB)
-    
-    // iPad Mini (8.3")
-    'A2568': '8.3"',  // iPad Mini 6th gen 2021
-    'A2569': '8.3"',  // iPad Mini 6th gen 2021 (Cellular)
-    'A2567': '8.3"'   // iPad Mini 6th gen 2021 (256GB)
-  };
-  
-  // First try exact model number mapping
-  if (model && modelSizeMap[model]) {
-    return modelSizeMap[model];
-  }
-  
-  // Fallback: extract from processor description
+  // A-number lookups live in the Apple model catalogue; here we only read sizes written in the text
   const sizeMatches = [
     { pattern: /27["\s]?(?:inch)?/i, size: '27"' },
     { pattern: /24["\s]?(?:inch)?/i, size: '24"' },
@@ -1328,7 +5507,11 @@ function extractDisplaySize(model, processor) {
     }
   }
   
-  // Smart defaults based on device type and processor
+  return '';
+}
+
+// Best guess at a screen size when neither the catalogue nor the sheet gives one
+function guessDisplaySize(processor) {
   const processorLower = processor.toLowerCase();
   
   // iMac defaults
@@ -1352,7 +5535,7 @@ function extractDisplaySize(model, processor) {
     return '10.2"'; // Regular iPad default
   }
   
-  return '13"'; // Safe default for unknown devices
+  return '';
 }
 
 function extractYear(processor, model) {
@@ -1370,6 +5553,7 @@ function extractModelNumber(processor, model) {
 
 function estimateYear(processor) {
   // Estimate year based on processor
+  if (processor.includes('M4')) return '2024';
   if (processor.includes('M3')) return '2023';
   if (processor.includes('M2')) return '2022';
   if (processor.includes('M1')) return '2020';
@@ -1410,6 +5594,10 @@ function determineIPadTypeAdvanced(model, processor, category) {
 function determineIPhoneModelAdvanced(model, processor) {
   const modelLower = model.toLowerCase();
   
+  if (modelLower.includes('iphone 16 pro max')) return 'iPhone 16 Pro Max';
+  if (modelLower.includes('iphone 16 pro')) return 'iPhone 16 Pro';
+  if (modelLower.includes('iphone 16 plus')) return 'iPhone 16 Plus';
+  if (modelLower.includes('iphone 16')) return 'iPhone 16';
   if (modelLower.includes('iphone 15')) return 'iPhone 15';
   if (modelLower.includes('iphone 14')) return 'iPhone 14';
   if (modelLower.includes('iphone 13')) return 'iPhone 13';
@@ -1423,11 +5611,15 @@ function determineIPhoneModelAdvanced(model, processor) {
 function extractIPadSize(model, processor) {
   const combined = `${model} ${processor}`;
   const match = combined.match(/(\d+(?:\.\d+)?)["\s]?(?:inch)?/i);
-  return match ? `${match[1]}"` : '10.9"'; // Default iPad size
+  return match ? `${match[1]}"` : '';
 }
 
 function getIPhoneDisplaySize(iphoneModel) {
   const sizes = {
+    'iPhone 16 Pro Max': '6.9"',
+    'iPhone 16 Pro': '6.3"',
+    'iPhone 16 Plus': '6.7"',
+    'iPhone 16': '6.1"',
     'iPhone 15': '6.1"',
     'iPhone 14': '6.1"',
     'iPhone 13': '6.1"',
@@ -1441,6 +5633,10 @@ function getIPhoneDisplaySize(iphoneModel) {
 
 function estimateIPhoneYear(iphoneModel) {
   const years = {
+    'iPhone 16 Pro Max': '2024',
+    'iPhone 16 Pro': '2024',
+    'iPhone 16 Plus': '2024',
+    'iPhone 16': '2024',
     'iPhone 15': '2023',
     'iPhone 14': '2022',
     'iPhone 13': '2021',
@@ -1452,6 +5648,39 @@ function estimateIPhoneYear(iphoneModel) {
   return years[iphoneModel] || '2022';
 }
 
+function determineAppleWatchModel(text) {
+  const textLower = text.toLowerCase();
+  
+  if (textLower.includes('ultra 2')) return 'Apple Watch Ultra 2';
+  if (textLower.includes('ultra')) return 'Apple Watch Ultra';
+  if (textLower.match(/\bse\b/)) return 'Apple Watch SE';
+  
+  const seriesMatch = textLower.match(/series\s*(\d{1,2})|\bs(\d{1,2})\b/);
+  if (seriesMatch) return `Apple Watch Series ${seriesMatch[1] || seriesMatch[2]}`;
+  
+  return 'Apple Watch';
+}
+
+function extractWatchCaseSize(text) {
+  const match = text.match(/\b(38|40|41|42|44|45|46|49)\s?mm\b/i);
+  return match ? `${match[1]}mm` : '';
+}
+
+function estimateAppleWatchYear(watchModel) {
+  const years = {
+    'Apple Watch Ultra 2': '2023',
+    'Apple Watch Ultra': '2022',
+    'Apple Watch SE': '2022',
+    'Apple Watch Series 10': '2024',
+    'Apple Watch Series 9': '2023',
+    'Apple Watch Series 8': '2022',
+    'Apple Watch Series 7': '2021',
+    'Apple Watch Series 6': '2020'
+  };
+  
+  return years[watchModel] || '2023';
+}
+
 // PRODUCT GROUPING AND ORGANIZATION FUNCTIONS
 function createAdvancedGroupingKey(productInfo) {
   // Create a unique key that groups products by core specs (not variants)
@@ -1476,7 +5705,7 @@ function createAdvancedSEOTitle(productInfo) {
   if (productInfo.displaySize) title += ` ${productInfo.displaySize}`;
   
   // Add processor (clean format)
-  if (productInfo.processor) {
+  if (productInfo.processor && productInfo.processor !== 'Unknown') {
     const cleanProcessor = productInfo.processor
       .replace('Apple ', '')
       .replace(' chip', '')
@@ -1515,16 +5744,15 @@ function createAdvancedSEODescription(productInfo, variants) {
     );
   }
   
-  const retailPrice = calculateRetailPrice(productInfo);
-  const discounts = { 'A': 30, 'B': 32, 'C': 34, 'D': 39 };
-  const discount = discounts[primaryGrade];
+  const pricing = quotePricing(productInfo);
+  const discount = pricing.grades[primaryGrade]?.discount;
   
   let description = '';
   const productName = productInfo.productType + (productInfo.displaySize ? ` ${productInfo.displaySize}` : '');
   const processorShort = productInfo.processor?.replace('Apple ', '').replace(' chip', '') || 'M2';
   
   // Grade-specific descriptions following your examples
-  switch (primaryGrade) {
+  switch (discount === undefined ? null : primaryGrade) {
     case 'A':
       description = `Certified refurbished ${productName} ${processorShort} like-new condition. Save ${discount}% vs retail. 90-day warranty, free North American shipping. Shop premium quality!`;
       break;
@@ -1538,7 +5766,7 @@ function createAdvancedSEODescription(productInfo, variants) {
       description = `Maximum savings! ${productName} ${processorShort} refurbished - save ${discount}% vs retail. 90-day warranty included. Best value Apple quality - shop now!`;
       break;
     default:
-      description = `Certified refurbished ${productName} ${processorShort}. Save up to 39% vs retail. 90-day warranty, free North American shipping. Shop quality Apple devices!`;
+      description = `Certified refurbished ${productName} ${processorShort}. Save up to ${pricing.maxDiscount}% vs retail. 90-day warranty, free North American shipping. Shop quality Apple devices!`;
   }
   
   // Ensure it's within 150-160 characters for SEO
@@ -1549,65 +5777,17 @@ function createAdvancedSEODescription(productInfo, variants) {
   return description;
 }
 
-function calculateRetailPrice(productInfo) {
-  // Calculate estimated retail prices for discount calculations
-  const retailPrices = {
-    'MacBook Pro': 2799,
-    'MacBook Air': 1599,
-    'MacBook': 1999,
-    'iPad Pro': 1399,
-    'iPad Air': 899,
-    'iPad': 579,
-    'iPad Mini': 699,
-    'iPhone 15': 1129,
-    'iPhone 14': 999,
-    'iPhone 13': 849,
-    'iPhone 12': 699,
-    'iPhone 11': 579,
-    'iPhone SE': 579,
-    'iPhone': 849,
-    'iMac': 1799,
-    'Mac Studio': 2799,
-    'Mac Mini': 899,
-    'AirPods': 229,
-    'Magic Mouse': 129,
-    'Magic Keyboard': 229,
-    'Apple Accessory': 129
-  };
-  
-  let basePrice = retailPrices[productInfo.productType] || 999;
-  
-  // Adjust for specifications
-  if (productInfo.storage) {
-    const storageNum = parseInt(productInfo.storage);
-    if (storageNum >= 2000) basePrice += 1000; // 2TB+
-    else if (storageNum >= 1000) basePrice += 500; // 1TB+
-    else if (storageNum >= 512) basePrice += 300; // 512GB
-  }
-  
-  if (productInfo.memory) {
-    const memoryNum = parseInt(productInfo.memory);
-    if (memoryNum >= 64) basePrice += 1400; // 64GB+
-    else if (memoryNum >= 32) basePrice += 800; // 32GB+
-    else if (memoryNum >= 16) basePrice += 500; // 16GB
-  }
-  
-  // Processor adjustments
-  if (productInfo.processor?.includes('Max')) basePrice += 1000;
-  else if (productInfo.processor?.includes('Pro')) basePrice += 500;
-  else if (productInfo.processor?.includes('Ultra')) basePrice += 1500;
-  
-  // Display size adjustments
-  if (productInfo.displaySize) {
-    const size = parseFloat(productInfo.displaySize);
-    if (size >= 16) basePrice += 300;
-    else if (size >= 15) basePrice += 200;
-  }
-  
-  return Math.round(basePrice);
-}
-
-function createAdvancedProductDescription(productInfo, variants) {
+// How each grade is described to customers; the discount itself is a pricing rule
+const GRADE_DESCRIPTIONS = {
+  A: { label: 'Like-New', note: 'Perfect condition' },
+  B: { label: 'Excellent', note: 'Minimal wear' },
+  C: { label: 'Good', note: 'Great value' },
+  D: { label: 'Fair', note: 'Maximum savings' }
+};
+
+// `listing`, when given, holds the prices the variants are really listed at (see
+// listedGradePrices); without it the grade prices are quoted from the pricing rules
+function createAdvancedProductDescription(productInfo, variants, listing = null) {
   // Determine keyboard availability from variants
   let keyboardInfo = '';
   
@@ -1638,22 +5818,26 @@ function createAdvancedProductDescription(productInfo, variants) {
     });
   }
 
-  // Calculate dynamic pricing
-  const gradeAPrice = actualPrices['A'] || calculateVariantPrice(productInfo, 'A');
-  const gradeBPrice = actualPrices['B'] || calculateVariantPrice(productInfo, 'B');
-  const gradeCPrice = actualPrices['C'] || calculateVariantPrice(productInfo, 'C');
-  const gradeDPrice = actualPrices['D'] || calculateVariantPrice(productInfo, 'D');
-  
-  // Calculate retail from Grade A
-  const dynamicRetailPrice = Math.round(gradeAPrice / 0.70);
+  // Grade prices from the pricing rules, unless a unit of that grade is listed cheaper.
+  // A listing quotes only the grades it has, at the price their cheapest variant is at.
+  const pricing = quotePricing(productInfo);
+  const retailPrice = listing ? listing.retailPrice : pricing.msrp;
+  const grades = listing ? Object.keys(listing.grades).sort() : Object.keys(pricing.grades);
+  const gradePrices = {};
+  grades.forEach(grade => {
+    gradePrices[grade] = listing ? listing.grades[grade] : actualPrices[grade] || pricing.grades[grade].price;
+  });
   
   // Find lowest available price for hero
-  const availablePrices = Object.values(actualPrices).filter(p => p > 0);
-  const lowestPrice = availablePrices.length > 0 ? Math.min(...availablePrices) : gradeDPrice;
+  const availablePrices = Object.values(listing ? gradePrices : actualPrices).filter(p => p > 0);
+  const lowestPrice = availablePrices.length > 0 ? Math.min(...availablePrices) : Math.min(...Object.values(gradePrices), retailPrice);
+  const maxDiscount = listing
+    ? Math.max(0, ...Object.values(gradePrices).map(price => Math.round((retailPrice - price) / retailPrice * 100)))
+    : pricing.maxDiscount;
 
   // Determine primary grade (most common)
-  let primaryGrade = 'A';
-  let primaryPrice = gradeAPrice;
+  let primaryGrade = grades[0] || 'A';
+  let primaryPrice = gradePrices[primaryGrade] || retailPrice;
   
   if (variants && Object.keys(variants).length > 0) {
     const gradeCount = {};
@@ -1666,10 +5850,19 @@ function createAdvancedProductDescription(productInfo, variants) {
       gradeCount[a] > gradeCount[b] ? a : b
     );
     
-    const priceMap = { 'A': gradeAPrice, 'B': gradeBPrice, 'C': gradeCPrice, 'D': gradeDPrice };
-    primaryPrice = priceMap[primaryGrade];
+    primaryPrice = gradePrices[primaryGrade] || (listing ? lowestPrice : actualPrices[primaryGrade] || calculateVariantPrice(productInfo, primaryGrade));
   }
 
+  const gradeLines = grades.map(grade => {
+    const { label, note } = GRADE_DESCRIPTIONS[grade] || { label: 'Refurbished', note: 'Fully tested' };
+    const price = gradePrices[grade];
+    const savingPercent = retailPrice > 0 ? Math.round((retailPrice - price) / retailPrice * 100) : 0;
+    return `• <strong>Grade ${grade} (${label}):</strong> $${Math.round(price).toLocaleString()} - Save $${Math.round(retailPrice - price).toLocaleString()} (${savingPercent}%) - ${note}`;
+  });
+  const gradeMeanings = Object.keys(pricing.grades)
+    .map(grade => `Grade ${grade}=${(GRADE_DESCRIPTIONS[grade]?.label || 'refurbished').toLowerCase()} (${pricing.grades[grade].discount}% off)`)
+    .join(', ');
+
   // Determine target audience
   let audienceAndUse = '';
   if (productInfo.productType.includes('Pro')) {
@@ -1680,10 +5873,10 @@ function createAdvancedProductDescription(productInfo, variants) {
     audienceAndUse = 'Great for professionals and enthusiasts who need reliable Apple performance for work, creativity, and daily computing tasks.';
   }
 
-  // Random FAQ selection
+  // FAQ selection, shuffled per product group but the same on every sync
   const faqPool = [
     {q: "Is this genuine Apple hardware?", a: "100% authentic Apple hardware - never refurbished knockoffs or third-party parts."},
-    {q: "What does Grade A, B, C, D mean?", a: "Grade A=like-new (30% off), Grade B=excellent (32% off), Grade C=good (34% off), Grade D=fair (39% off retail)."},
+    {q: `What does Grade ${Object.keys(pricing.grades).join(', ')} mean?`, a: `${gradeMeanings} retail.`},
     {q: "Do I get a warranty?", a: "Yes! Every MacBook includes our 90-day warranty plus optional extended coverage available."},
     {q: "Can I return if not satisfied?", a: "Absolutely! 30-day no-questions-asked return policy for your peace of mind."},
     {q: "What's included in the box?", a: "Your MacBook, original Apple charger, and all necessary documentation."},
@@ -1692,15 +5885,17 @@ function createAdvancedProductDescription(productInfo, variants) {
     {q: "What keyboard options are available?", a: `We offer ${keyboardInfo} to suit Canadian users perfectly.`}
   ];
   
-  const selectedFAQs = [...faqPool].sort(() => 0.5 - Math.random()).slice(0, 4);
+  const faqSeed = createAdvancedGroupingKey(productInfo);
+  const faqRank = faq => crypto.createHash('sha256').update(`${faqSeed}|${faq.q}`).digest('hex');
+  const selectedFAQs = [...faqPool].sort((a, b) => faqRank(a).localeCompare(faqRank(b))).slice(0, 4);
 
   // Continue with the rest of the description...
  return `
   <div class="macbook-depot-product">
     <div class="hero-section">
-      🔥 <strong>SAVE UP TO 39% OFF RETAIL!</strong><br>
+      🔥 <strong>SAVE UP TO ${maxDiscount}% OFF RETAIL!</strong><br>
       💎 ${productInfo.productType}${productInfo.displaySize ? ` ${productInfo.displaySize}` : ''} ${productInfo.processor} ${productInfo.year} - Starting from $${Math.round(lowestPrice).toLocaleString()}<br>
-      <small>Retail Price: $${dynamicRetailPrice.toLocaleString()}</small>
+      <small>Retail Price: $${retailPrice.toLocaleString()}</small>
     </div>
 
     <h2>⚡ Why Choose This ${productInfo.productType}?</h2>
@@ -1708,10 +5903,7 @@ function createAdvancedProductDescription(productInfo, variants) {
 
     <h2>💰 Smart Savings by Condition Grade</h2>
     ★ <strong>Grade ${primaryGrade} (Most Available): $${Math.round(primaryPrice).toLocaleString()} - YOUR BEST VALUE</strong><br>
-    • <strong>Grade A (Like-New):</strong> $${Math.round(gradeAPrice).toLocaleString()} - Save $${Math.round(dynamicRetailPrice - gradeAPrice).toLocaleString()} (30%) - Perfect condition<br>
-    • <strong>Grade B (Excellent):</strong> $${Math.round(gradeBPrice).toLocaleString()} - Save $${Math.round(dynamicRetailPrice - gradeBPrice).toLocaleString()} (32%) - Minimal wear<br>
-    • <strong>Grade C (Good):</strong> $${Math.round(gradeCPrice).toLocaleString()} - Save $${Math.round(dynamicRetailPrice - gradeCPrice).toLocaleString()} (34%) - Great value<br>
-    • <strong>Grade D (Fair):</strong> $${Math.round(gradeDPrice).toLocaleString()} - Save $${Math.round(dynamicRetailPrice - gradeDPrice).toLocaleString()} (39%) - Maximum savings
+    ${gradeLines.join('<br>\n    ')}
 
     <h2>🎯 What You Get</h2>
     <ul>
@@ -1965,50 +6157,6 @@ function createAdvancedProductDescription(productInfo, variants) {
   </style>`;
 }
 
-function calculateAdvancedPricing(productInfo) {
-  const basePrices = {
-    'MacBook Pro': 2299,
-    'MacBook Air': 1399,
-    'MacBook': 1599,
-    'iPad Pro': 1149,
-    'iPad Air': 779,
-    'iPad': 449,
-    'iPad Mini': 649,
-    'iPhone': 899,
-    'iMac': 1699,
-    'Mac Studio': 2499,
-    'Mac Mini': 799,
-    'AirPods': 199,
-    'Magic Mouse': 99,
-    'Magic Keyboard': 199,
-    'Apple Accessory': 99
-  };
-  
-  let basePrice = basePrices[productInfo.productType] || 999;
-  
-  // Adjust for specifications
-  if (productInfo.storage) {
-    const storageNum = parseInt(productInfo.storage);
-    if (storageNum >= 2000) basePrice += 800; // 2TB+
-    else if (storageNum >= 1000) basePrice += 400; // 1TB+
-    else if (storageNum >= 512) basePrice += 200; // 512GB
-  }
-  
-  if (productInfo.memory) {
-    const memoryNum = parseInt(productInfo.memory);
-    if (memoryNum >= 64) basePrice += 1000; // 64GB+
-    else if (memoryNum >= 32) basePrice += 600; // 32GB+
-    else if (memoryNum >= 16) basePrice += 400; // 16GB
-  }
-  
-  // Processor adjustments
-  if (productInfo.processor.includes('Max')) basePrice += 800;
-  else if (productInfo.processor.includes('Pro')) basePrice += 400;
-  else if (productInfo.processor.includes('Ultra')) basePrice += 1200;
-  
-  return Math.round(basePrice);
-}
-
 function createAdvancedCollections(productInfo) {
   const collections = [];
   
@@ -2025,7 +6173,8 @@ function createAdvancedCollections(productInfo) {
   
   // Processor-based collections
   if (productInfo.processor) {
-    if (productInfo.processor.includes('M3')) collections.push('M3 Chip Devices');
+    if (productInfo.processor.includes('M4')) collections.push('M4 Chip Devices');
+    else if (productInfo.processor.includes('M3')) collections.push('M3 Chip Devices');
     else if (productInfo.processor.includes('M2')) collections.push('M2 Chip Devices');
     else if (productInfo.processor.includes('M1')) collections.push('M1 Chip Devices');
     else if (productInfo.processor.includes('Intel')) collections.push('Intel Mac');
@@ -2036,8 +6185,8 @@ function createAdvancedCollections(productInfo) {
     collections.push(`${productInfo.year} Models`);
   }
   
-  // Size-based for devices with displays
-  if (productInfo.displaySize) {
+  // Size-based for devices with displays (watch case sizes are in mm)
+  if (productInfo.displaySize && productInfo.displaySize.includes('"')) {
     const size = parseFloat(productInfo.displaySize);
     if (size >= 15) collections.push('Large Screen');
     else if (size >= 13) collections.push('Standard Screen');
@@ -2100,6 +6249,10 @@ function createAdvancedTags(productInfo) {
     tags.push(productInfo.deviceFamily.toLowerCase().replace(/\s+/g, '-'));
   }
   
+  if (productInfo.productType.startsWith('Apple Watch')) {
+    tags.push('smartwatch', 'wearable');
+  }
+  
   // Category tags
   tags.push(productInfo.category.toLowerCase());
   
@@ -2110,6 +6263,36 @@ function createAdvancedTags(productInfo) {
 }
 
 // VARIANT MANAGEMENT FUNCTIONS
+
+// Shopify variant options, in option1/option2/option3 order
+const VARIANT_OPTIONS = {
+  color: { name: 'Color', label: item => item.color },
+  condition: { name: 'Condition', label: item => `Grade ${item.condition}` },
+  keyboardLayout: { name: 'Keyboard', label: item => item.keyboardLayout },
+  connectivity: { name: 'Connectivity', label: item => item.connectivity }
+};
+
+// Products that come with a keyboard, so its layout is something a buyer chooses: Mac
+// laptops, iMacs (shipped with one) and the Magic Keyboard itself
+const KEYBOARD_PRODUCT_TYPES = ['MacBook Pro', 'MacBook Air', 'MacBook', 'iMac', 'Magic Keyboard'];
+
+function getVariantOptionKeys(productType) {
+  // Watches vary by cellular radio; everything without a keyboard is Color / Condition only
+  if (productType.startsWith('Apple Watch')) return ['color', 'condition', 'connectivity'];
+  if (KEYBOARD_PRODUCT_TYPES.includes(productType)) return ['color', 'condition', 'keyboardLayout'];
+  return ['color', 'condition'];
+}
+
+function determineConnectivity(item) {
+  const allText = Object.values(item).join(' ').toLowerCase();
+  
+  if (allText.includes('cellular') || allText.includes('lte')) {
+    return 'GPS + Cellular';
+  }
+  
+  return 'GPS';
+}
+
 function determineKeyboardLayout(item) {
   // Check comments, model, or other fields for French/English indicators
   const allText = `${item['Model'] || ''} ${item['Comments'] || ''} ${item['Processor'] || ''}`.toLowerCase();
@@ -2166,18 +6349,6 @@ function createAdvancedSKU(productInfo, color, condition, keyboardLayout) {
   return components.join('-');
 }
 
-function calculateVariantPrice(productInfo, condition) {
-  const retailPrice = calculateRetailPrice(productInfo);
-  const conditionMultipliers = {
-    'A': 0.70,    // 30% off retail
-    'B': 0.68,    // 32% off retail  
-    'C': 0.66,    // 34% off retail
-    'D': 0.61     // 39% off retail (30% + 5% + 4%)
-  };
-  
-  return Math.round(retailPrice * (conditionMultipliers[condition] || 0.70));
-}
-
 function calculateComparePrice(productInfo, condition) {
   // Show retail price as "compare at" price for all conditions
   return calculateRetailPrice(productInfo);
@@ -2206,169 +6377,854 @@ function createSEOOptimizedHandle(productInfo) {
     .substring(0, 255);         // Shopify limit
 }
 
-function getAdvancedConditionDescription(condition) {
-  const descriptions = {
-    'A': 'Excellent condition - Like new appearance with minimal wear. Perfect for professionals who want the best.',
-    'B': 'Very good condition - Light cosmetic wear but excellent functionality. Great balance of value and quality.',
-    'C': 'Good condition - Visible wear but fully functional. Ideal for budget-conscious buyers who want reliability.',
-    'D': 'Fair condition - Heavy wear but guaranteed functionality. Maximum savings for those who prioritize price.'
-  };
+function getAdvancedConditionDescription(condition) {
+  const descriptions = {
+    'A': 'Excellent condition - Like new appearance with minimal wear. Perfect for professionals who want the best.',
+    'B': 'Very good condition - Light cosmetic wear but excellent functionality. Great balance of value and quality.',
+    'C': 'Good condition - Visible wear but fully functional. Ideal for budget-conscious buyers who want reliability.',
+    'D': 'Fair condition - Heavy wear but guaranteed functionality. Maximum savings for those who prioritize price.'
+  };
+
+  return descriptions[condition] || descriptions['A'];
+}
+
+// =============================================================================
+// SHOPIFY METAFIELDS
+// =============================================================================
+
+// Typed spec metafields written on every sync so the theme can filter and compare on
+// them. Definitions are created on first use; blank values are simply not written.
+const PRODUCT_METAFIELDS = [
+  { key: 'processor', name: 'Processor', type: 'single_line_text_field', description: 'Chip, e.g. M3 Pro', value: group => group.processor },
+  { key: 'memory', name: 'Memory', type: 'single_line_text_field', description: 'Unified memory / RAM, e.g. 16GB', value: group => group.memory },
+  { key: 'storage', name: 'Storage', type: 'single_line_text_field', description: 'SSD capacity, e.g. 512GB', value: group => group.storage },
+  { key: 'display_size', name: 'Display size', type: 'single_line_text_field', description: 'Screen or case size, e.g. 14" or 45mm', value: group => group.displaySize },
+  { key: 'year', name: 'Year', type: 'number_integer', description: 'Model year', value: group => group.year },
+  { key: 'model_number', name: 'Model number', type: 'single_line_text_field', description: 'Apple part or A-number', value: group => group.modelNumber }
+];
+
+const VARIANT_METAFIELDS = [
+  { key: 'grade', name: 'Grade', type: 'single_line_text_field', description: 'Cosmetic grade, A to D', value: ({ unit }) => unit && unit.condition },
+  {
+    key: 'keyboard_layout',
+    name: 'Keyboard layout',
+    type: 'single_line_text_field',
+    description: 'English or French Canadian',
+    // Only for products where the keyboard is a variant option; an iPhone has no layout
+    value: ({ productGroup, unit }) => unit && getVariantOptionKeys(productGroup.productType).includes('keyboardLayout') ? unit.keyboardLayout : null
+  },
+  {
+    key: 'battery_health',
+    name: 'Battery health',
+    type: 'number_integer',
+    description: 'Lowest battery health of the units in stock, in percent',
+    validations: [{ name: 'min', value: '0' }, { name: 'max', value: '100' }],
+    value: ({ variant }) => variant.batteryHealth
+  }
+];
+
+const METAFIELDS_SET_LIMIT = 25; // metafieldsSet accepts at most 25 metafields per call
+const metafieldDefinitionChecks = new Map(); // baseUrl -> keys that can be written, per owner type
+
+function ensureMetafieldDefinitions(baseUrl, headers) {
+  if (!metafieldDefinitionChecks.has(baseUrl)) {
+    const check = createMissingMetafieldDefinitions(baseUrl, headers);
+    metafieldDefinitionChecks.set(baseUrl, check);
+    check.catch(() => metafieldDefinitionChecks.delete(baseUrl));
+  }
+  return metafieldDefinitionChecks.get(baseUrl);
+}
+
+// A definition someone already made by hand with another type is left alone, and
+// that key is skipped: Shopify rejects values that don't match the definition's type.
+async function createMissingMetafieldDefinitions(baseUrl, headers) {
+  const usable = {};
+
+  for (const [ownerType, fields] of [['PRODUCT', PRODUCT_METAFIELDS], ['PRODUCTVARIANT', VARIANT_METAFIELDS]]) {
+    const { metafieldDefinitions } = await shopifyGraphQL(baseUrl, headers, shopifyQueries.MetafieldDefinitions, {
+      ownerType,
+      namespace: SHOPIFY_METAFIELD_NAMESPACE
+    });
+    const existing = new Map(metafieldDefinitions.nodes.map(definition => [definition.key, definition.type.name]));
+    usable[ownerType] = new Set();
+
+    for (const field of fields) {
+      if (!existing.has(field.key)) {
+        await shopifyMutation(baseUrl, headers, shopifyQueries.MetafieldDefinitionCreate, {
+          definition: {
+            name: field.name,
+            namespace: SHOPIFY_METAFIELD_NAMESPACE,
+            key: field.key,
+            type: field.type,
+            ownerType,
+            description: field.description,
+            validations: field.validations || [],
+            pin: true,
+            access: { storefront: 'PUBLIC_READ' }
+          }
+        });
+        console.log(`🏷️ Created ${ownerType.toLowerCase()} metafield definition ${SHOPIFY_METAFIELD_NAMESPACE}.${field.key} (${field.type})`);
+      } else if (existing.get(field.key) !== field.type) {
+        console.log(`⚠️ Metafield ${SHOPIFY_METAFIELD_NAMESPACE}.${field.key} is defined as ${existing.get(field.key)}, not ${field.type} - not writing it`);
+        continue;
+      }
+      usable[ownerType].add(field.key);
+    }
+  }
+
+  return usable;
+}
+
+// Values the import couldn't determine ("", "Unknown") are left out rather than written
+function buildMetafieldInputs(ownerId, fields, usableKeys, getValue) {
+  const inputs = [];
+
+  for (const field of fields) {
+    if (!usableKeys.has(field.key)) continue;
+
+    const raw = getValue(field);
+    if (raw === null || raw === undefined) continue;
+
+    const value = field.type === 'number_integer' ? parseInt(raw) : raw.toString().trim();
+    if (value === '' || value === 'Unknown' || Number.isNaN(value)) continue;
+
+    inputs.push({ ownerId, namespace: SHOPIFY_METAFIELD_NAMESPACE, key: field.key, type: field.type, value: String(value) });
+  }
+
+  return inputs;
+}
+
+// Writes the product's spec metafields and each variant's unit metafields.
+// variantPairs is [{ variant, shopifyVariant }]: our variant and the Shopify variant it became.
+async function syncProductMetafields(baseUrl, headers, productId, productGroup, variantPairs) {
+  const usable = await ensureMetafieldDefinitions(baseUrl, headers);
+
+  const metafields = [
+    ...buildMetafieldInputs(toGid('Product', productId), PRODUCT_METAFIELDS, usable.PRODUCT, field => field.value(productGroup)),
+    ...variantPairs.flatMap(({ variant, shopifyVariant }) => {
+      const stockIds = new Set(getVariantStockIds(productGroup, variant));
+      const unit = (productGroup.stockItems || []).find(item => stockIds.has(String(item.stockId)));
+
+      return buildMetafieldInputs(
+        toGid('ProductVariant', shopifyVariant.id), VARIANT_METAFIELDS, usable.PRODUCTVARIANT,
+        field => field.value({ productGroup, variant, unit })
+      );
+    })
+  ];
+
+  for (let i = 0; i < metafields.length; i += METAFIELDS_SET_LIMIT) {
+    await shopifyMutation(baseUrl, headers, shopifyQueries.MetafieldsSet, {
+      metafields: metafields.slice(i, i + METAFIELDS_SET_LIMIT)
+    });
+  }
+
+  console.log(`🏷️ Wrote ${metafields.length} spec metafields for product ${productId}`);
+  return metafields.length;
+}
+
+// =============================================================================
+// ADVANCED SHOPIFY SYNC FUNCTIONS
+// =============================================================================
+
+// Match by the Shopify product ID recorded at the last sync, then by handle, then by
+// exact title. Titles change whenever the SEO title rules do, so they are the last resort.
+function findExistingProductAdvanced(existingProducts, productGroup, storedProductId = null) {
+  if (storedProductId) {
+    const byId = existingProducts.find(product => String(product.id) === String(storedProductId));
+    if (byId) {
+      console.log(`🎯 Stored product ID match found: ${byId.id}`);
+      return Object.assign(byId, { matchedBy: 'id' });
+    }
+    console.log(`⚠️ Stored product ID ${storedProductId} no longer exists in Shopify`);
+  }
+
+  const handle = productGroup.seoHandle || createSEOOptimizedHandle(productGroup);
+  const byHandle = existingProducts.find(product => product.handle === handle);
+  if (byHandle) {
+    console.log(`🎯 Handle match found: ${byHandle.handle}`);
+    return Object.assign(byHandle, { matchedBy: 'handle' });
+  }
+
+  const searchTitle = productGroup.seoTitle.toLowerCase();
+  const byTitle = existingProducts.find(product => product.title.toLowerCase() === searchTitle);
+  if (byTitle) {
+    console.log(`🎯 Exact title match found: ${byTitle.title}`);
+    return Object.assign(byTitle, { matchedBy: 'title' });
+  }
+
+  // No partial matching - if nothing matches exactly, treat as new product
+  return undefined;
+}
+
+// Only IDs recorded for this store count: a group moved to another store gets a new listing there
+async function getStoredShopifyProductId(groupKey, productGroup, storeId) {
+  const link = await getQuery(
+    'SELECT shopify_product_id FROM shopify_product_links WHERE group_key = ? AND (store_id = ? OR store_id IS NULL)',
+    [groupKey, storeId]
+  );
+  if (link) return link.shopify_product_id;
+
+  // Fall back to any unit of this group that was synced before the group link existed
+  const stockIds = (productGroup.stockItems || []).map(item => String(item.stockId));
+  if (stockIds.length === 0) return null;
+
+  const row = await getQuery(
+    `SELECT shopify_product_id FROM products
+     WHERE shopify_product_id IS NOT NULL AND (shopify_store_id = ? OR shopify_store_id IS NULL)
+       AND stock_id IN (${stockIds.map(() => '?').join(',')})
+     LIMIT 1`,
+    [storeId, ...stockIds]
+  );
+  return row ? row.shopify_product_id : null;
+}
+
+// Stock items of the group whose option values match a variant (ours or Shopify's)
+function getVariantStockIds(productGroup, variant) {
+  const optionKeys = getVariantOptionKeys(productGroup.productType);
+
+  return (productGroup.stockItems || [])
+    .filter(item => item.stockId && item.serialNumber)
+    .filter(item => optionKeys.every((key, index) =>
+      VARIANT_OPTIONS[key].label(item) === variant[`option${index + 1}`]
+    ))
+    .map(item => String(item.stockId));
+}
+
+// Replace spreadsheet quantities with the number of unsold units: the units in this
+// upload plus any units already linked to the matching Shopify variant.
+// The per-location split is kept on variant.unitsByLocation (non-enumerable, so it
+// never ends up in a request body) for syncVariantInventoryLevels, and the lowest
+// battery health among those units on variant.batteryHealth for the variant metafield.
+async function applyUnsoldInventory(productGroup, variants, existingVariants = []) {
+  const uploadItems = new Map((productGroup.stockItems || []).map(item => [String(item.stockId), item]));
+
+  for (const variant of variants) {
+    const stockIds = new Set(getVariantStockIds(productGroup, variant));
+    const unitsByLocation = {};
+    const batteryHealths = [];
+
+    const existingVariant = findMatchingVariant(existingVariants || [], variant);
+    if (existingVariant) {
+      const linkedRows = await getAllQuery(
+        'SELECT stock_id FROM products WHERE shopify_variant_id = ?',
+        [String(existingVariant.id)]
+      );
+      linkedRows.forEach(row => stockIds.add(row.stock_id));
+    }
+
+    const ids = [...stockIds];
+    const rows = ids.length > 0
+      ? await getAllQuery(
+        `SELECT stock_id, is_sold, location, battery_health FROM products WHERE stock_id IN (${ids.map(() => '?').join(',')})`,
+        ids
+      )
+      : [];
+    const rowsById = new Map(rows.map(row => [row.stock_id, row]));
+
+    for (const stockId of ids) {
+      const row = rowsById.get(stockId);
+      if (row && row.is_sold) continue;
+
+      // Units not saved yet fall back to the columns of this upload
+      const uploadItem = uploadItems.get(stockId) || {};
+      const location = (row && row.location) || uploadItem.location || '';
+      unitsByLocation[location] = (unitsByLocation[location] || 0) + 1;
+
+      const batteryHealth = row && row.battery_health !== null ? row.battery_health : uploadItem.batteryHealth;
+      if (batteryHealth !== null && batteryHealth !== undefined) batteryHealths.push(batteryHealth);
+    }
+
+    variant.inventory_quantity = Object.values(unitsByLocation).reduce((sum, count) => sum + count, 0);
+    Object.defineProperty(variant, 'unitsByLocation', { value: unitsByLocation, enumerable: false, writable: true });
+    Object.defineProperty(variant, 'batteryHealth', {
+      value: batteryHealths.length > 0 ? Math.min(...batteryHealths) : null,
+      enumerable: false,
+      writable: true
+    });
+  }
+
+  return variants;
+}
+
+// Remember which Shopify product/variant each group and stock item was synced to
+async function recordShopifyLinks(groupKey, productGroup, shopifyProduct, shopifyVariants, storeId) {
+  const productId = String(shopifyProduct.id);
+
+  await runQuery(`
+    INSERT INTO shopify_product_links (group_key, shopify_product_id, handle, store_id, date_synced)
+    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(group_key) DO UPDATE SET
+      shopify_product_id = excluded.shopify_product_id,
+      handle = excluded.handle,
+      store_id = excluded.store_id,
+      date_synced = CURRENT_TIMESTAMP
+  `, [groupKey, productId, shopifyProduct.handle || productGroup.seoHandle || null, storeId]);
+
+  for (const variant of shopifyVariants || []) {
+    const stockIds = getVariantStockIds(productGroup, variant);
+    if (stockIds.length === 0) continue;
+
+    await runQuery(
+      `UPDATE products SET shopify_product_id = ?, shopify_variant_id = ?, shopify_store_id = ?
+       WHERE stock_id IN (${stockIds.map(() => '?').join(',')})`,
+      [productId, String(variant.id), storeId, ...stockIds]
+    );
+  }
+}
+
+
+
+// `target` is the { store, locations } being synced to, plus the groupKey, jobId and
+// startedBy of the sync for price history
+async function createNewProductAdvanced(baseUrl, headers, productGroup, collections, target) {
+  const { store, locations } = target;
+  console.log(`🆕 Creating product with ${Object.keys(productGroup.variants).length} variants...`);
+
+  // Create variants with stock tracking, priced in the store's currency
+  const variants = await applyUnsoldInventory(
+    productGroup, applyStorePricing(await createAdvancedVariants(productGroup, target.groupKey), store, productGroup.productType)
+  );
+  
+  // Create option values from variants
+  const optionNames = getVariantOptionKeys(productGroup.productType).map(key => VARIANT_OPTIONS[key].name);
+  const productOptions = optionNames.map((name, index) => ({
+    name,
+    values: [...new Set(variants.map(v => v[`option${index + 1}`]))].map(value => ({ name: value }))
+  }));
+
+  // Create SEO-optimized handle
+  const seoHandle = createSEOOptimizedHandle({
+    productType: productGroup.productType,
+    displaySize: productGroup.displaySize,
+    processor: productGroup.processor,
+    year: productGroup.year,
+    storage: productGroup.storage,
+    memory: productGroup.memory
+  });
+
+  console.log(`🎯 SEO Handle: ${seoHandle}`);
+
+  const { product } = await shopifyMutation(baseUrl, headers, shopifyQueries.ProductCreate, {
+    product: {
+      title: productGroup.seoTitle,
+      descriptionHtml: await productDescriptionHtml(productGroup, variants, store),
+      vendor: 'Apple',
+      productType: productGroup.productType,
+      status: 'ACTIVE',
+      handle: seoHandle,
+      productOptions,
+      tags: productGroup.tags,
+      seo: {
+        title: productGroup.seoTitle,
+        description: productGroup.seoDescription
+      }
+    }
+  });
+  const productId = fromGid(product.id);
+  console.log(`✅ Product created with ID: ${productId}`);
+
+  // productCreate only makes one placeholder variant from the first option values
+  console.log(`📦 Sending ${variants.length} variants`);
+  const { productVariants } = await shopifyMutation(baseUrl, headers, shopifyQueries.ProductVariantsBulkCreate, {
+    productId: product.id,
+    variants: variants.map(v => toVariantInput(v, optionNames)),
+    strategy: 'REMOVE_STANDALONE_VARIANT'
+  });
+  const createdVariants = productVariants.map(normalizeShopifyVariant);
+
+  const variantPairs = [];
+  for (const variant of variants) {
+    const createdVariant = findMatchingVariant(createdVariants, variant);
+    if (!createdVariant) continue;
+
+    await syncVariantInventoryLevels(
+      baseUrl, headers, createdVariant.inventory_item_id, variant.unitsByLocation, locations, store.default_location
+    );
+    variantPairs.push({ variant, shopifyVariant: createdVariant });
+  }
+
+  try {
+    await recordSyncedPrices(productGroup, variantPairs, target);
+  } catch (error) {
+    console.log(`⚠️ Price history for product ${productId} failed: ${error.message}`);
+  }
+
+  // Specs are extra information: a failure here shouldn't undo a created listing
+  let metafieldsWritten = 0;
+  try {
+    metafieldsWritten = await syncProductMetafields(baseUrl, headers, productId, productGroup, variantPairs);
+  } catch (error) {
+    console.log(`⚠️ Spec metafields for product ${productId} failed: ${error.message}`);
+  }
+
+  // REST published new products to the Online Store by default; GraphQL does not
+  await setOnlineStorePublished(baseUrl, headers, product.id, true);
+
+  // Images are extra too: the product is listed either way
+  let imagesUploaded = 0;
+  try {
+    imagesUploaded = await syncProductImages(baseUrl, headers, productId, productGroup, variants, store);
+  } catch (error) {
+    console.log(`❌ Error uploading images: ${error.message}`);
+  }
+
+  // Add to collections
+  await addProductToCollectionsAdvanced(
+    baseUrl, headers, productId, productGroup.collections, collections
+  );
+
+  return {
+    product: { id: productId, title: product.title, handle: product.handle, variants: createdVariants },
+    variantsCreated: variants.length,
+    stockItemsProcessed: productGroup.totalUnits,
+    imagesUploaded: imagesUploaded,
+    metafieldsWritten
+  };
+}
+
+
+const MEDIA_READY_CHECKS = 3; // extra looks at freshly uploaded media before giving up on variant images
+const MEDIA_READY_WAIT_MS = 2000;
+
+// Upload the scraper's images the product doesn't have yet, then bring alt text, order
+// and variant images in line. An image counts as present when the hash of its source
+// was recorded at upload, or when a product image has the same filename (covers images
+// uploaded before hashes were recorded). Condition photos of the product's unsold units
+// follow the scraper's images (see syncUnitPhotos). Returns the number of images uploaded.
+async function syncProductImages(baseUrl, headers, productId, productGroup, variants, store) {
+  const bestMatch = productGroup.imageAvailability && productGroup.imageAvailability.hasImages
+    ? productGroup.imageAvailability.bestMatch
+    : null;
+
+  const productGid = toGid('Product', productId);
+  const handle = productGroup.seoHandle || createSEOOptimizedHandle(productGroup);
+  const colors = [...new Set((productGroup.stockItems || []).map(item => item.color).filter(Boolean))];
+
+  const wanted = [];
+  for (const image of (bestMatch && bestMatch.images) || []) {
+    const hash = hashImageSource(image.url);
+    if (wanted.length === MAX_PRODUCT_IMAGES || wanted.some(w => w.hash === hash)) continue;
+
+    wanted.push({
+      url: image.url,
+      hash,
+      filename: IMAGE_PIPELINE === 'local' ? processedImageFilename(handle, hash) : imageFilename(image.url),
+      alt: image.seoAltTag || image.imageDescription || `${productGroup.seoTitle} - image ${wanted.length + 1}`,
+      color: imageColor(image, bestMatch, colors)
+    });
+  }
+
+  const unitPhotos = await getUnitPhotos(productId, productGroup);
+  const stalePhotos = (await getAllQuery(
+    'SELECT * FROM unit_photos WHERE shopify_product_id = ? AND media_id IS NOT NULL',
+    [String(productId)]
+  )).filter(row => !unitPhotos.some(photo => photo.id === row.id));
+
+  if (wanted.length === 0 && unitPhotos.length === 0 && stalePhotos.length === 0) {
+    console.log('⚪ No images to upload');
+    return 0;
+  }
+
+  const linksBefore = withUnitPhotoLinks('', unitPhotos);
+  const product = await fetchProductMedia(baseUrl, headers, productGid);
+  const recorded = await getAllQuery(
+    'SELECT media_id, source_hash FROM shopify_product_images WHERE shopify_product_id = ?',
+    [String(productId)]
+  );
+  const recordedMedia = new Map(recorded.map(row => [row.source_hash, row.media_id]));
+
+  const missing = [];
+  for (const image of wanted) {
+    image.media = product.media.find(m => m.id === recordedMedia.get(image.hash)) ||
+      product.media.find(m => m.filename === image.filename);
+
+    if (!image.media) {
+      missing.push(image);
+    } else if (recordedMedia.get(image.hash) !== image.media.id) {
+      await recordProductImage(productId, image);
+    }
+  }
+
+  if (missing.length > 0) {
+    console.log(`📷 Uploading ${missing.length} of ${wanted.length} images to product ${productId}...`);
 
-  return descriptions[condition] || descriptions['A'];
+    const sources = IMAGE_PIPELINE === 'local'
+      ? await processAndStageImages(baseUrl, headers, missing, handle)
+      : missing.map(image => image.url);
+
+    // Shopify fetches each originalSource itself and processes the media asynchronously
+    const { media } = await shopifyMutation(baseUrl, headers, shopifyQueries.ProductCreateMedia, {
+      productId: productGid,
+      media: missing.map((image, index) => ({ originalSource: sources[index], alt: image.alt, mediaContentType: 'IMAGE' }))
+    });
+
+    for (const [index, image] of missing.entries()) {
+      image.media = { id: media[index].id, alt: media[index].alt, status: media[index].status };
+      await recordProductImage(productId, image);
+    }
+  } else if (wanted.length > 0) {
+    console.log(`📷 All ${wanted.length} images already on product ${productId}`);
+  }
+
+  const altUpdates = wanted
+    .filter(image => !missing.includes(image) && image.media.alt !== image.alt)
+    .map(image => ({ id: image.media.id, alt: image.alt }));
+  if (altUpdates.length > 0) {
+    await shopifyMutation(baseUrl, headers, shopifyQueries.ProductUpdateMedia, { productId: productGid, media: altUpdates });
+  }
+
+  // Our images go first, in the scraper's order; images added by hand keep their place after them
+  const currentOrder = [...product.media.map(m => m.id), ...missing.map(image => image.media.id)];
+  if (wanted.some((image, position) => currentOrder[position] !== image.media.id)) {
+    await shopifyMutation(baseUrl, headers, shopifyQueries.ProductReorderMedia, {
+      id: productGid,
+      moves: wanted.map((image, position) => ({ id: image.media.id, newPosition: String(position) }))
+    });
+  }
+
+  const unitPhotosUploaded = await syncUnitPhotos(baseUrl, headers, productId, product, unitPhotos, stalePhotos);
+  const { attached, media } = await attachVariantImages(baseUrl, headers, productGid, wanted, unitPhotos);
+
+  // Link the condition photos from the description once Shopify has URLs for them
+  for (const photo of unitPhotos) {
+    const synced = media.find(m => m.id === photo.media_id);
+    if (synced && synced.url && synced.url !== photo.shopify_url) {
+      photo.shopify_url = synced.url;
+      await runQuery('UPDATE unit_photos SET shopify_url = ? WHERE id = ?', [synced.url, photo.id]);
+    }
+  }
+  if (withUnitPhotoLinks('', unitPhotos) !== linksBefore) {
+    await shopifyMutation(baseUrl, headers, shopifyQueries.ProductUpdate, {
+      product: { id: productGid, descriptionHtml: withUnitPhotoLinks(listingDescription(productGroup, variants, store), unitPhotos) }
+    });
+    console.log(`🔗 Updated the unit photo links in the description of product ${productId}`);
+  }
+
+  console.log(`📸 Images for product ${productId}: ${missing.length} uploaded, ${unitPhotosUploaded} condition photos added, ${altUpdates.length} alt texts updated, ${attached} variant images attached`);
+  return missing.length + unitPhotosUploaded;
 }
 
-// =============================================================================
-// ADVANCED SHOPIFY SYNC FUNCTIONS
-// =============================================================================
+// Condition photos of the unsold units listed on this product: the units in this upload
+// plus units already linked to it. Each carries its unit's variant option values (or
+// its linked variant) so attachVariantImages can find the variant it belongs on.
+async function getUnitPhotos(productId, productGroup) {
+  const optionKeys = getVariantOptionKeys(productGroup.productType);
+  const uploadItems = new Map((productGroup.stockItems || []).map(item => [String(item.stockId), item]));
+  const stockIds = [...uploadItems.keys()];
+
+  const rows = await getAllQuery(`
+    SELECT up.*, p.condition, p.color, p.shopify_variant_id
+    FROM unit_photos up
+    JOIN products p ON p.stock_id = up.stock_id
+    WHERE p.is_sold = 0
+      AND (up.stock_id IN (${stockIds.map(() => '?').join(',') || 'NULL'}) OR p.shopify_product_id = ?)
+    ORDER BY up.stock_id, up.id
+  `, [...stockIds, productId ? String(productId) : null]);
+
+  return rows.map(row => {
+    const item = uploadItems.get(row.stock_id);
+    return {
+      ...row,
+      optionValues: item ? optionKeys.map(key => VARIANT_OPTIONS[key].label(item)) : null,
+      variantGid: row.shopify_variant_id ? toGid('ProductVariant', row.shopify_variant_id) : null
+    };
+  });
+}
 
-function findExistingProductAdvanced(existingProducts, productGroup) {
-  const searchTitle = productGroup.seoTitle.toLowerCase();
+// Adds the condition photos the product doesn't have yet and takes off the photos of
+// units that have sold or moved to another listing. Returns the number uploaded.
+async function syncUnitPhotos(baseUrl, headers, productId, product, unitPhotos, stalePhotos) {
+  const productGid = toGid('Product', productId);
+  const onProduct = new Set(product.media.map(m => m.id));
+
+  if (stalePhotos.length > 0) {
+    const mediaIds = stalePhotos.map(photo => photo.media_id).filter(id => onProduct.has(id));
+    if (mediaIds.length > 0) {
+      await shopifyMutation(baseUrl, headers, shopifyQueries.ProductDeleteMedia, { productId: productGid, mediaIds });
+    }
+    await runQuery(
+      `UPDATE unit_photos SET shopify_product_id = NULL, media_id = NULL, shopify_url = NULL
+       WHERE id IN (${stalePhotos.map(() => '?').join(',')})`,
+      stalePhotos.map(photo => photo.id)
+    );
+    console.log(`🗑️ Removed ${mediaIds.length} photo(s) of sold units from product ${productId}`);
+  }
 
-  return existingProducts.find(product => {
-    const productTitle = product.title.toLowerCase();
+  const uploads = [];
+  for (const photo of unitPhotos) {
+    if (photo.shopify_product_id === String(productId) && onProduct.has(photo.media_id)) continue;
 
-    // ONLY do exact title matching - this is the safest and simplest approach
-    if (productTitle === searchTitle) {
-      console.log(`🎯 Exact title match found: ${product.title}`);
-      return true;
+    const filePath = unitPhotoPath(photo);
+    if (!fs.existsSync(filePath)) {
+      console.log(`⚠️ Condition photo ${photo.id} of ${photo.stock_id} is missing on disk (${filePath})`);
+      continue;
     }
 
-    // No partial matching - if titles don't match exactly, treat as new product
-    return false;
+    const format = Object.values(OUTPUT_FORMATS).find(f => photo.filename.endsWith(`.${f.extension}`)) || OUTPUT_FORMATS.jpeg;
+    uploads.push({ photo, file: { filename: photo.filename, path: filePath, mimeType: format.mimeType } });
+  }
+  if (uploads.length === 0) return 0;
+
+  const resourceUrls = await stageImageFiles(baseUrl, headers, uploads.map(upload => upload.file));
+  const { media } = await shopifyMutation(baseUrl, headers, shopifyQueries.ProductCreateMedia, {
+    productId: productGid,
+    media: uploads.map(({ photo, file }) => ({
+      originalSource: resourceUrls.get(file),
+      alt: `Actual photo of unit ${photo.stock_id} - Grade ${photo.condition}, ${photo.color}`,
+      mediaContentType: 'IMAGE'
+    }))
   });
+
+  for (const [index, { photo }] of uploads.entries()) {
+    photo.shopify_product_id = String(productId);
+    photo.media_id = media[index].id;
+    photo.shopify_url = null;
+    await runQuery(
+      'UPDATE unit_photos SET shopify_product_id = ?, media_id = ?, shopify_url = NULL WHERE id = ?',
+      [photo.shopify_product_id, photo.media_id, photo.id]
+    );
+  }
+
+  console.log(`📷 Added ${uploads.length} condition photo(s) to product ${productId}`);
+  return uploads.length;
 }
 
+// Gives each variant its picture: the first condition photo of one of its units when it
+// has any, otherwise the first image of its colour if it has no picture yet. Shopify
+// only attaches media once it has finished processing, so fresh uploads are waited on
+// briefly; anything still processing is attached by the next sync. Returns the number
+// attached and the product's media as last seen.
+async function attachVariantImages(baseUrl, headers, productGid, images, unitPhotos) {
+  let attached = 0;
+
+  for (let check = 0; ; check++) {
+    const product = await fetchProductMedia(baseUrl, headers, productGid);
+    const status = new Map(product.media.map(m => [m.id, m.status]));
+    const detach = [];
+    const append = [];
+    let processing = 0;
+
+    for (const variant of product.variants) {
+      const unitPhoto = unitPhotos.find(photo => photo.media_id && (photo.variantGid === variant.id ||
+        (photo.optionValues && photo.optionValues.every((value, index) => variant.options[index] === value))));
+      const colorImage = !variant.mediaId && images.find(i => i.color && i.color === variant.color);
+      const mediaId = unitPhoto ? unitPhoto.media_id : (colorImage ? colorImage.media.id : null);
+      if (!mediaId || mediaId === variant.mediaId) continue;
+
+      if (status.get(mediaId) !== 'READY') {
+        processing++;
+        continue;
+      }
 
+      // A variant shows one image, so a colour image makes way for the unit's own photo
+      if (variant.mediaId) detach.push({ variantId: variant.id, mediaIds: [variant.mediaId] });
+      append.push({ variantId: variant.id, mediaIds: [mediaId] });
+    }
 
-async function createNewProductAdvanced(baseUrl, headers, productGroup, collections) {
-  console.log(`🆕 Creating product with ${Object.keys(productGroup.variants).length} variants...`);
+    if (detach.length > 0) {
+      await shopifyMutation(baseUrl, headers, shopifyQueries.ProductVariantDetachMedia, { productId: productGid, variantMedia: detach });
+    }
+    if (append.length > 0) {
+      await shopifyMutation(baseUrl, headers, shopifyQueries.ProductVariantAppendMedia, { productId: productGid, variantMedia: append });
+      attached += append.length;
+    }
 
-  // Create variants with stock tracking
-  const variants = await createAdvancedVariants(productGroup);
-  
-  // Create option values from variants
-  const colorOptions = [...new Set(variants.map(v => v.option1))];
-  const conditionOptions = [...new Set(variants.map(v => v.option2))];
-  const keyboardOptions = [...new Set(variants.map(v => v.option3))];
+    if (processing === 0) return { attached, media: product.media };
+    if (check === MEDIA_READY_CHECKS) {
+      console.log(`⏳ ${processing} variant image(s) still processing in Shopify - they will be attached on the next sync`);
+      return { attached, media: product.media };
+    }
+    await new Promise(resolve => setTimeout(resolve, MEDIA_READY_WAIT_MS));
+  }
+}
 
-  // Create SEO-optimized handle
-  const seoHandle = createSEOOptimizedHandle({
+// Appends an "Actual Unit Photos" section linking each unit's first synced photo
+function withUnitPhotoLinks(description, unitPhotos) {
+  const units = new Map();
+  for (const photo of unitPhotos) {
+    if (!photo.shopify_url) continue;
+    if (!units.has(photo.stock_id)) units.set(photo.stock_id, { photo, count: 0 });
+    units.get(photo.stock_id).count++;
+  }
+  if (units.size === 0) return description || '';
+
+  return `${description || ''}
+  <h2>📷 Actual Unit Photos</h2>
+  <p>These units were photographed individually so you can see their exact condition before you buy:</p>
+  <ul>
+    ${[...units.values()].map(({ photo, count }) => `<li><a href="${escapeHtml(photo.shopify_url)}" target="_blank">Actual unit photos</a> - Grade ${escapeHtml(photo.condition)}, ${escapeHtml(photo.color)} (stock #${escapeHtml(photo.stock_id)}, ${count} photo${count === 1 ? '' : 's'})</li>`).join('\n    ')}
+  </ul>`;
+}
+
+// Unit fields come straight from supplier spreadsheets
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Description as sent on create/update: generated again for the store with the prices the
+// variants are listed at there (after markdowns, cost floors and overrides), plus links
+// to the condition photos already on Shopify
+async function productDescriptionHtml(productGroup, variants, store, productId = null) {
+  return withUnitPhotoLinks(listingDescription(productGroup, variants, store), await getUnitPhotos(productId, productGroup));
+}
+
+function listingDescription(productGroup, variants, store) {
+  const productInfo = {
     productType: productGroup.productType,
     displaySize: productGroup.displaySize,
     processor: productGroup.processor,
-    year: productGroup.year,
     storage: productGroup.storage,
-    memory: productGroup.memory
-  });
+    memory: productGroup.memory,
+    year: productGroup.year
+  };
+  return createAdvancedProductDescription(productInfo, productGroup.variants, listedGradePrices(productInfo, variants, store));
+}
 
-  console.log(`🎯 SEO Handle: ${seoHandle}`);
+// Lowest price per grade among the variants with units in stock (all of them when none
+// has any), and the retail price they are compared with in the store's currency.
+// `variants` are already priced for the store (applyStorePricing).
+function listedGradePrices(productInfo, variants, store) {
+  const inStock = variants.filter(variant => parseInt(variant.inventory_quantity) > 0);
+  const grades = {};
+  for (const variant of inStock.length > 0 ? inStock : variants) {
+    const price = parseFloat(variant.price);
+    if (!(variant.condition in grades) || price < grades[variant.condition]) grades[variant.condition] = price;
+  }
+  return { grades, retailPrice: storePriceConverter(store, productInfo.productType).convert(quotePricing(productInfo).msrp) };
+}
 
-  const productData = {
-    product: {
-      title: productGroup.seoTitle,
-      body_html: productGroup.productDescription,
-      vendor: 'Apple',
-      product_type: productGroup.productType,
-      status: 'active',
-      handle: seoHandle,
-      options: [
-        { name: 'Color', values: colorOptions },
-        { name: 'Condition', values: conditionOptions },
-        { name: 'Keyboard', values: keyboardOptions }
-      ],
-      variants: variants,
-      tags: productGroup.tags.join(', '),
-      seo_title: productGroup.seoTitle,
-      seo_description: productGroup.seoDescription
+// Downloads each image and runs it through the pipeline, then stages the results in
+// Shopify. Returns an originalSource per image: the staged file, or the scraper URL
+// when the image couldn't be processed (Shopify then fetches the original as before).
+async function processAndStageImages(baseUrl, headers, images, handle) {
+  const files = [];
+  for (const image of images) {
+    try {
+      const processed = await processImage(await downloadImage(image.url), {
+        directory: path.join(PROCESSED_IMAGE_DIR, handle),
+        basename: path.parse(image.filename).name,
+        watermarkPath: IMAGE_WATERMARK_PATH || null
+      });
+      files.push(uploadFile(processed, IMAGE_UPLOAD_FORMAT));
+    } catch (error) {
+      console.log(`⚠️ Could not process ${image.url}: ${error.message} - uploading the original`);
+      files.push(null);
     }
-  };
+  }
 
-  console.log(`📦 Sending product data: ${variants.length} variants`);
+  const resourceUrls = await stageImageFiles(baseUrl, headers, files.filter(Boolean));
+  return images.map((image, index) => files[index] ? resourceUrls.get(files[index]) : image.url);
+}
 
-  const response = await fetch(`${baseUrl}products.json`, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(productData)
-  });
+// Staged upload parameters that become request headers when the target is a PUT
+const STAGED_UPLOAD_HEADERS = { content_type: 'Content-Type', acl: 'x-goog-acl' };
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Failed to create product: ${response.status} - ${errorText}`);
-  }
+// The REST API took images as base64 attachments; GraphQL has no such field, so local
+// files are PUT to a staged upload target and the media is created from its resourceUrl
+async function stageImageFiles(baseUrl, headers, files) {
+  const resourceUrls = new Map();
+  if (files.length === 0) return resourceUrls;
 
-  const createdProduct = await response.json();
-  console.log(`✅ Product created with ID: ${createdProduct.product.id}`);
+  const { stagedTargets } = await shopifyMutation(baseUrl, headers, shopifyQueries.StagedUploadsCreate, {
+    input: files.map(file => ({ filename: file.filename, mimeType: file.mimeType, resource: 'IMAGE', httpMethod: 'PUT' }))
+  });
 
-  // NEW: Upload images if available
-  let imagesUploaded = 0;
-  if (productGroup.imageAvailability && productGroup.imageAvailability.hasImages) {
-    console.log(`📸 Uploading images for product ${createdProduct.product.id}...`);
-    imagesUploaded = await uploadProductImages(baseUrl, headers, createdProduct.product.id, productGroup.imageAvailability.bestMatch);
-  }
+  for (const [index, file] of files.entries()) {
+    const target = stagedTargets[index];
+    const uploadHeaders = {};
+    for (const { name, value } of target.parameters) {
+      uploadHeaders[STAGED_UPLOAD_HEADERS[name] || name] = value;
+    }
 
-  // Add to collections
-  await addProductToCollectionsAdvanced(
-    baseUrl, headers, createdProduct.product.id, productGroup.collections, collections
-  );
+    const response = await fetch(target.url, {
+      method: 'PUT',
+      headers: uploadHeaders,
+      body: await fs.promises.readFile(file.path)
+    });
+    if (!response.ok) {
+      throw new Error(`Staged upload of ${file.filename} failed: ${response.status}`);
+    }
+    resourceUrls.set(file, target.resourceUrl);
+  }
 
-  return {
-    product: createdProduct.product,
-    variantsCreated: variants.length,
-    stockItemsProcessed: productGroup.totalUnits,
-    imagesUploaded: imagesUploaded
-  };
+  return resourceUrls;
 }
 
+// "<handle>-<first 8 of the source hash>.jpg": the same source always gets the same name,
+// so Shopify's copy can still be matched by filename if the recorded hash is lost
+function processedImageFilename(handle, hash) {
+  return `${handle}-${hash.slice(0, 8)}.${OUTPUT_FORMATS[IMAGE_UPLOAD_FORMAT].extension}`;
+}
 
-// NEW: Upload images to Shopify product
-async function uploadProductImages(baseUrl, headers, productId, bestMatch) {
-  if (!bestMatch || !bestMatch.images || bestMatch.images.length === 0) {
-    console.log('⚪ No images to upload');
-    return 0;
+async function fetchProductMedia(baseUrl, headers, productGid) {
+  const { product } = await shopifyGraphQL(baseUrl, headers, shopifyQueries.ProductMedia, { id: productGid });
+  if (!product) {
+    throw new Error(`Product ${productGid} not found in Shopify`);
   }
 
-  console.log(`📷 Uploading ${bestMatch.images.length} images to product ${productId}...`);
-  let uploadedCount = 0;
+  return {
+    media: product.media.nodes.map(m => ({
+      id: m.id,
+      alt: m.alt,
+      status: m.status,
+      url: m.image ? m.image.url : null,
+      filename: m.image ? imageFilename(m.image.url) : null
+    })),
+    variants: product.variants.nodes.map(v => ({
+      id: v.id,
+      options: v.selectedOptions.map(o => o.value),
+      color: (v.selectedOptions.find(o => o.name === 'Color') || {}).value || null,
+      mediaId: v.media.nodes.length > 0 ? v.media.nodes[0].id : null
+    }))
+  };
+}
 
-  for (let i = 0; i < Math.min(bestMatch.images.length, 8); i++) {
-    const image = bestMatch.images[i];
-    
-    try {
-      console.log(`📤 Uploading image ${i + 1}: ${image.filename}`);
-      
-      const imageData = {
-        image: {
-          product_id: productId,
-          src: image.url,
-          alt: image.seoAltTag || image.imageDescription || `Product image ${i + 1}`,
-          filename: image.filename
-        }
-      };
+async function recordProductImage(productId, image) {
+  await runQuery(`
+    INSERT INTO shopify_product_images (shopify_product_id, media_id, source_hash, source_url, filename)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(shopify_product_id, source_hash) DO UPDATE SET
+      media_id = excluded.media_id,
+      source_url = excluded.source_url,
+      filename = excluded.filename,
+      date_uploaded = CURRENT_TIMESTAMP
+  `, [String(productId), image.media.id, image.hash, image.url, image.filename]);
+}
 
-      const imageResponse = await fetch(`${baseUrl}products/${productId}/images.json`, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(imageData)
-      });
+function hashImageSource(url) {
+  return crypto.createHash('sha256').update(url.trim()).digest('hex');
+}
 
-      if (imageResponse.ok) {
-        const uploadedImage = await imageResponse.json();
-        console.log(`✅ Image ${i + 1} uploaded: ${image.filename}`);
-        uploadedCount++;
-      } else {
-        const errorText = await imageResponse.text();
-        console.log(`❌ Image ${i + 1} upload failed: ${imageResponse.status} - ${errorText}`);
-      }
+// "https://cdn.../files/MacBook-Pro_1a2b3c4d-....jpg?v=1" -> "macbook-pro.jpg". Shopify adds a
+// UUID to a filename it already has, so that suffix is dropped before comparing.
+function imageFilename(url) {
+  let name;
+  try {
+    name = decodeURIComponent(new URL(url).pathname.split('/').pop());
+  } catch (error) {
+    name = url.split('?')[0].split('/').pop();
+  }
 
-      await new Promise(resolve => setTimeout(resolve, 600));
+  return name
+    .toLowerCase()
+    .replace(/_[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}(?=\.[a-z0-9]+$)/, '');
+}
 
-    } catch (error) {
-      console.log(`❌ Error uploading image ${i + 1}: ${error.message}`);
-    }
-  }
+// The scraper tags images (or whole matches) with a colour when it knows it; otherwise
+// look for one of the group's colours in the filename or alt text
+function imageColor(image, bestMatch, colors) {
+  const tagged = image.color || bestMatch.color;
+  const text = `${imageFilename(image.url)} ${image.seoAltTag || ''} ${image.imageDescription || ''}`.toLowerCase();
 
-  console.log(`📸 Images uploaded: ${uploadedCount}/${Math.min(bestMatch.images.length, 8)}`);
-  return uploadedCount;
+  return colors.find(color => tagged
+    ? color.toLowerCase() === tagged.toString().toLowerCase()
+    : text.includes(color.toLowerCase()) || text.includes(color.toLowerCase().replace(/\s+/g, '-'))
+  ) || null;
 }
 
 
@@ -2378,7 +7234,8 @@ async function uploadProductImages(baseUrl, headers, productId, bestMatch) {
 
 
 
-async function updateExistingProductAdvanced(baseUrl, headers, existingProduct, productGroup, collections) {
+async function updateExistingProductAdvanced(baseUrl, headers, existingProduct, productGroup, collections, target) {
+  const { store, locations } = target;
   const startTime = Date.now();
   console.log(`\n🔄 === STARTING DETAILED UPDATE PROCESS ===`);
   console.log(`📋 Product: ${productGroup.seoTitle}`);
@@ -2388,188 +7245,153 @@ async function updateExistingProductAdvanced(baseUrl, headers, existingProduct,
   console.log(`🎨 New variants to create/update: ${Object.keys(productGroup.variants).length}`);
 
   try {
+    const productGid = toGid('Product', existingProduct.id);
+
+    // Variants are priced first: the description quotes their prices
+    const newVariants = await applyUnsoldInventory(
+      productGroup, applyStorePricing(await createAdvancedVariants(productGroup, target.groupKey), store, productGroup.productType), existingProduct.variants
+    );
+
     // Step 1: Update product details
     console.log(`\n📝 STEP 1: Updating product details...`);
-    const updateData = {
+    const apiStartTime = Date.now();
+    const { product: updatedProduct } = await shopifyMutation(baseUrl, headers, shopifyQueries.ProductUpdate, {
       product: {
-        id: existingProduct.id,
+        id: productGid,
         title: productGroup.seoTitle,
-        body_html: productGroup.productDescription,
-        tags: productGroup.tags.join(', '),
-        seo_title: productGroup.seoTitle,
-        seo_description: productGroup.seoDescription
+        descriptionHtml: await productDescriptionHtml(productGroup, newVariants, store, existingProduct.id),
+        tags: productGroup.tags,
+        seo: {
+          title: productGroup.seoTitle,
+          description: productGroup.seoDescription
+        }
       }
-    };
-
-    console.log(`🔗 API Call: PUT ${baseUrl}products/${existingProduct.id}.json`);
-    console.log(`📤 Request data: ${JSON.stringify(updateData, null, 2)}`);
-    
-    const apiStartTime = Date.now();
-    const productUpdateResponse = await fetch(`${baseUrl}products/${existingProduct.id}.json`, {
-      method: 'PUT',
-      headers,
-      body: JSON.stringify(updateData)
     });
-    const apiEndTime = Date.now();
-
-    console.log(`⏱️ API Response time: ${apiEndTime - apiStartTime}ms`);
-    console.log(`📥 Response status: ${productUpdateResponse.status} ${productUpdateResponse.statusText}`);
 
-    if (!productUpdateResponse.ok) {
-      const errorText = await productUpdateResponse.text();
-      console.log(`❌ Product update failed - Response: ${errorText}`);
-      throw new Error(`Product update failed: ${productUpdateResponse.status} - ${errorText}`);
-    }
-
-    const updatedProductData = await productUpdateResponse.json();
+    console.log(`⏱️ API Response time: ${Date.now() - apiStartTime}ms`);
     console.log(`✅ Product details updated successfully`);
-    console.log(`📋 Updated product title: "${updatedProductData.product.title}"`);
+    console.log(`📋 Updated product title: "${updatedProduct.title}"`);
 
     // Step 2: Process variants
     console.log(`\n🎨 STEP 2: Processing variants...`);
-    const newVariants = await createAdvancedVariants(productGroup);
     console.log(`📊 Generated ${newVariants.length} variants from ${productGroup.totalUnits} stock items`);
     
-    let variantsUpdated = 0;
-    let variantsCreated = 0;
-    let totalInventoryAdded = 0;
-
-    console.log(`\n🔄 Processing each variant:`);
-
-    for (let i = 0; i < newVariants.length; i++) {
-      const newVariant = newVariants[i];
-      console.log(`\n--- Variant ${i + 1}/${newVariants.length}: ${newVariant.title} ---`);
-      console.log(`🎯 Looking for existing variant with:`);
-      console.log(`   Option1 (Color): "${newVariant.option1}"`);
-      console.log(`   Option2 (Condition): "${newVariant.option2}"`);
-      console.log(`   Option3 (Keyboard): "${newVariant.option3}"`);
-      console.log(`📦 New inventory quantity: ${newVariant.inventory_quantity}`);
-      console.log(`💰 Price: $${newVariant.price}`);
-      console.log(`🏷️ SKU: ${newVariant.sku}`);
-      
-      try {
-        // Find matching existing variant
-        const existingVariant = existingProduct.variants.find(v => 
-          v.option1 === newVariant.option1 && 
-          v.option2 === newVariant.option2 && 
-          v.option3 === newVariant.option3
-        );
+    const optionNames = getVariantOptionKeys(productGroup.productType).map(key => VARIANT_OPTIONS[key].name);
+    const variantsToUpdate = [];
+    const variantsToCreate = [];
+    let inventoryChange = 0;
 
-        if (existingVariant) {
-          console.log(`✅ Found existing variant ID: ${existingVariant.id}`);
-          console.log(`📊 Current inventory: ${existingVariant.inventory_quantity || 0}`);
-          
-          // Calculate new inventory (ADD to existing)
-          const currentInventory = existingVariant.inventory_quantity || 0;
-          const addingInventory = parseInt(newVariant.inventory_quantity);
-          const newInventory = currentInventory + addingInventory;
-          
-          console.log(`🔢 Inventory calculation: ${currentInventory} + ${addingInventory} = ${newInventory}`);
-          
-          const variantUpdateData = {
-            variant: {
-              id: existingVariant.id,
-              inventory_quantity: newInventory,
-              price: newVariant.price,
-              compare_at_price: newVariant.compare_at_price,
-              sku: newVariant.sku
-            }
-          };
+    for (const newVariant of newVariants) {
+      // Find matching existing variant
+      const existingVariant = findMatchingVariant(existingProduct.variants || [], newVariant);
 
-          console.log(`🔗 API Call: PUT ${baseUrl}variants/${existingVariant.id}.json`);
-          console.log(`📤 Update data: ${JSON.stringify(variantUpdateData, null, 2)}`);
+      // Set inventory to the unsold units on hand, so re-running a sync never double counts
+      const currentInventory = existingVariant ? existingVariant.inventory_quantity || 0 : 0;
+      const newInventory = parseInt(newVariant.inventory_quantity);
+      inventoryChange += newInventory - currentInventory;
 
-          const variantApiStart = Date.now();
-          const variantUpdateResponse = await fetch(`${baseUrl}variants/${existingVariant.id}.json`, {
-            method: 'PUT',
-            headers,
-            body: JSON.stringify(variantUpdateData)
-          });
-          const variantApiEnd = Date.now();
-
-          console.log(`⏱️ Variant API time: ${variantApiEnd - variantApiStart}ms`);
-          console.log(`📥 Variant response: ${variantUpdateResponse.status} ${variantUpdateResponse.statusText}`);
-
-          if (variantUpdateResponse.ok) {
-            const updatedVariantData = await variantUpdateResponse.json();
-            console.log(`✅ Variant updated successfully`);
-            console.log(`📊 Final inventory: ${updatedVariantData.variant.inventory_quantity}`);
-            console.log(`💰 Final price: $${updatedVariantData.variant.price}`);
-            variantsUpdated++;
-            totalInventoryAdded += addingInventory;
-          } else {
-            const errorText = await variantUpdateResponse.text();
-            console.log(`❌ Variant update failed: ${variantUpdateResponse.status}`);
-            console.log(`📝 Error response: ${errorText}`);
-            throw new Error(`Variant update failed: ${variantUpdateResponse.status} - ${errorText}`);
-          }
-        } else {
-          console.log(`🆕 No existing variant found - creating new variant`);
-          
-          const variantCreateData = {
-            variant: {
-              ...newVariant,
-              product_id: existingProduct.id
-            }
-          };
+      console.log(`--- ${newVariant.title}: ${existingVariant ? `existing variant ${existingVariant.id}` : 'new variant'} | Inventory: ${currentInventory} → ${newInventory} unsold units | Price: $${newVariant.price} | SKU: ${newVariant.sku}`);
+
+      if (existingVariant) {
+        variantsToUpdate.push({ newVariant, existingVariant });
+      } else {
+        variantsToCreate.push(newVariant);
+      }
+    }
 
-          console.log(`🔗 API Call: POST ${baseUrl}products/${existingProduct.id}/variants.json`);
-          console.log(`📤 Create data: ${JSON.stringify(variantCreateData, null, 2)}`);
+    const shopifyVariants = [];
+    const variantPairs = [];
+
+    if (variantsToUpdate.length > 0) {
+      console.log(`\n🔄 Updating ${variantsToUpdate.length} existing variants...`);
+      const { productVariants } = await shopifyMutation(baseUrl, headers, shopifyQueries.ProductVariantsBulkUpdate, {
+        productId: productGid,
+        variants: variantsToUpdate.map(({ newVariant, existingVariant }) => ({
+          id: toGid('ProductVariant', existingVariant.id),
+          price: newVariant.price,
+          compareAtPrice: newVariant.compare_at_price,
+          inventoryItem: { sku: newVariant.sku }
+        }))
+      });
+      console.log(`✅ ${productVariants.length} variants updated`);
 
-          const createApiStart = Date.now();
-          const variantCreateResponse = await fetch(`${baseUrl}products/${existingProduct.id}/variants.json`, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(variantCreateData)
-          });
-          const createApiEnd = Date.now();
-
-          console.log(`⏱️ Create API time: ${createApiEnd - createApiStart}ms`);
-          console.log(`📥 Create response: ${variantCreateResponse.status} ${variantCreateResponse.statusText}`);
-
-          if (variantCreateResponse.ok) {
-            const createdVariantData = await variantCreateResponse.json();
-            console.log(`✅ New variant created with ID: ${createdVariantData.variant.id}`);
-            console.log(`📊 Inventory set to: ${createdVariantData.variant.inventory_quantity}`);
-            console.log(`💰 Price set to: $${createdVariantData.variant.price}`);
-            variantsCreated++;
-            totalInventoryAdded += parseInt(newVariant.inventory_quantity);
-          } else {
-            const errorText = await variantCreateResponse.text();
-            console.log(`❌ Variant creation failed: ${variantCreateResponse.status}`);
-            console.log(`📝 Error response: ${errorText}`);
-            throw new Error(`Variant creation failed: ${variantCreateResponse.status} - ${errorText}`);
-          }
-        }
+      for (const { newVariant, existingVariant } of variantsToUpdate) {
+        const levelChanges = await syncVariantInventoryLevels(
+          baseUrl, headers, existingVariant.inventory_item_id, newVariant.unitsByLocation, locations, store.default_location
+        );
+        console.log(`📊 ${newVariant.title}: inventory levels changed at ${levelChanges.length} location(s)`);
+        shopifyVariants.push(existingVariant);
+        variantPairs.push({ variant: newVariant, shopifyVariant: existingVariant, previousPrice: existingVariant.price });
+      }
+    }
+
+    if (variantsToCreate.length > 0) {
+      console.log(`\n🆕 Creating ${variantsToCreate.length} new variants...`);
+      const { productVariants } = await shopifyMutation(baseUrl, headers, shopifyQueries.ProductVariantsBulkCreate, {
+        productId: productGid,
+        variants: variantsToCreate.map(v => toVariantInput(v, optionNames))
+      });
+      const createdVariants = productVariants.map(normalizeShopifyVariant);
+      console.log(`✅ ${createdVariants.length} variants created`);
 
-        // Rate limiting
-        console.log(`⏳ Rate limiting pause (300ms)...`);
-        await new Promise(resolve => setTimeout(resolve, 300));
+      for (const newVariant of variantsToCreate) {
+        const createdVariant = findMatchingVariant(createdVariants, newVariant);
+        if (!createdVariant) continue;
 
-      } catch (variantError) {
-        console.log(`❌ Error processing variant ${newVariant.title}:`);
-        console.log(`🔍 Variant error details: ${variantError.message}`);
-        throw variantError;
+        await syncVariantInventoryLevels(
+          baseUrl, headers, createdVariant.inventory_item_id, newVariant.unitsByLocation, locations, store.default_location
+        );
+        console.log(`📊 ${newVariant.title}: inventory set to ${newVariant.inventory_quantity}`);
+        shopifyVariants.push(createdVariant);
+        variantPairs.push({ variant: newVariant, shopifyVariant: createdVariant });
       }
     }
 
+    await supersedeInventoryQueue(variantPairs.map(pair => pair.shopifyVariant.id), target.jobId);
+
+    try {
+      await recordSyncedPrices(productGroup, variantPairs, target);
+    } catch (error) {
+      console.log(`⚠️ Price history for product ${existingProduct.id} failed: ${error.message}`);
+    }
+
+    console.log(`\n📸 STEP 3: Syncing images...`);
+    let imagesUploaded = 0;
+    try {
+      imagesUploaded = await syncProductImages(baseUrl, headers, existingProduct.id, productGroup, newVariants, store);
+    } catch (error) {
+      console.log(`⚠️ Image sync for product ${existingProduct.id} failed: ${error.message}`);
+    }
+
+    console.log(`\n🏷️ STEP 4: Writing spec metafields...`);
+    let metafieldsWritten = 0;
+    try {
+      metafieldsWritten = await syncProductMetafields(baseUrl, headers, existingProduct.id, productGroup, variantPairs);
+    } catch (error) {
+      console.log(`⚠️ Spec metafields for product ${existingProduct.id} failed: ${error.message}`);
+    }
+
     const endTime = Date.now();
     const totalTime = endTime - startTime;
 
     console.log(`\n🎉 === UPDATE PROCESS COMPLETE ===`);
     console.log(`⏱️ Total time: ${totalTime}ms`);
     console.log(`📊 Results summary:`);
-    console.log(`   • Variants updated: ${variantsUpdated}`);
-    console.log(`   • Variants created: ${variantsCreated}`);
-    console.log(`   • Total inventory added: ${totalInventoryAdded} units`);
+    console.log(`   • Variants updated: ${variantsToUpdate.length}`);
+    console.log(`   • Variants created: ${variantsToCreate.length}`);
+    console.log(`   • Inventory change: ${inventoryChange} units`);
+    console.log(`   • Images uploaded: ${imagesUploaded}`);
+    console.log(`   • Metafields written: ${metafieldsWritten}`);
     console.log(`   • Stock items processed: ${productGroup.totalUnits}`);
     console.log(`✅ Update successful for: ${productGroup.seoTitle}`);
 
     return {
       product: existingProduct,  // ✅ USE existingProduct instead
-      variantsUpdated: variantsUpdated,  // ✅ Use variantsUpdated instead of variantsCreated
+      variantsUpdated: variantsToUpdate.length,  // ✅ Use variantsUpdated instead of variantsCreated
+      shopifyVariants: shopifyVariants,
       stockItemsProcessed: productGroup.totalUnits,
-      imagesUploaded: 0  // ✅ Set to 0 for updates (or add image upload logic later)
+      imagesUploaded,
+      metafieldsWritten
     };
 
   } catch (error) {
@@ -2590,9 +7412,10 @@ async function updateExistingProductAdvanced(baseUrl, headers, existingProduct,
 
 // Replace the createAdvancedVariants function (around line 1850-1950) with this:
 
-async function createAdvancedVariants(productGroup) {
+async function createAdvancedVariants(productGroup, groupKey) {
   const variants = [];
-  const variantMap = {}; // To aggregate variants with same color/condition/keyboard
+  const variantMap = {}; // To aggregate variants with the same option values
+  const optionKeys = getVariantOptionKeys(productGroup.productType);
 
   console.log(`🎨 Creating aggregated variants for ${productGroup.seoTitle} with ${productGroup.totalUnits} total units`);
   console.log(`📦 Processing stock items and aggregating by variant type`);
@@ -2600,7 +7423,7 @@ async function createAdvancedVariants(productGroup) {
   // Process each stock item and aggregate by variant type
   if (productGroup.stockItems && productGroup.stockItems.length > 0) {
     productGroup.stockItems.forEach((stockItem, index) => {
-      const { stockId, serialNumber, condition, color, keyboardLayout } = stockItem;
+      const { stockId, serialNumber, condition, color, keyboardLayout, connectivity } = stockItem;
       
       // Skip if missing critical data
       if (!stockId || !serialNumber) {
@@ -2609,7 +7432,7 @@ async function createAdvancedVariants(productGroup) {
       }
 
       // Create variant key WITHOUT stock number for aggregation
-      const variantKey = `${color}|${condition}|${keyboardLayout}`;
+      const variantKey = optionKeys.map(key => stockItem[key]).join('|');
       
       // Initialize variant if it doesn't exist
       if (!variantMap[variantKey]) {
@@ -2617,6 +7440,7 @@ async function createAdvancedVariants(productGroup) {
           color: color,
           condition: condition,
           keyboardLayout: keyboardLayout,
+          connectivity: connectivity,
           inventory_quantity: 0,
           stockItems: [], // Keep track of individual items for reference
           skus: [], // Collect all stock IDs for SKU
@@ -2632,16 +7456,32 @@ async function createAdvancedVariants(productGroup) {
     });
   }
 
+  const units = await getUnitPricingData(Object.values(variantMap).flatMap(v => v.skus));
+  const overrides = await getActivePriceOverrides();
+
   // Convert aggregated variants to Shopify format
   Object.entries(variantMap).forEach(([key, variantData]) => {
-    const { color, condition, keyboardLayout, inventory_quantity, skus, barcodes } = variantData;
+    const { condition, inventory_quantity, skus, barcodes } = variantData;
     
     // Create clean variant title without stock numbers
-    const variantTitle = `${color} - Grade ${condition} - ${keyboardLayout}`;
+    const optionValues = optionKeys.map(key => VARIANT_OPTIONS[key].label(variantData));
+    const variantTitle = optionValues.join(' - ');
     
-    // Calculate pricing based on condition
-    const price = calculateVariantPrice(productGroup, condition);
+    // Calculate pricing based on condition and the age and cost of the units, unless held by hand
+    const { price, markdown, priceFloor, override } = priceVariant(
+      productGroup, condition, skus, units, findPriceOverride(overrides, groupKey, variantTitle, skus)
+    );
     const compareAtPrice = calculateComparePrice(productGroup, condition);
+
+    if (override) {
+      console.log(`📌 ${variantTitle}: held at $${override.price} by ${override.scope} override #${override.id}${override.expiresOn ? ` until ${override.expiresOn}` : ''}`);
+    }
+    if (markdown) {
+      console.log(`🏷️ ${variantTitle}: ${markdown.stockId} in stock ${markdown.daysInStock} days, ${markdown.percent}% aging markdown`);
+    }
+    if (priceFloor) {
+      console.log(`🛡️ ${variantTitle}: $${priceFloor.rulePrice} is below the floor for ${priceFloor.stockId} (landed cost $${priceFloor.landedCost}), priced at $${price}`);
+    }
     
     // Create aggregated SKU (use first stock number or create a combined one)
     // You could also join all SKUs with a delimiter if needed
@@ -2652,9 +7492,7 @@ async function createAdvancedVariants(productGroup) {
     
     variants.push({
       title: variantTitle,
-      option1: color,
-      option2: `Grade ${condition}`,
-      option3: keyboardLayout, // Just "English" or "French Canadian", no stock number
+      ...buildVariantOptionFields(optionValues), // e.g. option3 is just "English" or "French Canadian", no stock number
       inventory_quantity: inventory_quantity, // Total quantity for this variant
       inventory_management: 'shopify',
       inventory_policy: 'deny',
@@ -2662,6 +7500,10 @@ async function createAdvancedVariants(productGroup) {
       barcode: barcode, // First barcode or you could leave empty
       price: price.toString(),
       compare_at_price: compareAtPrice > price ? compareAtPrice.toString() : null,
+      condition, // grade, for the prices quoted in the description; not sent to Shopify
+      markdown, // aging tier applied, if any; not sent to Shopify
+      price_floor: priceFloor, // set when the cost floor raised the price; not sent to Shopify
+      price_override: override, // manual override the price comes from; not sent to Shopify
       weight: estimateWeight(productGroup.productType),
       weight_unit: 'kg',
       requires_shipping: true,
@@ -2675,22 +7517,24 @@ async function createAdvancedVariants(productGroup) {
     // Sort by color, then condition, then keyboard
     if (a.option1 !== b.option1) return a.option1.localeCompare(b.option1);
     if (a.option2 !== b.option2) return a.option2.localeCompare(b.option2);
-    return a.option3.localeCompare(b.option3);
+    return (a.option3 || '').localeCompare(b.option3 || '');
   });
 
   // If no variants were created, create a default one
   if (variants.length === 0) {
     console.log(`⚠️ No variants created, falling back to default variant`);
+    const defaultOptionValues = optionKeys.map(key => VARIANT_OPTIONS[key].label({
+      color: 'Space Gray', condition: 'A', keyboardLayout: 'English', connectivity: 'GPS'
+    }));
     variants.push({
-      title: 'Default - Grade A - English',
-      option1: 'Space Gray',
-      option2: 'Grade A',
-      option3: 'English',
+      title: defaultOptionValues.join(' - '),
+      ...buildVariantOptionFields(defaultOptionValues),
       inventory_quantity: productGroup.totalUnits || 0,
       inventory_management: 'shopify',
       inventory_policy: 'deny',
       sku: createVariantSKU(productGroup, 'Space Gray', 'A', 'English', ''),
       price: productGroup.basePrice.toString(),
+      condition: 'A',
       weight: estimateWeight(productGroup.productType),
       weight_unit: 'kg',
       requires_shipping: true,
@@ -2708,6 +7552,58 @@ async function createAdvancedVariants(productGroup) {
   return variants;
 }
 
+// Our variant objects keep REST-style field names, which the sync plan and variant
+// matching rely on; this maps one onto ProductVariantsBulkInput. Quantities are set
+// per location afterwards, so inventory_quantity is never sent.
+function toVariantInput(variant, optionNames) {
+  return {
+    optionValues: optionNames.map((optionName, index) => ({ optionName, name: variant[`option${index + 1}`] })),
+    price: variant.price,
+    compareAtPrice: variant.compare_at_price || null,
+    barcode: variant.barcode || null,
+    inventoryPolicy: 'DENY',
+    taxable: variant.taxable !== false,
+    inventoryItem: {
+      sku: variant.sku,
+      tracked: true,
+      requiresShipping: variant.requires_shipping !== false,
+      measurement: { weight: { value: variant.weight, unit: 'KILOGRAMS' } }
+    }
+  };
+}
+
+// GraphQL variant node -> the REST-style shape used throughout the sync
+function normalizeShopifyVariant(node) {
+  return {
+    id: fromGid(node.id),
+    product_id: fromGid(node.product.id),
+    title: node.title,
+    sku: node.sku,
+    price: node.price,
+    compare_at_price: node.compareAtPrice,
+    inventory_quantity: node.inventoryQuantity,
+    inventory_item_id: node.inventoryItem.id,
+    ...buildVariantOptionFields(node.selectedOptions.map(option => option.value))
+  };
+}
+
+function findMatchingVariant(existingVariants, newVariant) {
+  return existingVariants.find(v => 
+    v.option1 === newVariant.option1 && 
+    v.option2 === newVariant.option2 && 
+    (v.option3 || null) === (newVariant.option3 || null)
+  );
+}
+
+// Map option values to Shopify's positional option1/option2/option3 fields
+function buildVariantOptionFields(optionValues) {
+  const fields = {};
+  optionValues.forEach((value, index) => {
+    fields[`option${index + 1}`] = value;
+  });
+  return fields;
+}
+
 function createVariantSKU(productGroup, color, condition, keyboardLayout, stockId) {
   const components = [
     productGroup.productType ? productGroup.productType.replace(/\s+/g, '').substring(0, 4).toUpperCase() : 'PROD',
@@ -2724,41 +7620,34 @@ function createVariantSKU(productGroup, color, condition, keyboardLayout, stockI
 }
 
 async function getAllExistingProductsAdvanced(baseUrl, headers) {
-  let allProducts = [];
-  let nextPageInfo = null;
-
-  do {
-    let url = `${baseUrl}products.json?limit=250&fields=id,title,handle,tags,variants,product_type`;
-    if (nextPageInfo) {
-      url += `&page_info=${nextPageInfo}`;
-    }
-
-    const response = await fetch(url, { headers });
-    if (!response.ok) {
-      throw new Error(`Failed to fetch products: ${response.status}`);
-    }
-
-    const data = await response.json();
-
-    if (data.products) {
-      allProducts = allProducts.concat(data.products);
-    }
-
-    // Check for next page
-    const linkHeader = response.headers.get('Link');
-    nextPageInfo = null;
-    if (linkHeader && linkHeader.includes('rel="next"')) {
-      const nextMatch = linkHeader.match(/<[^>]*[?&]page_info=([^&>]+)[^>]*>;\s*rel="next"/);
-      if (nextMatch) {
-        nextPageInfo = nextMatch[1];
-      }
-    }
-
-    console.log(`📊 Fetched ${allProducts.length} products so far...`);
+  // Variants are listed separately: nesting them under products would push a
+  // 250-product page far past the query cost limit
+  const products = await shopifyPaginate(baseUrl, headers, shopifyQueries.Products, 'products');
+  console.log(`📊 Fetched ${products.length} products, loading their variants...`);
+
+  const variants = await shopifyPaginate(baseUrl, headers, shopifyQueries.ProductVariants, 'productVariants');
+  const variantsByProduct = new Map();
+  variants.forEach(node => {
+    const variant = normalizeShopifyVariant(node);
+    if (!variantsByProduct.has(variant.product_id)) variantsByProduct.set(variant.product_id, []);
+    variantsByProduct.get(variant.product_id).push(variant);
+  });
 
-  } while (nextPageInfo);
+  const allProducts = products.map(node => {
+    const id = fromGid(node.id);
+    return {
+      id,
+      title: node.title,
+      handle: node.handle,
+      tags: node.tags.join(', '),
+      product_type: node.productType,
+      body_html: node.descriptionHtml,
+      status: node.status.toLowerCase(),
+      variants: variantsByProduct.get(id) || []
+    };
+  });
 
-  console.log(`✅ Total existing products fetched: ${allProducts.length}`);
+  console.log(`✅ Total existing products fetched: ${allProducts.length} (${variants.length} variants)`);
   return allProducts;
 }
 
@@ -2776,13 +7665,7 @@ async function setupCollectionsAdvanced(baseUrl, headers, productGroups) {
   console.log(`📂 Need to ensure ${neededCollections.size} collections exist`);
 
   // Get existing collections
-  const existingResponse = await fetch(`${baseUrl}custom_collections.json?limit=250`, { headers });
-  if (!existingResponse.ok) {
-    throw new Error(`Failed to fetch collections: ${existingResponse.status}`);
-  }
-
-  const existingData = await existingResponse.json();
-  const existingCollections = existingData.custom_collections || [];
+  const existingCollections = await fetchExistingCollections(baseUrl, headers);
 
   const existingCollectionNames = existingCollections.map(c => c.title.toLowerCase());
   const collectionsMap = {};
@@ -2796,32 +7679,18 @@ async function setupCollectionsAdvanced(baseUrl, headers, productGroups) {
   for (const collectionName of neededCollections) {
     if (!existingCollectionNames.includes(collectionName.toLowerCase())) {
       try {
-        const collectionData = {
-          custom_collection: {
+        const { collection } = await shopifyMutation(baseUrl, headers, shopifyQueries.CollectionCreate, {
+          input: {
             title: collectionName,
             handle: collectionName.toLowerCase().replace(/[^a-z0-9]/g, '-').replace(/-+/g, '-'),
-            published: true,
-            sort_order: 'best-selling',
-            body_html: `<p>Certified refurbished ${collectionName} devices with professional quality guarantee.</p>`
+            sortOrder: 'BEST_SELLING',
+            descriptionHtml: `<p>Certified refurbished ${collectionName} devices with professional quality guarantee.</p>`
           }
-        };
-
-        const response = await fetch(`${baseUrl}custom_collections.json`, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify(collectionData)
         });
+        await setOnlineStorePublished(baseUrl, headers, collection.id, true);
 
-        if (response.ok) {
-          const newCollection = await response.json();
-          collectionsMap[collectionName.toLowerCase()] = newCollection.custom_collection.id;
-          console.log(`✅ Created collection: ${collectionName}`);
-        } else {
-          console.log(`⚠️ Failed to create collection: ${collectionName}`);
-        }
-
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 300));
+        collectionsMap[collectionName.toLowerCase()] = fromGid(collection.id);
+        console.log(`✅ Created collection: ${collectionName}`);
       } catch (error) {
         console.error(`❌ Error creating collection ${collectionName}:`, error.message);
       }
@@ -2833,46 +7702,40 @@ async function setupCollectionsAdvanced(baseUrl, headers, productGroups) {
   return collectionsMap;
 }
 
+async function fetchExistingCollections(baseUrl, headers) {
+  const collections = await shopifyPaginate(baseUrl, headers, shopifyQueries.Collections, 'collections');
+  return collections.map(collection => ({
+    id: fromGid(collection.id),
+    title: collection.title,
+    handle: collection.handle
+  }));
+}
+
 async function addProductToCollectionsAdvanced(baseUrl, headers, productId, collectionNames, collectionsMap) {
   if (!collectionNames || collectionNames.length === 0) return;
 
   console.log(`🏷️ Adding product ${productId} to ${collectionNames.length} collections`);
 
+  const collectionIds = [];
   for (const collectionName of collectionNames) {
     const collectionId = collectionsMap[collectionName.toLowerCase()];
     if (collectionId) {
-      try {
-        const collectData = {
-          collect: {
-            product_id: productId,
-            collection_id: collectionId
-          }
-        };
-
-        const response = await fetch(`${baseUrl}collects.json`, {
-          method: 'POST',
-          headers,
-          body: JSON.stringify(collectData)
-        });
-
-        if (response.ok) {
-          console.log(`✅ Added to collection: ${collectionName}`);
-        } else if (response.status === 422) {
-          // Product already in collection, that's fine
-          console.log(`ℹ️ Product already in collection: ${collectionName}`);
-        } else {
-          console.log(`⚠️ Failed to add to collection ${collectionName}: ${response.status}`);
-        }
-
-        // Rate limiting
-        await new Promise(resolve => setTimeout(resolve, 200));
-      } catch (error) {
-        console.error(`❌ Error adding to collection ${collectionName}:`, error.message);
-      }
+      collectionIds.push(toGid('Collection', collectionId));
     } else {
       console.log(`⚠️ Collection not found: ${collectionName}`);
     }
   }
+  if (collectionIds.length === 0) return;
+
+  // Joining a collection the product is already in is a no-op, so re-syncs are safe
+  try {
+    await shopifyMutation(baseUrl, headers, shopifyQueries.ProductUpdate, {
+      product: { id: toGid('Product', productId), collectionsToJoin: collectionIds }
+    });
+    console.log(`✅ Added to ${collectionIds.length} collections`);
+  } catch (error) {
+    console.error(`❌ Error adding product ${productId} to collections:`, error.message);
+  }
 }
 
 function estimateWeight(productType) {
@@ -2888,13 +7751,25 @@ function estimateWeight(productType) {
     'iMac': 4.5,
     'Mac Studio': 2.7,
     'Mac Mini': 1.2,
+    'Apple Watch': 0.1,
     'AirPods': 0.1,
     'Magic Mouse': 0.1,
     'Magic Keyboard': 0.3,
     'Apple Accessory': 0.2
   };
 
-  return weights[productType] || 1.0;
+  return lookupByProductType(weights, productType) || 1.0;
+}
+
+// Exact product type first; watches fall back to the line without its generation
+// number ("Apple Watch Series 9" -> "Apple Watch Series"), then to "Apple Watch"
+function lookupByProductType(table, productType) {
+  if (table[productType] !== undefined) return table[productType];
+  if (!productType.startsWith('Apple Watch')) return undefined;
+  
+  const withoutGeneration = productType.replace(/\s+\d+$/, '');
+  if (table[withoutGeneration] !== undefined) return table[withoutGeneration];
+  return table['Apple Watch'];
 }
 
 function createSEOHandle(title) {
@@ -2909,6 +7784,46 @@ function createSEOHandle(title) {
     .substring(0, 255);           
 }
 
+// Load the pricing rules and Apple model catalogue once the schema is in place. Imports,
+// plans and syncs wait for the rules and fail while they couldn't be loaded.
+const pricingRulesLoaded = ready.then(loadPricingRules);
+pricingRulesLoaded.catch(error => {
+  console.error('❌ Failed to load pricing rules:', error.message);
+});
+ready.then(loadAppleModelCatalogue).catch(error => {
+  console.error('❌ Failed to load Apple model catalogue:', error.message);
+});
+
+ready.then(seedStoreFromEnvironment).catch(error => {
+  console.error('❌ Failed to save the store from the environment:', error.message);
+});
+
+ready.then(failInterruptedSyncJobs).catch(error => {
+  console.error('❌ Failed to clean up interrupted sync jobs:', error.message);
+});
+
+// Retry Shopify inventory updates that failed earlier (e.g. while the store was unreachable)
+ready.then(() => {
+  const retryQueue = () => processInventoryQueue().catch(error => {
+    console.error('❌ Shopify inventory queue error:', error.message);
+  });
+  retryQueue();
+  setInterval(retryQueue, INVENTORY_RETRY_INTERVAL_MS);
+});
+
+// Mark down aging stock on a schedule, starting once the pricing rules are loaded
+if (PRICE_MARKDOWN_INTERVAL_HOURS > 0) {
+  pricingRulesLoaded.then(() => {
+    const markDown = () => runAgingMarkdowns().catch(error => {
+      console.error('❌ Aging markdown error:', error.message);
+    });
+    markDown();
+    setInterval(markDown, PRICE_MARKDOWN_INTERVAL_HOURS * 60 * 60 * 1000);
+  }, () => {
+    console.log('⚠️ Aging markdowns not scheduled: the pricing rules failed to load');
+  });
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 MacBookDepot Enhanced Inventory Sync running at http://localhost:${PORT}`);
@@ -0,0 +1,241 @@
+const fetch = require('node-fetch');
+
+// Shopify GraphQL Admin API rate limiting is cost based: every store has a bucket of
+// points (1000 on standard plans) that refills at restoreRate points per second. Each
+// response reports the real level in extensions.cost.throttleStatus.
+const DEFAULT_BUCKET_SIZE = 1000;
+const DEFAULT_RESTORE_RATE = 50;
+const DEFAULT_QUERY_COST = 50; // until Shopify has told us what an operation costs
+const MAX_RETRIES = 5;
+const MAX_BACKOFF_MS = 30000;
+const CALL_HISTORY_SIZE = 200;
+
+// Gateway errors mean the request never reached Shopify, so even a mutation is safe to repeat
+const RETRYABLE_MUTATION_STATUSES = [429, 502, 503, 504];
+
+const buckets = new Map(); // store host -> bucket state
+const operationCosts = new Map(); // operation name -> last requested query cost
+const callHistory = [];
+const totals = { calls: 0, retries: 0, throttled: 0, failures: 0, totalMs: 0 };
+
+function getBucket(host) {
+  if (!buckets.has(host)) {
+    buckets.set(host, {
+      size: DEFAULT_BUCKET_SIZE,
+      available: DEFAULT_BUCKET_SIZE,
+      restoreRate: DEFAULT_RESTORE_RATE,
+      updatedAt: Date.now(),
+      pausedUntil: 0,
+      queue: Promise.resolve()
+    });
+  }
+  return buckets.get(host);
+}
+
+function restore(bucket) {
+  const now = Date.now();
+  bucket.available = Math.min(bucket.size, bucket.available + ((now - bucket.updatedAt) / 1000) * bucket.restoreRate);
+  bucket.updatedAt = now;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Waits until the bucket holds enough points for the operation. Callers for the same
+// store queue up behind each other so a burst can't overshoot the limit.
+function acquirePoints(bucket, cost) {
+  const turn = bucket.queue.then(async () => {
+    if (bucket.pausedUntil > Date.now()) await sleep(bucket.pausedUntil - Date.now());
+    restore(bucket);
+    if (bucket.available < cost) {
+      await sleep(((cost - bucket.available) / bucket.restoreRate) * 1000);
+      restore(bucket);
+    }
+
+    bucket.available -= cost;
+  });
+
+  bucket.queue = turn.catch(() => {});
+  return turn;
+}
+
+function updateBucketFromCost(bucket, cost) {
+  const status = cost && cost.throttleStatus;
+  if (!status) return;
+
+  bucket.size = status.maximumAvailable;
+  bucket.available = status.currentlyAvailable;
+  bucket.restoreRate = status.restoreRate;
+  bucket.updatedAt = Date.now();
+}
+
+function backoffDelay(attempt) {
+  return Math.min(MAX_BACKOFF_MS, 1000 * 2 ** attempt) + Math.floor(Math.random() * 250);
+}
+
+// A 429 (or 503) may say how long to wait, in seconds
+function retryAfterDelay(response) {
+  const seconds = parseFloat(response.headers.get('Retry-After'));
+  return isNaN(seconds) ? null : Math.ceil(seconds * 1000);
+}
+
+function isRetryable(isMutation, response, error) {
+  if (error) return !isMutation;
+  if (isMutation) return RETRYABLE_MUTATION_STATUSES.includes(response.status);
+  return response.status === 429 || response.status >= 500;
+}
+
+function recordCall(call) {
+  callHistory.push(call);
+  if (callHistory.length > CALL_HISTORY_SIZE) callHistory.shift();
+
+  totals.calls++;
+  totals.totalMs += call.durationMs;
+  if (call.attempt > 0) totals.retries++;
+  if (call.status === 'throttled' || call.status === 429) totals.throttled++;
+}
+
+function getOperationName(query) {
+  const match = query.match(/^\s*(query|mutation)\s+(\w+)/);
+  return match ? match[2] : 'anonymous';
+}
+
+// Runs a GraphQL document against `${baseUrl}graphql.json` and returns its data.
+// Throttled requests are never executed by Shopify, so they are retried whatever
+// the operation; network errors and 5xx are only retried for queries.
+async function shopifyGraphQL(baseUrl, headers, query, variables = {}) {
+  const url = `${baseUrl}graphql.json`;
+  const { host } = new URL(url);
+  const bucket = getBucket(host);
+  const operation = getOperationName(query);
+  const isMutation = /^\s*mutation\b/.test(query);
+
+  for (let attempt = 0; ; attempt++) {
+    await acquirePoints(bucket, Math.min(bucket.size, operationCosts.get(operation) || DEFAULT_QUERY_COST));
+
+    const startedAt = Date.now();
+    let response = null;
+    let body = null;
+    let error = null;
+    try {
+      response = await fetch(url, { method: 'POST', headers, body: JSON.stringify({ query, variables }) });
+      if (response.ok) body = await response.json();
+    } catch (fetchError) {
+      error = fetchError;
+    }
+    const durationMs = Date.now() - startedAt;
+
+    const cost = body && body.extensions && body.extensions.cost;
+    updateBucketFromCost(bucket, cost);
+    if (cost) operationCosts.set(operation, cost.requestedQueryCost);
+
+    const throttled = body && (body.errors || []).some(e => e.extensions && e.extensions.code === 'THROTTLED');
+
+    recordCall({
+      operation,
+      store: host,
+      status: error ? 'network error' : (throttled ? 'throttled' : response.status),
+      durationMs,
+      attempt,
+      cost: cost ? cost.actualQueryCost ?? cost.requestedQueryCost : null,
+      bucket: `${Math.round(bucket.available)}/${bucket.size}`,
+      date: new Date(startedAt).toISOString()
+    });
+
+    if (throttled && attempt < MAX_RETRIES) {
+      const needed = (cost ? cost.requestedQueryCost : DEFAULT_QUERY_COST) - bucket.available;
+      const delay = Math.max(1000, Math.ceil((needed / bucket.restoreRate) * 1000));
+      console.log(`⏳ Shopify ${operation} throttled, retrying in ${delay}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (body && !throttled) {
+      if (body.errors && body.errors.length > 0) {
+        totals.failures++;
+        throw new Error(`Shopify ${operation} failed: ${body.errors.map(e => e.message).join('; ')}`);
+      }
+      return body.data;
+    }
+
+    if (!throttled && isRetryable(isMutation, response, error) && attempt < MAX_RETRIES) {
+      const retryAfter = response && retryAfterDelay(response);
+      const delay = retryAfter || backoffDelay(attempt);
+      // Everyone queued for this store waits out a Retry-After, not just this call
+      if (retryAfter) bucket.pausedUntil = Date.now() + retryAfter;
+      console.log(`⏳ Shopify ${operation} ${error ? `failed (${error.message})` : `returned ${response.status}`}, retrying in ${delay}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(delay);
+      continue;
+    }
+
+    totals.failures++;
+    if (error) throw error;
+    if (throttled) throw new Error(`Shopify ${operation} still throttled after ${MAX_RETRIES} retries`);
+    const errorText = await response.text();
+    throw new Error(`Shopify ${operation} failed: ${response.status} - ${errorText}`);
+  }
+}
+
+// Runs a mutation and returns its payload (the single top-level field), throwing
+// when Shopify rejected the input
+async function shopifyMutation(baseUrl, headers, mutation, variables = {}) {
+  const data = await shopifyGraphQL(baseUrl, headers, mutation, variables);
+  const payload = Object.values(data)[0] || {};
+  const userErrors = [...(payload.userErrors || []), ...(payload.mediaUserErrors || [])];
+
+  if (userErrors.length > 0) {
+    const messages = userErrors.map(e => (e.field ? `${e.field.join('.')}: ` : '') + e.message);
+    throw new Error(`Shopify ${getOperationName(mutation)} rejected: ${messages.join('; ')}`);
+  }
+  return payload;
+}
+
+// Follows a connection's pageInfo until every node is loaded. `field` is the
+// top-level connection, e.g. "products".
+async function shopifyPaginate(baseUrl, headers, query, field, variables = {}) {
+  const nodes = [];
+  let cursor = null;
+
+  do {
+    const data = await shopifyGraphQL(baseUrl, headers, query, { ...variables, cursor });
+    const connection = data[field];
+    nodes.push(...connection.nodes);
+    cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (cursor);
+
+  return nodes;
+}
+
+// The rest of the app (database, webhooks) keeps numeric IDs; GraphQL wants global IDs
+function toGid(type, id) {
+  return String(id).startsWith('gid://') ? String(id) : `gid://shopify/${type}/${id}`;
+}
+
+function fromGid(gid) {
+  return Number(String(gid).split('/').pop().split('?')[0]);
+}
+
+function getCallStats() {
+  return {
+    totalCalls: totals.calls,
+    retries: totals.retries,
+    throttled: totals.throttled,
+    failures: totals.failures,
+    averageMs: totals.calls > 0 ? Math.round(totals.totalMs / totals.calls) : 0,
+    buckets: [...buckets.entries()].map(([store, bucket]) => {
+      restore(bucket);
+      return { store, available: Math.round(bucket.available), size: bucket.size, restoreRate: bucket.restoreRate };
+    }),
+    recentCalls: callHistory.slice(-50).reverse()
+  };
+}
+
+module.exports = {
+  shopifyGraphQL,
+  shopifyMutation,
+  shopifyPaginate,
+  toGid,
+  fromGid,
+  getCallStats
+};
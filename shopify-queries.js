@@ -0,0 +1,353 @@
+// GraphQL Admin API documents used by the Shopify sync. Every document is named:
+// the operation name is what shopifyGraphQL logs and what the recorded fixtures in
+// fixtures/shopify-graphql/ are keyed by, so renaming one means re-recording it.
+
+const VARIANT_FIELDS = `
+  fragment VariantFields on ProductVariant {
+    id
+    title
+    sku
+    price
+    compareAtPrice
+    inventoryQuantity
+    selectedOptions { name value }
+    inventoryItem { id }
+    product { id }
+  }
+`;
+
+const ShopInfo = `
+  query ShopInfo {
+    shop { name currencyCode }
+  }
+`;
+
+const Locations = `
+  query Locations {
+    locations(first: 50) {
+      nodes { id name isActive }
+    }
+  }
+`;
+
+const Publications = `
+  query Publications {
+    publications(first: 20) {
+      nodes { id name }
+    }
+  }
+`;
+
+const Products = `
+  query Products($cursor: String) {
+    products(first: 250, after: $cursor) {
+      nodes { id title handle tags productType descriptionHtml status }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const ProductVariants = `
+  query ProductVariants($cursor: String) {
+    productVariants(first: 250, after: $cursor) {
+      nodes { ...VariantFields }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+  ${VARIANT_FIELDS}
+`;
+
+const ProductInventory = `
+  query ProductInventory($id: ID!) {
+    product(id: $id) {
+      id
+      variants(first: 250) {
+        nodes { inventoryQuantity }
+      }
+    }
+  }
+`;
+
+const ProductCreate = `
+  mutation ProductCreate($product: ProductCreateInput!) {
+    productCreate(product: $product) {
+      product { id title handle }
+      userErrors { field message }
+    }
+  }
+`;
+
+const ProductUpdate = `
+  mutation ProductUpdate($product: ProductUpdateInput!) {
+    productUpdate(product: $product) {
+      product { id title handle status }
+      userErrors { field message }
+    }
+  }
+`;
+
+const ProductVariantsBulkCreate = `
+  mutation ProductVariantsBulkCreate(
+    $productId: ID!
+    $variants: [ProductVariantsBulkInput!]!
+    $strategy: ProductVariantsBulkCreateStrategy
+  ) {
+    productVariantsBulkCreate(productId: $productId, variants: $variants, strategy: $strategy) {
+      productVariants { ...VariantFields }
+      userErrors { field message }
+    }
+  }
+  ${VARIANT_FIELDS}
+`;
+
+const ProductVariantsBulkUpdate = `
+  mutation ProductVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+    productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+      productVariants { ...VariantFields }
+      userErrors { field message }
+    }
+  }
+  ${VARIANT_FIELDS}
+`;
+
+const ProductCreateMedia = `
+  mutation ProductCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
+    productCreateMedia(productId: $productId, media: $media) {
+      media { id alt mediaContentType status }
+      mediaUserErrors { field message }
+    }
+  }
+`;
+
+// Images already on a product, and which variants have one attached
+const ProductMedia = `
+  query ProductMedia($id: ID!) {
+    product(id: $id) {
+      id
+      media(first: 250) {
+        nodes {
+          id
+          alt
+          status
+          ... on MediaImage { image { url } }
+        }
+      }
+      variants(first: 250) {
+        nodes {
+          id
+          selectedOptions { name value }
+          media(first: 1) { nodes { id } }
+        }
+      }
+    }
+  }
+`;
+
+const ProductUpdateMedia = `
+  mutation ProductUpdateMedia($productId: ID!, $media: [UpdateMediaInput!]!) {
+    productUpdateMedia(productId: $productId, media: $media) {
+      media { id alt }
+      mediaUserErrors { field message }
+    }
+  }
+`;
+
+const ProductReorderMedia = `
+  mutation ProductReorderMedia($id: ID!, $moves: [MoveInput!]!) {
+    productReorderMedia(id: $id, moves: $moves) {
+      job { id done }
+      mediaUserErrors { field message }
+    }
+  }
+`;
+
+const ProductVariantAppendMedia = `
+  mutation ProductVariantAppendMedia($productId: ID!, $variantMedia: [ProductVariantAppendMediaInput!]!) {
+    productVariantAppendMedia(productId: $productId, variantMedia: $variantMedia) {
+      productVariants { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const ProductVariantDetachMedia = `
+  mutation ProductVariantDetachMedia($productId: ID!, $variantMedia: [ProductVariantDetachMediaInput!]!) {
+    productVariantDetachMedia(productId: $productId, variantMedia: $variantMedia) {
+      productVariants { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const ProductDeleteMedia = `
+  mutation ProductDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
+    productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+      deletedMediaIds
+      mediaUserErrors { field message }
+    }
+  }
+`;
+
+// Upload targets for files we send ourselves (processed images) rather than by URL
+const StagedUploadsCreate = `
+  mutation StagedUploadsCreate($input: [StagedUploadInput!]!) {
+    stagedUploadsCreate(input: $input) {
+      stagedTargets {
+        url
+        resourceUrl
+        parameters { name value }
+      }
+      userErrors { field message }
+    }
+  }
+`;
+
+const Collections = `
+  query Collections($cursor: String) {
+    collections(first: 250, after: $cursor, query: "collection_type:custom") {
+      nodes { id title handle }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const CollectionCreate = `
+  mutation CollectionCreate($input: CollectionInput!) {
+    collectionCreate(input: $input) {
+      collection { id title handle }
+      userErrors { field message }
+    }
+  }
+`;
+
+const PublishablePublish = `
+  mutation PublishablePublish($id: ID!, $input: [PublicationInput!]!) {
+    publishablePublish(id: $id, input: $input) {
+      userErrors { field message }
+    }
+  }
+`;
+
+const PublishableUnpublish = `
+  mutation PublishableUnpublish($id: ID!, $input: [PublicationInput!]!) {
+    publishableUnpublish(id: $id, input: $input) {
+      userErrors { field message }
+    }
+  }
+`;
+
+const VariantInventoryItem = `
+  query VariantInventoryItem($id: ID!) {
+    productVariant(id: $id) {
+      id
+      inventoryItem { id }
+      product { id }
+    }
+  }
+`;
+
+const VariantPrices = `
+  query VariantPrices($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        displayName
+        price
+        compareAtPrice
+        selectedOptions { value }
+        product { id }
+      }
+    }
+  }
+`;
+
+const InventoryLevels = `
+  query InventoryLevels($inventoryItemId: ID!) {
+    inventoryItem(id: $inventoryItemId) {
+      id
+      inventoryLevels(first: 50) {
+        nodes {
+          location { id }
+          quantities(names: ["available"]) { name quantity }
+        }
+      }
+    }
+  }
+`;
+
+const InventoryActivate = `
+  mutation InventoryActivate($inventoryItemId: ID!, $locationId: ID!, $available: Int) {
+    inventoryActivate(inventoryItemId: $inventoryItemId, locationId: $locationId, available: $available) {
+      inventoryLevel { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const InventorySetQuantities = `
+  mutation InventorySetQuantities($input: InventorySetQuantitiesInput!) {
+    inventorySetQuantities(input: $input) {
+      inventoryAdjustmentGroup { reason }
+      userErrors { field message }
+    }
+  }
+`;
+
+const MetafieldDefinitions = `
+  query MetafieldDefinitions($ownerType: MetafieldOwnerType!, $namespace: String!) {
+    metafieldDefinitions(first: 50, ownerType: $ownerType, namespace: $namespace) {
+      nodes { id namespace key type { name } }
+    }
+  }
+`;
+
+const MetafieldDefinitionCreate = `
+  mutation MetafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+    metafieldDefinitionCreate(definition: $definition) {
+      createdDefinition { id namespace key type { name } }
+      userErrors { field message }
+    }
+  }
+`;
+
+const MetafieldsSet = `
+  mutation MetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields { id namespace key value }
+      userErrors { field message }
+    }
+  }
+`;
+
+module.exports = {
+  ShopInfo,
+  Locations,
+  Publications,
+  Products,
+  ProductVariants,
+  ProductInventory,
+  ProductCreate,
+  ProductUpdate,
+  ProductVariantsBulkCreate,
+  ProductVariantsBulkUpdate,
+  ProductCreateMedia,
+  ProductMedia,
+  ProductUpdateMedia,
+  ProductReorderMedia,
+  ProductVariantAppendMedia,
+  ProductVariantDetachMedia,
+  ProductDeleteMedia,
+  StagedUploadsCreate,
+  Collections,
+  CollectionCreate,
+  PublishablePublish,
+  PublishableUnpublish,
+  VariantInventoryItem,
+  VariantPrices,
+  InventoryLevels,
+  InventoryActivate,
+  InventorySetQuantities,
+  MetafieldDefinitions,
+  MetafieldDefinitionCreate,
+  MetafieldsSet
+};